@@ -0,0 +1,90 @@
+/**
+ * 遥测模拟服务器：读取 JSON 轨迹文件 ({time, position:[lon,lat,h]}[])，按固定间隔通过 WebSocket 回放。
+ *
+ * 用法：
+ *   npm run mock:telemetry -- --file src/positions/position.json --id coneEntity
+ *
+ * 选项：
+ *   --port <number>             监听端口，默认 8787
+ *   --file <path>               轨迹文件，可重复指定，默认 src/positions/position.json
+ *   --id <string>               目标实体 ID，与 --file 一一对应，默认 coneEntity
+ *   --interval <ms>             消息间隔，默认 1000
+ *   --target-lock-from <index>  从该索引起开启目标锁定
+ *   --target <lon,lat,h>        目标锁定的目标点
+ *   --loop                      回放结束后从头开始，每一轮的时间戳顺延一个轨迹周期，避免被客户端当作重复消息丢弃
+ *   --disorder                  随机交换相邻消息并重复发送部分消息，用于测试乱序与去重
+ */
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { trackToMessages } from "../src/lib/telemetry/replay.js";
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", default: "8787" },
+    file: { type: "string", multiple: true, default: ["src/positions/position.json"] },
+    id: { type: "string", multiple: true, default: ["coneEntity"] },
+    interval: { type: "string", default: "1000" },
+    "target-lock-from": { type: "string" },
+    target: { type: "string" },
+    loop: { type: "boolean", default: false },
+    disorder: { type: "boolean", default: false },
+  },
+});
+
+const target = values.target ? values.target.split(",").map(Number) : undefined;
+const targetLockFrom =
+  values["target-lock-from"] !== undefined ? Number(values["target-lock-from"]) : undefined;
+
+// 合并所有轨迹的消息并按时间排序
+const messages = values.file
+  .flatMap((file, i) => {
+    const track = JSON.parse(readFileSync(resolve(file), "utf8"));
+    const id = values.id[i] ?? `${values.id[0]}-${i}`;
+    return trackToMessages(track, { id, targetLockFrom, target });
+  })
+  .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+// 循环回放的周期(毫秒)：轨迹时长加上一个采样间隔，下一轮的首个样本紧接上一轮的末尾
+const times = [...new Set(messages.map((m) => Date.parse(m.time)))];
+const gaps = times.slice(1).map((time, i) => time - times[i]);
+const period = times.length > 0 ? times[times.length - 1] - times[0] + (gaps.length > 0 ? Math.min(...gaps) : 1000) : 0;
+
+// 第 round 轮的消息，时间戳顺延 round 个周期
+function shift(message, round) {
+  if (round === 0) return message;
+  return { ...message, time: new Date(Date.parse(message.time) + round * period).toISOString() };
+}
+
+// 打乱顺序并插入重复消息
+function disorder(list) {
+  const result = [...list];
+  for (let i = 1; i < result.length; i++) {
+    if (Math.random() < 0.2) [result[i - 1], result[i]] = [result[i], result[i - 1]];
+  }
+  return result.flatMap((m) => (Math.random() < 0.1 ? [m, m] : [m]));
+}
+
+const server = new WebSocketServer({ port: Number(values.port) });
+console.log(`Mock telemetry server listening on ws://localhost:${values.port} (${messages.length} messages)`);
+
+server.on("connection", (socket) => {
+  const queue = values.disorder ? disorder(messages) : messages;
+  let index = 0;
+  let round = 0;
+
+  const timer = setInterval(() => {
+    if (index >= queue.length) {
+      if (!values.loop) {
+        clearInterval(timer);
+        return;
+      }
+      index = 0;
+      round++;
+    }
+    socket.send(JSON.stringify(shift(queue[index++], round)));
+  }, Number(values.interval));
+
+  socket.on("close", () => clearInterval(timer));
+});
@@ -0,0 +1,65 @@
+/**
+ * 场景文件校验：按 src/lib/scenario/schema.js 检查场景文件及其引用的轨迹文件（JSON / CSV / GPX / NMEA），逐条输出错误。
+ *
+ * 用法：
+ *   npm run validate:scenario -- src/scenarios/default.json
+ *
+ * 轨迹 url 相对场景文件所在目录解析；以 "positions/" 开头、随应用打包的轨迹相对 src 目录解析。
+ * 全部文件有效时退出码为 0，否则为 1。
+ */
+import { existsSync, readFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { validateScenario, validateTrackSamples } from "../src/lib/scenario/schema.js";
+import { detectTrackFormat, parseTrack } from "../src/lib/tracks/importer.js";
+
+const { positionals } = parseArgs({ allowPositionals: true });
+if (positionals.length === 0) {
+  console.error("Usage: npm run validate:scenario -- <scenario.json> [...]");
+  process.exit(1);
+}
+
+function readJSON(path) {
+  return JSON.parse(readFileSync(path, "utf8"));
+}
+
+function validateFile(file) {
+  const scenario = readJSON(file);
+  const errors = [...validateScenario(scenario).errors];
+
+  (Array.isArray(scenario.tracks) ? scenario.tracks : []).forEach((track, i) => {
+    if (!track || typeof track.url !== "string" || /^[a-z]+:/i.test(track.url)) return;
+    const candidates = [resolve(dirname(file), track.url), resolve("src", track.url)];
+    const path = candidates.find((p) => existsSync(p));
+    if (!path) {
+      errors.push(`tracks[${i}].url not found: ${track.url}`);
+      return;
+    }
+    const name = `tracks[${i}] (${track.url})`;
+    const format = track.format ?? detectTrackFormat(track.url);
+    if (format === "json") {
+      errors.push(...validateTrackSamples(readJSON(path), name).errors);
+    } else {
+      errors.push(...parseTrack(readFileSync(path, "utf8"), format, track.options).errors.map((error) => `${name} ${error}`));
+    }
+  });
+  return errors;
+}
+
+let failed = false;
+positionals.forEach((file) => {
+  let errors;
+  try {
+    errors = validateFile(file);
+  } catch (e) {
+    errors = [e.message];
+  }
+  if (errors.length === 0) {
+    console.log(`${file}: ok`);
+  } else {
+    failed = true;
+    console.error(`${file}:`);
+    errors.forEach((error) => console.error(`  ${error}`));
+  }
+});
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,89 @@
+import * as Cesium from "cesium";
+import { inject, provide, shallowReactive, shallowRef, toRaw } from "vue";
+
+/**
+ * Cesium 组件上下文
+ * <CesiumViewer> 通过 provide 向子组件提供查看器与实体注册表：
+ * <SensorCone> / <GroundRegion> 按 id 注册所创建的实体，<CoverageLayer> 按 id 引用，实体创建或替换后自动重建。
+ * Cesium 对象不应被 Vue 深度代理，查看器保存在 shallowRef 中，传入组件的 Cesium 对象先经 toRaw 取出原始对象。
+ */
+
+const CESIUM_CONTEXT = Symbol("cesium");
+
+/**
+ * 创建并提供组件上下文，由 <CesiumViewer> 调用
+ * @returns {{viewer: import("vue").ShallowRef<Cesium.Viewer|null>, entities: Map, register: Function, unregister: Function}}
+ */
+export function provideCesiumContext() {
+  const context = {
+    viewer: shallowRef(null),
+    // 实体 ID -> 组件创建的实体
+    entities: shallowReactive(new Map()),
+    register(id, entity) {
+      context.entities.set(id, entity);
+    },
+    unregister(id, entity) {
+      if (context.entities.get(id) === entity) context.entities.delete(id);
+    },
+  };
+  provide(CESIUM_CONTEXT, context);
+  return context;
+}
+
+/**
+ * 读取组件上下文，子组件只在查看器创建完成后渲染，viewer.value 总是可用
+ * @returns {Object} 见 provideCesiumContext
+ */
+export function useCesium() {
+  const context = inject(CESIUM_CONTEXT, null);
+  if (!context) throw new Error("Cesium components must be placed inside <CesiumViewer>");
+  return context;
+}
+
+/**
+ * [经度, 纬度, 高度](度, 度, 米) 转 Cartesian3，Cartesian3 与 Property 原样返回
+ * @param {Number[]|Cesium.Cartesian3|Cesium.Property} value
+ * @returns {Cesium.Cartesian3|Cesium.Property|undefined}
+ */
+export function toPosition(value) {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value)) return Cesium.Cartesian3.fromDegrees(value[0], value[1], value[2] ?? 0);
+  return toRaw(value);
+}
+
+/**
+ * CSS 颜色字符串转 Cesium.Color，Cesium.Color 原样返回
+ * @param {String|Cesium.Color} value
+ * @returns {Cesium.Color|undefined}
+ */
+export function toColor(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "string") return toRaw(value);
+  const color = Cesium.Color.fromCssColorString(value);
+  if (!color) throw new Error(`Invalid color: ${value}`);
+  return color;
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * 比较两个 prop 值是否等价：数组与普通对象逐项比较，Cesium 对象（Color、Cartesian3 等）使用其 equals，其他按引用比较
+ * 模板中的字面量每次渲染都会生成新对象，据此避免无意义的更新
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ */
+export function isEquivalent(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((value, i) => isEquivalent(value, b[i]));
+  }
+  if (isPlainObject(a)) {
+    if (!isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => isEquivalent(a[key], b[key]));
+  }
+  return typeof a.equals === "function" && a.equals(b);
+}
@@ -1,4 +1,22 @@
 import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import {
+  circleRegion,
+  corridorRegion,
+  geoJSONRegion,
+  getRegionPolygons,
+  polygonRegion,
+  rectangleRegion,
+  toLonLat,
+} from "./region.js";
+import { isProperty, resolveProperty } from "./property.js";
+import { computeTargetOrientation, createPointingSchedule } from "./pointing.js";
+import {
+  createMountedOrientationProperty,
+  createMountedPositionProperty,
+  addAttitudeSample,
+  getPlatformOrientation,
+} from "./platform.js";
 
 /**
  * 创建一个指向地面上目标点的圆锥模型，要求：
@@ -8,196 +26,79 @@ import * as Cesium from "cesium";
  * 4. 若targetPosition不为null，则根据position和targetPosition计算orientation
  * 5. 已创建的实体若传入targetPosition，会自动更新orientation
  * 6. 若isTargetOrientation为true，则根据targetPosition计算orientation
+ * 7. 若传入pointing指向计划，计划区间内按区间的指向模式计算orientation，优先级最高；区间之外仍按3 ~ 6处理
+ *    指向模式包括 velocity / nadir / fixed / target / track / offNadir / whiskbroom / spiral，单一模式可直接传入 { mode: "nadir" }
+ * 8. 若传入platform，圆锥安装在平台上：尖端位置由平台位置、姿态与杆臂计算，orientation为平台姿态与安装角的组合（见 platform.js），
+ *    此时忽略position / orientation参数；指向计划与目标朝向仍可覆盖安装朝向（相当于万向架）
+ * 9. coneAngle / coneLength / maxRange / minRange / color / pointingSchedule 等属性可在创建后直接修改，可视实体随之更新
  * @param {Cesium.Viewer} viewer
  * @param {Object} options
  * @param {String} [options.id] 实体ID
  * @param {Cesium.Cartesian3} options.position 圆锥顶点位置 (尖端)
  * @param {Number} options.length 圆锥长度
  * @param {Number} options.coneAngle 圆锥切面的最大夹角（弧度）
+ * @param {Number} [options.maxRange] 最大作用距离(米)，默认等于圆锥长度
+ * @param {Number} [options.minRange=0] 最小作用距离(米)
  * @param {Cesium.Quaternion} [options.orientation] 圆锥方向四元数
  * @param {Cesium.Cartesian3} [options.targetPosition] 地面上的目标点
  * @param {Boolean} [options.isTargetOrientation=false] 是否启用目标点朝向
+ * @param {Object|Array} [options.pointing] 指向计划，createPointingSchedule 创建的计划或其序列化形式（见 pointing.js）
+ * @param {Cesium.Entity} [options.platform] 安装平台，createPlatform 创建
+ * @param {Object} [options.mount] 安装参数 { leverArm: [x, y, z](米，机体坐标系), heading, pitch, roll(度) }
  * @param {Cesium.Color} [options.color] 圆锥颜色
  * @param {String} [options.name] 圆锥名称
- * @returns {Cesium.Entity} 圆锥实体
+ * @returns {Cesium.Entity} 圆锥实体，调用 destroy() 移除圆锥及其可视实体；直接从 viewer.entities 移除尖端实体效果相同
  */
 export function createCone(viewer, options) {
   const {
-    id,
     length,
     coneAngle,
-    position,
-    orientation,
+    minRange = 0,
     targetPosition = null,
     isTargetOrientation = false,
     color = Cesium.Color.RED.withAlpha(0.5),
     name = "cone",
   } = options;
 
-  // 1. Create the Tip Entity (the handle returned to the user)
-  const tipEntity = viewer.entities.add({
-    id: id,
-    name: name,
-    position: position,
-  });
-
-  // Custom properties for internal logic
-  tipEntity.addProperty("targetPosition");
-  tipEntity.targetPosition = targetPosition;
-
-  tipEntity.addProperty("isTargetOrientation");
-  tipEntity.isTargetOrientation = isTargetOrientation;
-
-  tipEntity.addProperty("coneLength");
-  tipEntity.coneLength = length;
-
-  tipEntity.addProperty("coneAngle");
-  tipEntity.coneAngle = coneAngle;
-
-  // Internal storage for manual orientation (fallback)
-  let _manualOrientation = orientation || Cesium.Quaternion.IDENTITY;
-
-  // 2. Define Orientation Property for Tip Entity
-  // We use Object.defineProperty to intercept assignments to .orientation
-  // This ensures that even if the user sets .orientation, our logic (targetPosition priority) remains active.
-  const masterOrientation = new Cesium.CallbackProperty((time) => {
-    // Check if we should use target orientation
-    const useTarget =
-      tipEntity.isTargetOrientation instanceof Cesium.Property
-        ? tipEntity.isTargetOrientation.getValue(time)
-        : tipEntity.isTargetOrientation;
-
-    const currentPos = tipEntity.position
-      ? tipEntity.position.getValue(time)
-      : undefined;
-    const currentTarget =
-      tipEntity.targetPosition instanceof Cesium.Property
-        ? tipEntity.targetPosition.getValue(time)
-        : tipEntity.targetPosition;
-
-    // Condition: useTarget is true AND we have both positions
-    if (useTarget && currentPos && currentTarget) {
-      // Vector from Target to Tip (align +Z with this to point tip at Pos)
-      const direction = Cesium.Cartesian3.subtract(
-        currentPos,
-        currentTarget,
-        new Cesium.Cartesian3(),
-      );
-
-      // Safety check: Avoid normalizing zero vector
-      if (
-        Cesium.Cartesian3.magnitudeSquared(direction) < Cesium.Math.EPSILON10
-      ) {
-        return _manualOrientation instanceof Cesium.Property
-          ? _manualOrientation.getValue(time)
-          : _manualOrientation;
-      }
-
-      Cesium.Cartesian3.normalize(direction, direction);
-
-      // Calculate Up vector (approximate)
-      const up = Cesium.Cartesian3.normalize(
-        currentPos,
-        new Cesium.Cartesian3(),
-      );
-
-      // Calculate Right vector
-      const right = Cesium.Cartesian3.cross(
-        up,
-        direction,
-        new Cesium.Cartesian3(),
-      );
-      if (Cesium.Cartesian3.magnitudeSquared(right) < Cesium.Math.EPSILON10) {
-        // Degenerate case (direction parallel to up), pick arbitrary axis
-        Cesium.Cartesian3.cross(Cesium.Cartesian3.UNIT_X, direction, right);
-      }
-      Cesium.Cartesian3.normalize(right, right);
-
-      // Recalculate Up
-      const realUp = Cesium.Cartesian3.cross(
-        direction,
-        right,
-        new Cesium.Cartesian3(),
-      );
-      Cesium.Cartesian3.normalize(realUp, realUp);
-
-      // Rotation Matrix [Right, RealUp, Direction]
-      const rotationMatrix = new Cesium.Matrix3(
-        right.x,
-        realUp.x,
-        direction.x,
-        right.y,
-        realUp.y,
-        direction.y,
-        right.z,
-        realUp.z,
-        direction.z,
-      );
-
-      return Cesium.Quaternion.fromRotationMatrix(rotationMatrix);
-    }
-
-    // Fallback to manual orientation
-    const result =
-      _manualOrientation instanceof Cesium.Property
-        ? _manualOrientation.getValue(time)
-        : _manualOrientation;
+  // 1. Create the Tip Entity (the handle returned to the user) and its orientation
+  const tipEntity = createSensorTip(
+    viewer,
+    { ...options, targetPosition, isTargetOrientation, minRange, color, name },
+    { sensorType: "cone", coneLength: length, coneAngle },
+  );
 
-    // Safety check: Filter out invalid quaternions (NaN)
-    if (result && isNaN(result.x)) {
-      return undefined;
-    }
-    return result;
-  }, false);
-
-  // Override the orientation property on the instance
-  Object.defineProperty(tipEntity, "orientation", {
-    get: () => masterOrientation,
-    set: (value) => {
-      _manualOrientation = value;
-    },
-    configurable: true,
-    enumerable: true,
-  });
-
-  // 3. Create the Visual Entity (Internal)
+  // 2. Create the Visual Entity (Internal)
   // We use a separate entity for the graphic to allow offsetting the center while keeping tipEntity.position as the tip
   const visualEntity = viewer.entities.add({
     cylinder: {
       length: new Cesium.CallbackProperty((time) => {
-        return tipEntity.coneLength instanceof Cesium.Property
+        return isProperty(tipEntity.coneLength)
           ? tipEntity.coneLength.getValue(time)
           : tipEntity.coneLength;
       }, false),
       topRadius: 0.0,
       bottomRadius: new Cesium.CallbackProperty((time) => {
         const l =
-          tipEntity.coneLength instanceof Cesium.Property
+          isProperty(tipEntity.coneLength)
             ? tipEntity.coneLength.getValue(time)
             : tipEntity.coneLength;
         const a =
-          tipEntity.coneAngle instanceof Cesium.Property
+          isProperty(tipEntity.coneAngle)
             ? tipEntity.coneAngle.getValue(time)
             : tipEntity.coneAngle;
         return l * Math.tan(a / 2);
       }, false),
-      material: color,
+      material: createColorMaterial(tipEntity),
       outline: true,
     },
   });
 
-  // 4. Bind Visual Position
+  // 3. Bind Visual Position
   visualEntity.position = new Cesium.CallbackProperty((time) => {
-    // Cleanup check: if tipEntity is removed, remove visualEntity
-    if (!viewer.entities.getById(id)) {
-      viewer.entities.remove(visualEntity);
-      return undefined;
-    }
-
     const pos = tipEntity.position.getValue(time);
     const orient = tipEntity.orientation.getValue(time);
     const len =
-      tipEntity.coneLength instanceof Cesium.Property
+      isProperty(tipEntity.coneLength)
         ? tipEntity.coneLength.getValue(time)
         : tipEntity.coneLength;
 
@@ -240,17 +141,342 @@ export function createCone(viewer, options) {
     return pos;
   }, false);
 
-  // 5. Bind Visual Orientation
+  // 4. Bind Visual Orientation
   visualEntity.orientation = new Cesium.CallbackProperty((time) => {
-    if (!viewer.entities.getById(id)) return undefined;
     return tipEntity.orientation.getValue(time);
   }, false);
 
+  // 5. Lifecycle: removing the tip entity also removes the visual entity
+  bindLifecycle(viewer, tipEntity, [visualEntity]);
+
+  return tipEntity;
+}
+
+/**
+ * 创建一个矩形视场的视锥传感器（四棱锥），尖端、朝向与目标点语义与 createCone 相同：
+ * 1. position为传感器尖端位置，orientation为传感器方向四元数
+ * 2. targetPosition的优先级比orientation高，isTargetOrientation为true时根据targetPosition计算orientation
+ * 3. 水平视场沿局部X轴，垂直视场沿局部Y轴，roll为绕视轴的滚转角
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} [options.id] 实体ID
+ * @param {Cesium.Cartesian3} options.position 传感器顶点位置 (尖端)
+ * @param {Number} options.length 传感器长度
+ * @param {Number} options.horizontalAngle 水平视场角（弧度）
+ * @param {Number} options.verticalAngle 垂直视场角（弧度）
+ * @param {Number} [options.roll=0] 绕视轴的滚转角（弧度）
+ * @param {Number} [options.maxRange] 最大作用距离(米)，默认等于传感器长度
+ * @param {Number} [options.minRange=0] 最小作用距离(米)
+ * @param {Cesium.Quaternion} [options.orientation] 传感器方向四元数
+ * @param {Cesium.Cartesian3} [options.targetPosition] 地面上的目标点
+ * @param {Boolean} [options.isTargetOrientation=false] 是否启用目标点朝向
+ * @param {Object|Array} [options.pointing] 指向计划，见 createCone
+ * @param {Cesium.Entity} [options.platform] 安装平台，见 createCone
+ * @param {Object} [options.mount] 安装参数，见 createCone
+ * @param {Cesium.Color} [options.color] 传感器颜色
+ * @param {String} [options.name] 传感器名称
+ * @returns {Cesium.Entity} 传感器尖端实体，调用 destroy() 移除传感器及其可视实体
+ */
+export function createFrustumSensor(viewer, options) {
+  const {
+    length,
+    horizontalAngle,
+    verticalAngle,
+    roll = 0,
+    minRange = 0,
+    targetPosition = null,
+    isTargetOrientation = false,
+    color = Cesium.Color.RED.withAlpha(0.5),
+    name = "frustum",
+  } = options;
+
+  // 1. Create the Tip Entity and its orientation
+  const tipEntity = createSensorTip(
+    viewer,
+    { ...options, targetPosition, isTargetOrientation, minRange, color, name },
+    { sensorType: "frustum", coneLength: length, horizontalAngle, verticalAngle, roll },
+  );
+
+  const getValue = (value, time) =>
+    isProperty(value) ? value.getValue(time) : value;
+
+  // 2. 计算四棱锥底面四个角点（世界坐标），顺序与视场矩形一致
+  const getCorners = (time) => {
+    const pos = tipEntity.position.getValue(time);
+    const orient = tipEntity.orientation.getValue(time);
+    const len = getValue(tipEntity.coneLength, time);
+    if (!pos || !orient || !len || isNaN(orient.x)) return undefined;
+
+    const rotation = Cesium.Matrix3.multiply(
+      Cesium.Matrix3.fromQuaternion(orient),
+      Cesium.Matrix3.fromRotationZ(getValue(tipEntity.roll, time) || 0),
+      new Cesium.Matrix3(),
+    );
+    const halfWidth = len * Math.tan(getValue(tipEntity.horizontalAngle, time) / 2);
+    const halfHeight = len * Math.tan(getValue(tipEntity.verticalAngle, time) / 2);
+
+    return [
+      [-1, -1],
+      [1, -1],
+      [1, 1],
+      [-1, 1],
+    ].map(([u, v]) => {
+      const local = new Cesium.Cartesian3(u * halfWidth, v * halfHeight, -len);
+      const world = Cesium.Matrix3.multiplyByVector(rotation, local, new Cesium.Cartesian3());
+      return Cesium.Cartesian3.add(pos, world, world);
+    });
+  };
+
+  // 3. Create the Visual Entities: 四个侧面 + 底面
+  const faces = [[0, 1], [1, 2], [2, 3], [3, 0], null];
+  const visualEntities = faces.map((edge) =>
+    viewer.entities.add({
+      polygon: {
+        hierarchy: new Cesium.CallbackProperty((time) => {
+          const corners = getCorners(time);
+          if (!corners) return new Cesium.PolygonHierarchy([]);
+          if (!edge) return new Cesium.PolygonHierarchy(corners);
+          return new Cesium.PolygonHierarchy([
+            tipEntity.position.getValue(time),
+            corners[edge[0]],
+            corners[edge[1]],
+          ]);
+        }, false),
+        perPositionHeight: true,
+        arcType: Cesium.ArcType.NONE,
+        material: createColorMaterial(tipEntity),
+        outline: true,
+      },
+    }),
+  );
+
+  // 4. Lifecycle: removing the tip entity also removes the visual entities
+  bindLifecycle(viewer, tipEntity, visualEntities);
+
+  return tipEntity;
+}
+
+/**
+ * 创建传感器尖端实体并绑定朝向，圆锥与视锥传感器共用
+ * 尖端实体带有两者共有的属性（targetPosition / isTargetOrientation / maxRange / minRange / pointingSchedule / platform / color）
+ * 与 properties 中的类型专属属性，均可在创建后直接修改
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options createCone / createFrustumSensor 的选项（已填入默认值）
+ * @param {Object} properties 类型专属属性：属性名 -> 初始值
+ * @returns {Cesium.Entity}
+ */
+function createSensorTip(viewer, options, properties) {
+  const {
+    id,
+    name,
+    position,
+    orientation,
+    targetPosition,
+    isTargetOrientation,
+    maxRange,
+    minRange,
+    pointing,
+    platform,
+    mount,
+    color,
+  } = options;
+
+  const tipEntity = viewer.entities.add({
+    id: id,
+    name: name,
+    position: platform ? createMountedPositionProperty(platform, mount) : position,
+  });
+
+  // Custom properties for internal logic
+  const customProperties = {
+    targetPosition,
+    isTargetOrientation,
+    ...properties,
+    maxRange,
+    minRange,
+    pointingSchedule: toPointingSchedule(pointing),
+    platform,
+    color,
+  };
+  Object.entries(customProperties).forEach(([key, value]) => {
+    tipEntity.addProperty(key);
+    tipEntity[key] = value;
+  });
+
+  bindTargetOrientation(
+    tipEntity,
+    platform ? createMountedOrientationProperty(platform, mount) : orientation,
+  );
   return tipEntity;
 }
 
+/**
+ * 为主实体绑定生命周期：主实体从集合中移除时一并移除其内部可视实体，并为其添加 destroy() 方法
+ * 传感器与地面区域共用
+ * @param {Cesium.Viewer} viewer
+ * @param {Cesium.Entity} tipEntity 主实体（传感器尖端或区域父实体）
+ * @param {Cesium.Entity[]} visualEntities 内部可视实体
+ */
+function bindLifecycle(viewer, tipEntity, visualEntities) {
+  let destroyed = false;
+
+  const cleanup = () => {
+    if (destroyed) return;
+    destroyed = true;
+    removeListener();
+    visualEntities.forEach((entity) => viewer.entities.remove(entity));
+  };
+
+  const removeListener = viewer.entities.collectionChanged.addEventListener(
+    (collection, added, removed) => {
+      if (removed.includes(tipEntity)) cleanup();
+    },
+  );
+
+  tipEntity.destroy = () => {
+    cleanup();
+    viewer.entities.remove(tipEntity);
+  };
+}
+
+// 读取尖端实体 color 属性的材质，修改 color 后可视实体随之变色
+function createColorMaterial(tipEntity) {
+  return new Cesium.ColorMaterialProperty(
+    new Cesium.CallbackProperty((time) => resolveProperty(tipEntity.color, time), false),
+  );
+}
+
+/**
+ * 接受已创建的指向计划或其序列化形式，修改传感器的 pointingSchedule 属性时使用
+ * @param {Object|Array} [pointing]
+ * @returns {Object|undefined} createPointingSchedule 创建的计划
+ */
+export function toPointingSchedule(pointing) {
+  if (!pointing) return undefined;
+  return typeof pointing.getOrientation === "function"
+    ? pointing
+    : createPointingSchedule(pointing);
+}
+
+/**
+ * 为尖端实体绑定朝向属性：指向计划优先，其次 targetPosition，否则使用手动设置的 orientation
+ * 圆锥与视锥传感器共用，局部 +Z 轴由目标指向尖端（光束方向为局部 -Z 轴）
+ * @param {Cesium.Entity} tipEntity 带有 pointingSchedule / targetPosition / isTargetOrientation 属性的尖端实体
+ * @param {Cesium.Quaternion|Cesium.Property} [orientation] 初始手动朝向
+ */
+function bindTargetOrientation(tipEntity, orientation) {
+  // Internal storage for manual orientation (fallback)
+  let _manualOrientation = orientation || Cesium.Quaternion.IDENTITY;
+
+  // 不在指向计划区间内时的朝向：targetPosition 优先，否则使用手动朝向
+  const unscheduledOrientation = (time) => {
+    // Check if we should use target orientation
+    const useTarget = isProperty(tipEntity.isTargetOrientation)
+      ? tipEntity.isTargetOrientation.getValue(time)
+      : tipEntity.isTargetOrientation;
+
+    const currentPos = tipEntity.position
+      ? tipEntity.position.getValue(time)
+      : undefined;
+    const currentTarget = isProperty(tipEntity.targetPosition)
+      ? tipEntity.targetPosition.getValue(time)
+      : tipEntity.targetPosition;
+
+    // Condition: useTarget is true AND we have both positions
+    if (useTarget && currentPos && currentTarget) {
+      const targetOrientation = computeTargetOrientation(currentPos, currentTarget);
+      if (targetOrientation) return targetOrientation;
+    }
+
+    // Fallback to manual orientation
+    const result = isProperty(_manualOrientation)
+      ? _manualOrientation.getValue(time)
+      : _manualOrientation;
+
+    // Safety check: Filter out invalid quaternions (NaN)
+    if (result && isNaN(result.x)) {
+      return undefined;
+    }
+    return result;
+  };
+
+  // We use Object.defineProperty to intercept assignments to .orientation
+  // This ensures that even if the user sets .orientation, our logic (schedule / targetPosition priority) remains active.
+  const masterOrientation = new Cesium.CallbackProperty((time) => {
+    const schedule = tipEntity.pointingSchedule;
+    if (!schedule) return unscheduledOrientation(time);
+
+    const result = schedule.getOrientation(tipEntity, time, unscheduledOrientation);
+    return result && isNaN(result.x) ? undefined : result;
+  }, false);
+
+  // Override the orientation property on the instance
+  Object.defineProperty(tipEntity, "orientation", {
+    get: () => masterOrientation,
+    set: (value) => {
+      _manualOrientation = value;
+    },
+    configurable: true,
+    enumerable: true,
+  });
+}
+
+/**
+ * 创建平台实体（飞机等），传感器可通过 createCone / createFrustumSensor 的 platform 参数安装在其上
+ * 平台姿态保存在 bodyAttitude（SampledProperty<Quaternion>，相对当地东北天坐标系），
+ * 通过 addAttitudeSample 添加样本；orientation 为平台的世界朝向，没有姿态样本时按速度方向估计
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} [options.id] 实体ID
+ * @param {Cesium.Cartesian3|Cesium.PositionProperty} options.position 平台位置
+ * @param {Array<{time: Cesium.JulianDate, heading: Number, pitch: Number, roll: Number}>} [options.attitude] 初始姿态样本(度)
+ * @param {Cesium.Color} [options.color] 平台标记颜色
+ * @param {String} [options.name] 平台名称
+ * @returns {Cesium.Entity} 平台实体，调用 destroy() 移除（不会移除安装在其上的传感器）
+ */
+export function createPlatform(viewer, options) {
+  const {
+    id,
+    position,
+    attitude = [],
+    color = Cesium.Color.WHITE,
+    name = "platform",
+  } = options;
+
+  const bodyAttitude = new Cesium.SampledProperty(Cesium.Quaternion);
+  bodyAttitude.forwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+  bodyAttitude.backwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+
+  const entity = viewer.entities.add({
+    id: id,
+    name: name,
+    position: position,
+    point: {
+      pixelSize: 8,
+      color: color,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+    },
+  });
+
+  entity.addProperty("bodyAttitude");
+  entity.bodyAttitude = bodyAttitude;
+  entity.orientation = new Cesium.CallbackProperty(
+    (time) => getPlatformOrientation(entity, time),
+    false,
+  );
+  attitude.forEach(({ time, ...hpr }) => addAttitudeSample(entity, time, hpr));
+
+  bindLifecycle(viewer, entity, []);
+  return entity;
+}
+
 /**
  * 创建地面圆形实体
+ * 实体带有 regionGeoJSON 属性，随 position / 半径变化实时更新
+ * 地面区域实体均带有 regionType 属性（"circle" / "polygon" / "rectangle" / "corridor" / "geojson"），
+ * 以及 setGeometry(geometry) 与 setStyle({ color, outlineColor })，修改几何或样式时实体保持不变，
+ * geometry 与创建时的几何参数相同，引用该区域的覆盖计算随 regionGeoJSON 使用新的几何
  * @param {Cesium.Viewer} viewer
  * @param {Object} options
  * @param {number} options.longitude 经度
@@ -258,7 +484,7 @@ export function createCone(viewer, options) {
  * @param {number} options.radius 半径(米)
  * @param {Cesium.Color} [options.color] 填充颜色
  * @param {Cesium.Color} [options.outlineColor] 边框颜色
- * @returns {Cesium.Entity} 地面圆形实体
+ * @returns {Cesium.Entity} 地面圆形实体，调用 destroy() 移除
  */
 export function createGroundCircle(viewer, options) {
   const {
@@ -270,7 +496,7 @@ export function createGroundCircle(viewer, options) {
     outlineColor = Cesium.Color.BLUE,
   } = options;
 
-  return viewer.entities.add({
+  const entity = viewer.entities.add({
     id: id,
     name: "GroundCircle",
     position: Cesium.Cartesian3.fromDegrees(longitude, latitude, 0),
@@ -282,4 +508,261 @@ export function createGroundCircle(viewer, options) {
       outlineColor: outlineColor,
     },
   });
+
+  entity.addProperty("regionType");
+  entity.regionType = "circle";
+
+  entity.addProperty("regionGeoJSON");
+  entity.regionGeoJSON = new Cesium.CallbackProperty((time) => {
+    const center = entity.position.getValue(time);
+    const r = entity.ellipse.semiMajorAxis.getValue(time);
+    if (!center || !r) return undefined;
+    return circleRegion(toLonLat(center), r);
+  }, false);
+
+  entity.setGeometry = (geometry) => {
+    entity.position = Cesium.Cartesian3.fromDegrees(geometry.longitude, geometry.latitude, 0);
+    entity.ellipse.semiMajorAxis = geometry.radius;
+    entity.ellipse.semiMinorAxis = geometry.radius;
+  };
+  bindRegionStyle(entity, () => [entity.ellipse]);
+  bindLifecycle(viewer, entity, []);
+  return entity;
+}
+
+// 为区域实体添加 setStyle({ color, outlineColor })，getGraphics 返回需要修改的图形（ellipse / polygon 等）
+function bindRegionStyle(entity, getGraphics) {
+  entity.setStyle = ({ color, outlineColor }) => {
+    getGraphics().forEach((graphics) => {
+      if (color) graphics.material = color;
+      if (outlineColor) graphics.outlineColor = outlineColor;
+    });
+  };
+}
+
+/**
+ * 创建地面多边形区域实体，支持孔洞
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} [options.id] 实体ID
+ * @param {Array<number[]>} options.positions 外环 [[经度, 纬度], ...] (度)
+ * @param {Array<Array<number[]>>} [options.holes] 内环（孔）
+ * @param {Cesium.Color} [options.color] 填充颜色
+ * @param {Cesium.Color} [options.outlineColor] 边框颜色
+ * @returns {Cesium.Entity} 地面多边形实体，调用 destroy() 移除（含各部分子实体）
+ */
+export function createGroundPolygon(viewer, options) {
+  const { positions, holes = [], ...rest } = options;
+  return createGroundRegion(viewer, {
+    ...rest,
+    name: "GroundPolygon",
+    type: "polygon",
+    region: polygonRegion(positions, holes),
+    toRegion: (geometry) => polygonRegion(geometry.positions, geometry.holes ?? []),
+  });
+}
+
+/**
+ * 创建地面矩形区域实体
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} [options.id] 实体ID
+ * @param {Number} options.west 西边界经度(度)
+ * @param {Number} options.south 南边界纬度(度)
+ * @param {Number} options.east 东边界经度(度)
+ * @param {Number} options.north 北边界纬度(度)
+ * @param {Cesium.Color} [options.color] 填充颜色
+ * @param {Cesium.Color} [options.outlineColor] 边框颜色
+ * @returns {Cesium.Entity} 地面矩形实体，调用 destroy() 移除
+ */
+export function createGroundRectangle(viewer, options) {
+  const {
+    id,
+    west,
+    south,
+    east,
+    north,
+    color = Cesium.Color.BLUE.withAlpha(0.2),
+    outlineColor = Cesium.Color.BLUE,
+  } = options;
+
+  const region = rectangleRegion(west, south, east, north);
+  const entity = viewer.entities.add({
+    id: id,
+    name: "GroundRectangle",
+    position: Cesium.Cartesian3.fromDegrees((west + east) / 2, (south + north) / 2, 0),
+    rectangle: {
+      coordinates: Cesium.Rectangle.fromDegrees(west, south, east, north),
+      material: color,
+      outline: true,
+      outlineColor: outlineColor,
+    },
+  });
+
+  entity.addProperty("regionType");
+  entity.regionType = "rectangle";
+
+  entity.addProperty("regionGeoJSON");
+  entity.regionGeoJSON = region;
+
+  entity.setGeometry = (geometry) => {
+    const { west: w, south: s, east: e, north: n } = geometry;
+    entity.position = Cesium.Cartesian3.fromDegrees((w + e) / 2, (s + n) / 2, 0);
+    entity.rectangle.coordinates = Cesium.Rectangle.fromDegrees(w, s, e, n);
+    entity.regionGeoJSON = rectangleRegion(w, s, e, n);
+  };
+  bindRegionStyle(entity, () => [entity.rectangle]);
+  bindLifecycle(viewer, entity, []);
+  return entity;
+}
+
+/**
+ * 创建沿航线的地面走廊区域实体
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} [options.id] 实体ID
+ * @param {Array<number[]>} options.positions 中心线 [[经度, 纬度], ...] (度)，可直接使用 line.json 中的 position
+ * @param {Number} options.width 走廊总宽度(米)
+ * @param {Cesium.Color} [options.color] 填充颜色
+ * @param {Cesium.Color} [options.outlineColor] 边框颜色
+ * @returns {Cesium.Entity} 地面走廊实体，调用 destroy() 移除
+ */
+export function createGroundCorridor(viewer, options) {
+  const {
+    id,
+    positions,
+    width,
+    color = Cesium.Color.BLUE.withAlpha(0.2),
+    outlineColor = Cesium.Color.BLUE,
+  } = options;
+
+  const lonLats = positions.map((p) => [p[0], p[1]]);
+  const region = corridorRegion(lonLats, width);
+  const entity = viewer.entities.add({
+    id: id,
+    name: "GroundCorridor",
+    position: Cesium.Cartesian3.fromDegrees(
+      ...turf.centroid(region).geometry.coordinates,
+      0,
+    ),
+    corridor: {
+      positions: Cesium.Cartesian3.fromDegreesArray(lonLats.flat()),
+      width: width,
+      cornerType: Cesium.CornerType.ROUNDED,
+      material: color,
+      outline: true,
+      outlineColor: outlineColor,
+    },
+  });
+
+  entity.addProperty("regionType");
+  entity.regionType = "corridor";
+
+  entity.addProperty("regionGeoJSON");
+  entity.regionGeoJSON = region;
+
+  entity.setGeometry = (geometry) => {
+    const points = geometry.positions.map((p) => [p[0], p[1]]);
+    const next = corridorRegion(points, geometry.width);
+    entity.position = Cesium.Cartesian3.fromDegrees(...turf.centroid(next).geometry.coordinates, 0);
+    entity.corridor.positions = Cesium.Cartesian3.fromDegreesArray(points.flat());
+    entity.corridor.width = geometry.width;
+    entity.regionGeoJSON = next;
+  };
+  bindRegionStyle(entity, () => [entity.corridor]);
+  bindLifecycle(viewer, entity, []);
+  return entity;
+}
+
+/**
+ * 从 GeoJSON 导入地面区域实体，支持 Polygon / MultiPolygon / FeatureCollection 及孔洞
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} [options.id] 实体ID
+ * @param {Object} options.geojson GeoJSON 对象
+ * @param {Cesium.Color} [options.color] 填充颜色
+ * @param {Cesium.Color} [options.outlineColor] 边框颜色
+ * @returns {Cesium.Entity} 地面区域实体（多部分区域的各部分为其子实体），调用 destroy() 移除
+ */
+export function createGroundRegionFromGeoJSON(viewer, options) {
+  const { geojson, ...rest } = options;
+  return createGroundRegion(viewer, {
+    ...rest,
+    name: "GroundRegion",
+    type: "geojson",
+    region: geoJSONRegion(geojson),
+    toRegion: (geometry) => geoJSONRegion(geometry.geojson),
+  });
+}
+
+/**
+ * 按 GeoJSON 区域创建实体：父实体携带 regionGeoJSON，每个多边形部分为一个子实体
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} options
+ * @param {String} options.type 区域类型，写入 regionType
+ * @param {Object} options.region 初始区域 GeoJSON
+ * @param {Function} options.toRegion setGeometry 的几何参数转为区域 GeoJSON
+ * @returns {Cesium.Entity}
+ */
+function createGroundRegion(viewer, options) {
+  const {
+    id,
+    name,
+    type,
+    region,
+    toRegion,
+    color = Cesium.Color.BLUE.withAlpha(0.2),
+    outlineColor = Cesium.Color.BLUE,
+  } = options;
+  const style = { color, outlineColor };
+
+  const entity = viewer.entities.add({ id: id, name: name });
+  entity.addProperty("regionType");
+  entity.regionType = type;
+  entity.addProperty("regionGeoJSON");
+
+  // 各部分子实体，setGeometry 时原地替换，bindLifecycle 持有同一数组
+  const parts = [];
+  const setRegion = (value) => {
+    parts.forEach((part) => viewer.entities.remove(part));
+    parts.length = 0;
+
+    entity.position = Cesium.Cartesian3.fromDegrees(
+      ...turf.centroid(value).geometry.coordinates,
+      0,
+    );
+    entity.regionGeoJSON = value;
+
+    const toPositions = (ring) =>
+      Cesium.Cartesian3.fromDegreesArray(ring.slice(0, -1).flat());
+    getRegionPolygons(value).forEach((coords) => {
+      parts.push(viewer.entities.add({
+        parent: entity,
+        name: `${name}Part`,
+        polygon: {
+          hierarchy: new Cesium.PolygonHierarchy(
+            toPositions(coords[0]),
+            coords.slice(1).map((hole) => new Cesium.PolygonHierarchy(toPositions(hole))),
+          ),
+          material: style.color,
+          outline: true,
+          outlineColor: style.outlineColor,
+        },
+      }));
+    });
+  };
+  setRegion(region);
+
+  entity.setGeometry = (geometry) => setRegion(toRegion(geometry));
+  entity.setStyle = (value) => {
+    if (value.color) style.color = value.color;
+    if (value.outlineColor) style.outlineColor = value.outlineColor;
+    parts.forEach((part) => {
+      part.polygon.material = style.color;
+      part.polygon.outlineColor = style.outlineColor;
+    });
+  };
+
+  bindLifecycle(viewer, entity, parts);
+  return entity;
 }
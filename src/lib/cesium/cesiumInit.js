@@ -1,27 +1,206 @@
 import * as Cesium from 'cesium'
 
+// 默认控件：只保留图层选择、地名搜索与全屏按钮（Ion 不可用时图层选择与地名搜索也会关闭）
+const DEFAULT_WIDGETS = {
+  animation: false,
+  timeline: false,
+  baseLayerPicker: true,
+  geocoder: true,
+  fullscreenButton: true,
+  homeButton: false,
+  sceneModePicker: false,
+  navigationHelpButton: false,
+  selectionIndicator: false,
+  infoBox: false,
+};
+
+const SCENE_MODES = {
+  '3D': Cesium.SceneMode.SCENE3D,
+  '2D': Cesium.SceneMode.SCENE2D,
+  'COLUMBUS_VIEW': Cesium.SceneMode.COLUMBUS_VIEW,
+};
+
+// 超时后拒绝，避免离线环境下 Ion 请求长时间挂起
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// 随 Cesium 一起发布的离线底图
+function createNaturalEarthImagery() {
+  return Cesium.TileMapServiceImageryProvider.fromUrl(Cesium.buildModuleUrl('Assets/Textures/NaturalEarthII'));
+}
+
+/**
+ * 创建地形服务
+ * @param {Object} terrain - 地形配置，见 cesiumInit
+ * @param {Boolean} ion - Ion 是否可用
+ * @returns {Promise<Cesium.TerrainProvider>}
+ */
+async function createTerrain(terrain, ion) {
+  const { type, url, assetId, requestVertexNormals = false, requestWaterMask = false } = terrain;
+  switch (type) {
+    case 'ellipsoid':
+      return new Cesium.EllipsoidTerrainProvider();
+    case 'quantized-mesh':
+      if (!url) throw new Error('Quantized-mesh terrain requires a url');
+      return Cesium.CesiumTerrainProvider.fromUrl(url, { requestVertexNormals, requestWaterMask });
+    case 'ion':
+      if (!ion) throw new Error('Cesium Ion is disabled');
+      return assetId === undefined
+        ? Cesium.createWorldTerrainAsync({ requestVertexNormals, requestWaterMask })
+        : Cesium.CesiumTerrainProvider.fromIonAssetId(assetId, { requestVertexNormals, requestWaterMask });
+    default:
+      throw new Error(`Unknown terrain type: ${type}`);
+  }
+}
+
+/**
+ * 创建底图影像服务
+ * @param {Object} imagery - 影像配置，见 cesiumInit
+ * @param {Boolean} ion - Ion 是否可用
+ * @returns {Promise<Cesium.ImageryProvider|null>} 不加载底图时返回 null
+ */
+async function createImagery(imagery, ion) {
+  const { type, url, assetId = 2, format = 'xyz', rectangle, minimumLevel, maximumLevel, credit } = imagery;
+  const bounds = rectangle ? Cesium.Rectangle.fromDegrees(...rectangle) : undefined;
+  switch (type) {
+    case 'none':
+      return null;
+    case 'natural-earth':
+      return createNaturalEarthImagery();
+    case 'tiles':
+      if (!url) throw new Error('Tile imagery requires a url');
+      // tms 为 gdal2tiles 等工具生成的目录（含 tilemapresource.xml），xyz 为 {z}/{x}/{y} 模板地址
+      return format === 'tms'
+        ? Cesium.TileMapServiceImageryProvider.fromUrl(url, { rectangle: bounds, minimumLevel, maximumLevel, credit })
+        : new Cesium.UrlTemplateImageryProvider({ url, rectangle: bounds, minimumLevel, maximumLevel, credit });
+    case 'single':
+      if (!url) throw new Error('Single image imagery requires a url');
+      return Cesium.SingleTileImageryProvider.fromUrl(url, { rectangle: bounds, credit });
+    case 'ion':
+      if (!ion) throw new Error('Cesium Ion is disabled');
+      return Cesium.IonImageryProvider.fromAssetId(assetId);
+    default:
+      throw new Error(`Unknown imagery type: ${type}`);
+  }
+}
+
+/**
+ * 将初始相机配置应用到查看器
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} camera - 见 cesiumInit
+ */
+export function applyCamera(viewer, camera) {
+  const { destination, rectangle, heading = 0, pitch = -90, roll = 0 } = camera;
+  if (rectangle) {
+    viewer.camera.setView({ destination: Cesium.Rectangle.fromDegrees(...rectangle) });
+    return;
+  }
+  if (!destination) throw new Error('Initial camera requires a destination or a rectangle');
+  viewer.camera.setView({
+    destination: Cesium.Cartesian3.fromDegrees(...destination),
+    orientation: {
+      heading: Cesium.Math.toRadians(heading),
+      pitch: Cesium.Math.toRadians(pitch),
+      roll: Cesium.Math.toRadians(roll),
+    },
+  });
+}
+
 /**
  * 初始化 Cesium 查看器
+ * 地形与影像在创建查看器之前加载，Ion 服务不可达或超时时分别退回椭球地形与随 Cesium 发布的 Natural Earth 底图，
+ * 并关闭依赖 Ion 的图层选择与地名搜索控件，因此可以在离线环境和 CI 中运行。
  * @param {HTMLElement} cesiumRef - Cesium 容器 DOM 元素
+ * @param {Object} [config] - 配置
+ * @param {String} [config.ionToken=import.meta.env.VITE_CESIUM_TOKEN] - Ion 访问令牌，为空时不访问 Ion
+ * @param {Boolean} [config.ion=true] - 是否使用 Ion，为 false 时默认地形与影像改为椭球与 Natural Earth
+ * @param {Number} [config.ionTimeout=8000] - Ion 请求超时(毫秒)
+ * @param {String|Object} [config.terrain] - 地形，字符串为类型的简写：
+ *   { type: "ion", assetId, requestVertexNormals, requestWaterMask }（默认，assetId 为空时使用 Cesium World Terrain）、
+ *   { type: "quantized-mesh", url, requestVertexNormals, requestWaterMask }（本地 quantized-mesh 服务）、
+ *   { type: "ellipsoid" }
+ * @param {String|Object} [config.imagery] - 底图影像，字符串为类型的简写：
+ *   { type: "ion", assetId }（默认，assetId 默认为 2，即 Bing Maps）、
+ *   { type: "tiles", url, format: "xyz" | "tms", rectangle, minimumLevel, maximumLevel, credit }（本地瓦片）、
+ *   { type: "single", url, rectangle, credit }（单张图片）、
+ *   { type: "natural-earth" }（随 Cesium 发布的离线底图）、{ type: "none" }；rectangle 为 [西, 南, 东, 北](度)
+ * @param {Object} [config.widgets] - 控件开关，键与 Cesium.Viewer 的同名选项一致，未指定的使用 DEFAULT_WIDGETS
+ * @param {String} [config.sceneMode="3D"] - 场景模式："3D"、"2D" 或 "COLUMBUS_VIEW"
+ * @param {Object} [config.camera] - 初始相机：{ destination: [经度, 纬度, 高度], heading, pitch, roll }(度)
+ *   或 { rectangle: [西, 南, 东, 北] }
+ * @param {Boolean} [config.depthTestAgainstTerrain=true] - 是否开启地形深度测试
  * @returns {Promise<Cesium.Viewer>} - Cesium 查看器实例
  */
-export async function cesiumInit(cesiumRef) {
+export async function cesiumInit(cesiumRef, config = {}) {
+  const {
+    ionToken = import.meta.env.VITE_CESIUM_TOKEN,
+    ionTimeout = 8000,
+    widgets = {},
+    sceneMode = '3D',
+    camera,
+    depthTestAgainstTerrain = true,
+  } = config;
+  if (!(sceneMode in SCENE_MODES)) {
+    throw new Error(`Unknown scene mode: ${sceneMode}`);
+  }
+
   // 配置 Cesium Ion 访问令牌
-  Cesium.Ion.defaultAccessToken = import.meta.env.VITE_CESIUM_TOKEN;
+  let ion = config.ion !== false && !!ionToken;
+  if (ion) Cesium.Ion.defaultAccessToken = ionToken;
+
+  const normalize = (value, fallback) =>
+    typeof value === 'string' ? { type: value } : { type: fallback, ...value };
+  const terrain = normalize(config.terrain, ion ? 'ion' : 'ellipsoid');
+  const imagery = normalize(config.imagery, ion ? 'ion' : 'natural-earth');
+
+  let terrainProvider;
+  try {
+    terrainProvider = await withTimeout(createTerrain(terrain, ion), ionTimeout, 'Terrain');
+  } catch (e) {
+    console.warn(`Terrain "${terrain.type}" unavailable, falling back to ellipsoid:`, e);
+    if (terrain.type === 'ion') ion = false;
+    terrainProvider = new Cesium.EllipsoidTerrainProvider();
+  }
+
+  let imageryProvider;
+  try {
+    imageryProvider = await withTimeout(createImagery(imagery, ion), ionTimeout, 'Imagery');
+  } catch (e) {
+    console.warn(`Imagery "${imagery.type}" unavailable, falling back to Natural Earth:`, e);
+    if (imagery.type === 'ion') ion = false;
+    imageryProvider = await createNaturalEarthImagery().catch((error) => {
+      console.warn('Natural Earth imagery unavailable, showing the globe without imagery:', error);
+      return null;
+    });
+  }
+
+  // Ion 不可用时，图层选择与地名搜索默认关闭
+  const widgetOptions = {
+    ...DEFAULT_WIDGETS,
+    ...(ion ? {} : { baseLayerPicker: false, geocoder: false }),
+    ...widgets,
+  };
+
+  // 未指定影像且 Ion 可用时，底图交给图层选择控件管理，保持其选中状态
+  const pickerManaged = ion && config.imagery === undefined && widgetOptions.baseLayerPicker;
   const viewer = new Cesium.Viewer(cesiumRef, {
-    selectionIndicator: false,
-    homeButton: false,
-    sceneModePicker: false,
-    navigationHelpButton: false,
-    animation: false,
-    timeline: false,
-    selectionIndicator: false,
-    infoBox: false,
-    terrainProvider: await Cesium.createWorldTerrainAsync(),
+    ...widgetOptions,
+    sceneMode: SCENE_MODES[sceneMode],
+    terrainProvider,
+    ...(pickerManaged ? {} : { baseLayer: imageryProvider ? new Cesium.ImageryLayer(imageryProvider) : false }),
   });
 
   // 开启深度测试，确保模型在地形上
-  viewer.scene.globe.depthTestAgainstTerrain = true;
+  viewer.scene.globe.depthTestAgainstTerrain = depthTestAgainstTerrain;
+
+  if (camera) applyCamera(viewer, camera);
 
   return viewer;
-}
\ No newline at end of file
+}
@@ -0,0 +1,736 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import { mergeFootprint } from "./footprintMerge.js";
+import { circleRegion } from "./region.js";
+import { marchRay } from "./terrain.js";
+
+/**
+ * 覆盖计算引擎
+ * 只依赖 Cesium 的数学库与 turf，不依赖 Viewer / WebGL，可在 Node、测试或服务端运行。
+ * createIntersectionPolygon 在此模块之上负责渲染。
+ */
+
+const LOCAL_BEAM_DIRECTION = new Cesium.Cartesian3(0, 0, -1);
+
+/**
+ * 根据圆锥朝向计算光束方向
+ * createCone 中圆锥局部 +Z 轴由目标指向尖端，因此光束方向为局部 -Z 轴
+ * @param {Cesium.Quaternion} orientation 圆锥方向四元数
+ * @param {Cesium.Cartesian3} [result]
+ * @returns {Cesium.Cartesian3} 单位向量
+ */
+export function getConeAxis(orientation, result = new Cesium.Cartesian3()) {
+  const rotationMatrix = Cesium.Matrix3.fromQuaternion(orientation);
+  Cesium.Matrix3.multiplyByVector(rotationMatrix, LOCAL_BEAM_DIRECTION, result);
+  return Cesium.Cartesian3.normalize(result, result);
+}
+
+/**
+ * 构建与主轴正交的局部坐标系 (tangent, bitangent)
+ * @param {Cesium.Cartesian3} axis 单位主轴
+ * @returns {{tangent: Cesium.Cartesian3, bitangent: Cesium.Cartesian3}}
+ */
+function buildAxisFrame(axis) {
+  const tangent = new Cesium.Cartesian3();
+  const up = Cesium.Cartesian3.UNIT_Z;
+
+  // 如果 axis 接近垂直向上/向下，使用 X 轴作为参考
+  if (Math.abs(Cesium.Cartesian3.dot(axis, up)) > 0.99) {
+    Cesium.Cartesian3.cross(axis, Cesium.Cartesian3.UNIT_X, tangent);
+  } else {
+    Cesium.Cartesian3.cross(axis, up, tangent);
+  }
+  Cesium.Cartesian3.normalize(tangent, tangent);
+
+  const bitangent = Cesium.Cartesian3.cross(axis, tangent, new Cesium.Cartesian3());
+  Cesium.Cartesian3.normalize(bitangent, bitangent);
+
+  return { tangent, bitangent };
+}
+
+/**
+ * 计算点集的经纬度平均质心（贴地）
+ * @param {Cesium.Cartesian3[]} positions
+ * @param {Cesium.Ellipsoid} [ellipsoid]
+ * @returns {Cesium.Cartesian3|undefined}
+ */
+export function computeCentroid(positions, ellipsoid = Cesium.Ellipsoid.WGS84) {
+  if (positions.length === 0) return undefined;
+
+  let sumLon = 0, sumLat = 0;
+  positions.forEach(p => {
+    const c = Cesium.Cartographic.fromCartesian(p, ellipsoid);
+    sumLon += c.longitude;
+    sumLat += c.latitude;
+  });
+
+  return Cesium.Cartesian3.fromRadians(
+    sumLon / positions.length,
+    sumLat / positions.length,
+    0,
+    ellipsoid,
+  );
+}
+
+/**
+ * 将笛卡尔坐标点集转换为闭合的 GeoJSON 线环 ([经度, 纬度] 度)
+ * @param {Cesium.Cartesian3[]} positions
+ * @param {Cesium.Ellipsoid} [ellipsoid]
+ * @returns {Array<number[]>|null} 点数不足 3 个时返回 null
+ */
+export function toLinearRing(positions, ellipsoid = Cesium.Ellipsoid.WGS84) {
+  if (positions.length < 3) return null;
+
+  const coordinates = positions.map(p => {
+    const c = Cesium.Cartographic.fromCartesian(p, ellipsoid);
+    return [Cesium.Math.toDegrees(c.longitude), Cesium.Math.toDegrees(c.latitude)];
+  });
+  // Turf 需要首尾闭合
+  coordinates.push(coordinates[0]);
+  return coordinates;
+}
+
+/**
+ * 计算距顶点斜距不超过 range 的地面范围半径（沿地表的大圆距离）
+ * 以顶点正下方为圆心，按局部球面近似，并限制在地平线以内
+ * @param {Cesium.Cartesian3} apex 顶点位置
+ * @param {Number} range 斜距(米)
+ * @param {Cesium.Ellipsoid} [ellipsoid]
+ * @returns {{center: Number[], radius: Number}|null} 圆心 [经度, 纬度] 与半径(米)，斜距够不到地面时返回 null
+ */
+export function computeRangeCircle(apex, range, ellipsoid = Cesium.Ellipsoid.WGS84) {
+  const c = Cesium.Cartographic.fromCartesian(apex, ellipsoid);
+  if (!c) return null;
+
+  const nadir = Cesium.Cartesian3.fromRadians(c.longitude, c.latitude, 0, ellipsoid);
+  const earthRadius = Cesium.Cartesian3.magnitude(nadir);
+  const height = Math.max(c.height, 0);
+  if (range <= height) return null;
+
+  // 余弦定理：range² = (R+h)² + R² - 2R(R+h)cosγ
+  const r = earthRadius;
+  const cosGamma = ((r + height) ** 2 + r ** 2 - range ** 2) / (2 * r * (r + height));
+  const horizonGamma = Math.acos(r / (r + height));
+  const gamma = Math.min(Math.acos(Cesium.Math.clamp(cosGamma, -1, 1)), horizonGamma);
+
+  return {
+    center: [Cesium.Math.toDegrees(c.longitude), Cesium.Math.toDegrees(c.latitude)],
+    radius: gamma * r,
+  };
+}
+
+/**
+ * 计算斜距在 [minRange, maxRange] 之间的地面区域（圆或圆环）
+ * @param {Cesium.Cartesian3} apex 顶点位置
+ * @param {Object} options
+ * @param {Number} [options.minRange=0] 最小作用距离(米)
+ * @param {Number} options.maxRange 最大作用距离(米)
+ * @param {Cesium.Ellipsoid} [options.ellipsoid]
+ * @returns {Object|null} GeoJSON Feature，范围内没有地面时返回 null
+ */
+export function computeRangeRegion(apex, options) {
+  const { minRange = 0, maxRange, ellipsoid = Cesium.Ellipsoid.WGS84 } = options;
+
+  const far = computeRangeCircle(apex, maxRange, ellipsoid);
+  if (!far) return null;
+  const farRegion = circleRegion(far.center, far.radius);
+
+  const near = minRange > 0 ? computeRangeCircle(apex, minRange, ellipsoid) : null;
+  if (!near) return farRegion;
+  return turf.difference(
+    turf.featureCollection([farRegion, circleRegion(near.center, near.radius)]),
+  );
+}
+
+/**
+ * 将一组从顶点出发的射线投影到地面（椭球面或地形），得到按作用距离截断的足迹
+ * 超出 maxRange 或未命中地面的射线，以其方位角上最大作用范围之外的地面点代替，
+ * 再与作用距离区域求交，使足迹在圆锥末端悬空处沿距离圆正确截断
+ * @param {Cesium.Cartesian3} apex 顶点位置
+ * @param {Cesium.Cartesian3[]} directions 单位射线方向，按边界顺序排列
+ * @param {Object} [options]
+ * @param {Cesium.Ellipsoid} [options.ellipsoid=Cesium.Ellipsoid.WGS84]
+ * @param {Number} [options.minRange=0] 最小作用距离(米)
+ * @param {Number} [options.maxRange=Infinity] 最大作用距离(米)
+ * @param {Cesium.Cartesian3} [options.axis] 主轴方向，用于判断边界射线全部落空时中心是否命中地面
+ * @param {Object} [options.terrain] 高程采样器（见 terrain.js），提供时射线与地形求交
+ * @returns {{positions: Cesium.Cartesian3[], coordinates: Array<number[]>|null, geojson: Object|null, centroid: Cesium.Cartesian3|undefined}}
+ */
+export function projectRays(apex, directions, options = {}) {
+  const {
+    ellipsoid = Cesium.Ellipsoid.WGS84,
+    minRange = 0,
+    maxRange = Infinity,
+    axis,
+    terrain,
+  } = options;
+
+  // 射线到地面的距离：有高程采样器时沿射线步进与地形求交，否则与椭球求交
+  const intersectGround = (ray) => {
+    if (terrain) {
+      const hit = marchRay(ray, terrain, { ellipsoid, maxDistance: maxRange });
+      return hit ? hit.distance : undefined;
+    }
+    const intersection = Cesium.IntersectionTests.rayEllipsoid(ray, ellipsoid);
+    return intersection ? intersection.start : undefined; // start 是距离
+  };
+
+  const limited = Number.isFinite(maxRange);
+  const farCircle = limited ? computeRangeCircle(apex, maxRange, ellipsoid) : null;
+  const empty = { positions: [], coordinates: null, geojson: null, centroid: undefined };
+  if (limited && !farCircle) return empty;
+
+  const enu = Cesium.Transforms.eastNorthUpToFixedFrame(apex, ellipsoid);
+  const east = Cesium.Cartesian3.fromCartesian4(Cesium.Matrix4.getColumn(enu, 0, new Cesium.Cartesian4()));
+  const north = Cesium.Cartesian3.fromCartesian4(Cesium.Matrix4.getColumn(enu, 1, new Cesium.Cartesian4()));
+
+  const positions = [];
+  let hits = 0;
+  directions.forEach((dir) => {
+    const ray = new Cesium.Ray(apex, dir);
+    const distance = intersectGround(ray);
+
+    if (distance !== undefined && distance <= maxRange) {
+      positions.push(Cesium.Ray.getPoint(ray, distance));
+      hits++;
+      return;
+    }
+    if (!limited) return;
+
+    // 沿射线方位角取最大作用范围之外的地面点，随后由距离区域截断
+    const bearing = Math.atan2(
+      Cesium.Cartesian3.dot(dir, east),
+      Cesium.Cartesian3.dot(dir, north),
+    );
+    const outside = turf.destination(
+      farCircle.center,
+      (farCircle.radius * 1.05) / 1000,
+      Cesium.Math.toDegrees(bearing),
+      { units: "kilometers" },
+    ).geometry.coordinates;
+    positions.push(Cesium.Cartesian3.fromDegrees(outside[0], outside[1], 0, ellipsoid));
+  });
+
+  // 边界射线全部落空时，只有主轴命中地面才说明圆锥内部看得到地面
+  if (hits === 0) {
+    const axisHit = axis ? intersectGround(new Cesium.Ray(apex, axis)) : undefined;
+    if (axisHit === undefined || axisHit > maxRange) return empty;
+  }
+
+  const coordinates = toLinearRing(positions, ellipsoid);
+  let geojson = null;
+  if (coordinates) {
+    try {
+      geojson = turf.polygon([coordinates]);
+      if (limited || minRange > 0) {
+        const range = computeRangeRegion(apex, { minRange, maxRange, ellipsoid });
+        geojson = range ? turf.intersect(turf.featureCollection([geojson, range])) : null;
+      }
+    } catch (e) {
+      // 忽略无效多边形（如自相交）
+      console.warn("Footprint construction failed:", e);
+      geojson = null;
+    }
+  }
+
+  return {
+    positions,
+    coordinates,
+    geojson,
+    centroid: geojson ? centroidOf(geojson, ellipsoid) : undefined,
+  };
+}
+
+/**
+ * 计算圆锥在椭球面上的足迹
+ * @param {Object} options
+ * @param {Cesium.Cartesian3} options.apex 圆锥顶点 (尖端) 位置
+ * @param {Cesium.Quaternion} [options.orientation] 圆锥方向四元数，光束为局部 -Z 轴
+ * @param {Cesium.Cartesian3} [options.direction] 光束方向，未提供 orientation 时使用
+ * @param {Number} options.coneAngle 圆锥切面的最大夹角（弧度）
+ * @param {Number} [options.length] 圆锥长度(米)，未指定 maxRange 时作为最大作用距离
+ * @param {Number} [options.maxRange] 最大作用距离(米)，默认等于 length，均未指定时不限距离
+ * @param {Number} [options.minRange=0] 最小作用距离(米)
+ * @param {Cesium.Ellipsoid} [options.ellipsoid=Cesium.Ellipsoid.WGS84] 求交椭球体
+ * @param {Object} [options.terrain] 高程采样器（见 terrain.js），提供时射线与地形求交
+ * @param {Number} [options.samples=72] 圆周采样射线数
+ * @returns {{positions: Cesium.Cartesian3[], coordinates: Array<number[]>|null, geojson: Object|null, centroid: Cesium.Cartesian3|undefined}}
+ */
+export function computeConeFootprint(options) {
+  const {
+    apex,
+    orientation,
+    direction,
+    coneAngle,
+    length,
+    maxRange = length ?? Infinity,
+    minRange = 0,
+    ellipsoid = Cesium.Ellipsoid.WGS84,
+    terrain,
+    samples = 72,
+  } = options;
+
+  const empty = { positions: [], coordinates: null, geojson: null, centroid: undefined };
+
+  // 1. 计算圆锥主轴向量（光束方向）
+  let axis;
+  if (orientation) {
+    axis = getConeAxis(orientation);
+  } else if (direction) {
+    axis = Cesium.Cartesian3.clone(direction);
+  } else {
+    return empty;
+  }
+
+  // 检查 axis 是否为零向量或无效
+  if (
+    !apex ||
+    isNaN(axis.x) ||
+    Cesium.Cartesian3.magnitudeSquared(axis) < Cesium.Math.EPSILON10
+  ) {
+    return empty;
+  }
+  Cesium.Cartesian3.normalize(axis, axis);
+
+  // 2. 构建局部坐标系
+  const { tangent, bitangent } = buildAxisFrame(axis);
+
+  // 3. 构建圆周射线：主轴方向 + 径向偏移
+  const directions = [];
+  const tanHalfAngle = Math.tan(coneAngle / 2);
+  const radial = new Cesium.Cartesian3();
+  const tComponent = new Cesium.Cartesian3();
+  const bComponent = new Cesium.Cartesian3();
+
+  for (let i = 0; i < samples; i++) {
+    const theta = (Cesium.Math.TWO_PI * i) / samples;
+
+    Cesium.Cartesian3.multiplyByScalar(tangent, Math.cos(theta), tComponent);
+    Cesium.Cartesian3.multiplyByScalar(bitangent, Math.sin(theta), bComponent);
+    Cesium.Cartesian3.add(tComponent, bComponent, radial);
+    Cesium.Cartesian3.multiplyByScalar(radial, tanHalfAngle, radial);
+
+    const rayDir = Cesium.Cartesian3.add(axis, radial, new Cesium.Cartesian3());
+    directions.push(Cesium.Cartesian3.normalize(rayDir, rayDir));
+  }
+
+  // 4. 射线与地面求交，并按作用距离截断
+  return projectRays(apex, directions, { ellipsoid, minRange, maxRange, axis, terrain });
+}
+
+/**
+ * 计算矩形视场（视锥）传感器在椭球面上的足迹
+ * 局部坐标系与圆锥一致：光束为 -Z，水平视场沿局部 X 轴，垂直视场沿局部 Y 轴，roll 绕光束旋转
+ * @param {Object} options
+ * @param {Cesium.Cartesian3} options.apex 传感器顶点 (尖端) 位置
+ * @param {Cesium.Quaternion} [options.orientation] 传感器方向四元数
+ * @param {Cesium.Cartesian3} [options.direction] 光束方向，未提供 orientation 时使用
+ * @param {Number} options.horizontalAngle 水平视场角（弧度）
+ * @param {Number} options.verticalAngle 垂直视场角（弧度）
+ * @param {Number} [options.roll=0] 绕光束的滚转角（弧度）
+ * @param {Number} [options.length] 传感器长度(米)，未指定 maxRange 时作为最大作用距离
+ * @param {Number} [options.maxRange] 最大作用距离(米)
+ * @param {Number} [options.minRange=0] 最小作用距离(米)
+ * @param {Cesium.Ellipsoid} [options.ellipsoid=Cesium.Ellipsoid.WGS84] 求交椭球体
+ * @param {Object} [options.terrain] 高程采样器（见 terrain.js），提供时射线与地形求交
+ * @param {Number} [options.samplesPerEdge=8] 每条边的采样射线数（边在地面上的投影为曲线）
+ * @returns {{positions: Cesium.Cartesian3[], coordinates: Array<number[]>|null, geojson: Object|null, centroid: Cesium.Cartesian3|undefined}}
+ */
+export function computeFrustumFootprint(options) {
+  const {
+    apex,
+    orientation,
+    direction,
+    horizontalAngle,
+    verticalAngle,
+    roll = 0,
+    length,
+    maxRange = length ?? Infinity,
+    minRange = 0,
+    ellipsoid = Cesium.Ellipsoid.WGS84,
+    terrain,
+    samplesPerEdge = 8,
+  } = options;
+
+  const empty = { positions: [], coordinates: null, geojson: null, centroid: undefined };
+  if (!apex) return empty;
+
+  // 1. 局部坐标系 (x, y, 光束)
+  let rotation;
+  if (orientation) {
+    rotation = Cesium.Matrix3.fromQuaternion(orientation);
+  } else if (direction && Cesium.Cartesian3.magnitudeSquared(direction) > Cesium.Math.EPSILON10) {
+    const axis = Cesium.Cartesian3.normalize(direction, new Cesium.Cartesian3());
+    const { tangent, bitangent } = buildAxisFrame(axis);
+    const back = Cesium.Cartesian3.negate(axis, new Cesium.Cartesian3());
+    // 右手系：bitangent × tangent = -axis
+    rotation = Cesium.Matrix3.fromColumnMajorArray([
+      bitangent.x, bitangent.y, bitangent.z,
+      tangent.x, tangent.y, tangent.z,
+      back.x, back.y, back.z,
+    ]);
+  } else {
+    return empty;
+  }
+  if (isNaN(rotation[0])) return empty;
+  Cesium.Matrix3.multiply(rotation, Cesium.Matrix3.fromRotationZ(roll), rotation);
+
+  // 2. 沿矩形边界逆时针采样射线
+  const tanH = Math.tan(horizontalAngle / 2);
+  const tanV = Math.tan(verticalAngle / 2);
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+  const directions = [];
+  for (let c = 0; c < 4; c++) {
+    const [u0, v0] = corners[c];
+    const [u1, v1] = corners[(c + 1) % 4];
+    for (let k = 0; k < samplesPerEdge; k++) {
+      const t = k / samplesPerEdge;
+      const local = new Cesium.Cartesian3(
+        (u0 + (u1 - u0) * t) * tanH,
+        (v0 + (v1 - v0) * t) * tanV,
+        -1,
+      );
+      const dir = Cesium.Matrix3.multiplyByVector(rotation, local, new Cesium.Cartesian3());
+      directions.push(Cesium.Cartesian3.normalize(dir, dir));
+    }
+  }
+
+  const axis = Cesium.Matrix3.multiplyByVector(rotation, LOCAL_BEAM_DIRECTION, new Cesium.Cartesian3());
+
+  // 3. 射线与椭球体求交，并按作用距离截断
+  return projectRays(apex, directions, { ellipsoid, minRange, maxRange, axis, terrain });
+}
+
+/**
+ * 按传感器类型计算足迹
+ * @param {Object} sensor 传感器参数；type 为 "frustum" 时见 computeFrustumFootprint，否则见 computeConeFootprint
+ * @returns {{positions: Cesium.Cartesian3[], coordinates: Array<number[]>|null, geojson: Object|null, centroid: Cesium.Cartesian3|undefined}}
+ */
+export function computeSensorFootprint(sensor) {
+  return sensor.type === "frustum"
+    ? computeFrustumFootprint(sensor)
+    : computeConeFootprint(sensor);
+}
+
+/**
+ * 将完整足迹与地面区域求交
+ * @param {Object|null} footprint 足迹 GeoJSON Feature
+ * @param {Object} [region] 地面区域 GeoJSON Feature (Polygon / MultiPolygon)，为空时不裁剪
+ * @returns {Object|null} 裁剪后的 GeoJSON Feature，无交集时返回 null
+ */
+export function clipFootprint(footprint, region) {
+  if (!footprint) return null;
+  if (!region) return footprint;
+
+  try {
+    return turf.intersect(turf.featureCollection([footprint, region]));
+  } catch (e) {
+    // 忽略无效多边形（如自相交）
+    console.warn("Footprint clipping failed:", e);
+    return null;
+  }
+}
+
+// GeoJSON 要素的质心（贴地）
+function centroidOf(feature, ellipsoid) {
+  const [lon, lat] = turf.centroid(feature).geometry.coordinates;
+  return Cesium.Cartesian3.fromDegrees(lon, lat, 0, ellipsoid);
+}
+
+/**
+ * 取 GeoJSON 要素中面积最大的多边形外环
+ * @param {Object|null} feature GeoJSON Feature (Polygon / MultiPolygon)
+ * @param {Cesium.Ellipsoid} [ellipsoid]
+ * @returns {Cesium.Cartesian3[]}
+ */
+function largestOuterRing(feature, ellipsoid = Cesium.Ellipsoid.WGS84) {
+  if (!feature) return [];
+
+  const polygons = feature.geometry.type === "Polygon"
+    ? [feature.geometry.coordinates]
+    : feature.geometry.coordinates;
+  let best = null, bestArea = -1;
+  polygons.forEach(coords => {
+    const area = turf.area(turf.polygon(coords));
+    if (area > bestArea) {
+      best = coords;
+      bestArea = area;
+    }
+  });
+
+  // 去掉闭合点
+  return best[0].slice(0, -1).map(c => Cesium.Cartesian3.fromDegrees(c[0], c[1], 0, ellipsoid));
+}
+
+/**
+ * 创建足迹累积器，对多个圆锥的足迹求并集
+ * @param {Object} [options]
+ * @param {Number} [options.minDistance=100] 同一圆锥两次记录之间质心的最小移动距离(米)
+ * @param {Number} [options.tolerance=0.0001] 并集简化容差(度)
+ * @param {Array} [options.scanPositions] 扫描轨迹点数组，传入时会被就地追加
+ * @param {Number} [options.maxScanPositions=200] 扫描轨迹最大点数
+ * @param {Object} [options.union] 初始累积足迹 GeoJSON Feature，用于恢复已保存的任务
+ * @param {Array<{time: Cesium.JulianDate, position: Cesium.Cartesian3, key: *}>} [options.track] 初始带时间戳的扫描轨迹
+ * @param {Object} [options.merger] createFootprintMerger 创建的异步合并器（见 footprintMerge.js）。
+ *   提供时并集在合并器中计算：union / sensorUnions 为最近一次返回的结果，snapshot() 在结果返回前带有 pending 标记，
+ *   结果返回后原地更新快照并调用 onMerge
+ * @param {Function} [options.onMerge] 异步合并完成后的回调 (state) => void，state 为已更新的快照
+ * @returns {Object} 累积器
+ */
+export function createFootprintAccumulator(options = {}) {
+  const {
+    minDistance = 100,
+    tolerance = 0.0001,
+    scanPositions = [],
+    maxScanPositions = 200,
+    merger,
+    onMerge = () => {},
+  } = options;
+
+  let union = options.union || null; // 累积的 GeoJSON 区域 (所有圆锥共享)
+  const track = options.track ? [...options.track] : []; // 带时间戳的扫描轨迹
+  const sensorUnions = new Map(); // 每个圆锥各自的累积区域
+  const lastFootprintPos = new Map(); // 每个圆锥维护自己的上次记录位置，避免相互干扰
+
+  // 异步合并：本步待合并的足迹、已发送的最后编号与等待结果的快照
+  let queued = [];
+  let mergeId = 0;
+  let nextMergeId = 1; // 编号只增不减，回退后仍在途的旧结果不会被误认
+  let receivedId = 0; // 已收到的最后一个结果编号，合并器只淘汰已收到的结果
+  const pendingStates = new Map(); // 编号 -> 等待该编号结果的快照
+
+  if (merger) {
+    merger.post({ type: "init", union });
+    merger.onResult((result) => {
+      const states = pendingStates.get(result.id);
+      if (!states) return; // 已被 restore 丢弃
+      pendingStates.delete(result.id);
+      receivedId = result.id;
+
+      union = result.union;
+      sensorUnions.clear();
+      result.sensorUnions.forEach(([key, value]) => sensorUnions.set(key, value));
+      states.forEach((state) => {
+        state.union = union;
+        state.sensorUnions = new Map(sensorUnions);
+        state.pending = false;
+        onMerge(state);
+      });
+    });
+  }
+
+  // 发送本步待合并的足迹
+  function flush() {
+    if (!merger || queued.length === 0) return;
+    mergeId = nextMergeId++;
+    merger.post({ type: "merge", id: mergeId, footprints: queued, received: receivedId });
+    pendingStates.set(mergeId, []);
+    queued = [];
+  }
+
+  return {
+    scanPositions,
+    track,
+
+    /** @returns {Object|null} 累积足迹 GeoJSON Feature (Polygon / MultiPolygon) */
+    get union() {
+      return union;
+    },
+
+    /** @returns {Map<*, Object>} 圆锥标识 -> 该圆锥的累积足迹 GeoJSON Feature */
+    get sensorUnions() {
+      return sensorUnions;
+    },
+
+    /**
+     * 加入一次足迹
+     * @param {*} key 圆锥标识
+     * @param {{geojson: Object|null, centroid: Cesium.Cartesian3|undefined}} footprint 已裁剪的足迹
+     * @param {Cesium.JulianDate} [time] 足迹对应的时刻，记录到 track 中
+     * @returns {Boolean} 并集是否已发生变化；使用异步合并器时足迹只是排队等待合并，返回 false，合并结果由 onMerge 通知
+     */
+    add(key, footprint, time) {
+      const { geojson, centroid } = footprint;
+      if (!geojson || !centroid) return false;
+
+      scanPositions.push(centroid);
+      // 限制轨迹长度
+      if (scanPositions.length > maxScanPositions) scanPositions.shift();
+      if (time) {
+        track.push({ time: Cesium.JulianDate.clone(time), position: centroid, key });
+        if (track.length > maxScanPositions) track.shift();
+      }
+
+      // 只有当位置移动超过一定距离时才记录，避免过于密集
+      const last = lastFootprintPos.get(key);
+      if (last && Cesium.Cartesian3.distance(centroid, last) <= minDistance) {
+        return false;
+      }
+      lastFootprintPos.set(key, centroid);
+
+      if (merger) {
+        queued.push({ key, geojson });
+        return false;
+      }
+
+      try {
+        union = mergeFootprint(union, geojson, tolerance);
+        sensorUnions.set(key, mergeFootprint(sensorUnions.get(key), geojson, tolerance));
+        return true;
+      } catch (e) {
+        // 忽略无效多边形构建错误
+        console.warn("Polygon construction failed:", e);
+        return false;
+      }
+    },
+
+    /**
+     * 记录当前累积状态，GeoJSON 不会被原地修改，快照只保存引用
+     * 使用异步合并器时同时发送此前加入的足迹；结果返回前快照中为上一次的合并结果，pending 为 true
+     * @returns {{union: Object|null, sensorUnions: Map, lastPositions: Map, trackLength: Number, scanLength: Number,
+     *   mergeId: Number, pending: Boolean}}
+     */
+    snapshot() {
+      flush();
+      const state = {
+        union,
+        sensorUnions: new Map(sensorUnions),
+        lastPositions: new Map(lastFootprintPos),
+        trackLength: track.length,
+        scanLength: scanPositions.length,
+        mergeId,
+        pending: pendingStates.has(mergeId),
+      };
+      if (state.pending) pendingStates.get(mergeId).push(state);
+      return state;
+    },
+
+    /**
+     * 恢复到 snapshot() 记录的状态（要求此后轨迹未因超出 maxScanPositions 被截断）
+     * @param {Object} state snapshot() 的返回值
+     */
+    restore(state) {
+      if (merger) {
+        // 合并器只保留最近的结果，已收到结果的快照同时携带状态，供编号已被淘汰时恢复
+        merger.post(state.pending
+          ? { type: "restore", id: state.mergeId }
+          : { type: "restore", id: state.mergeId, union: state.union, sensorUnions: [...state.sensorUnions] });
+        pendingStates.forEach((_, id) => {
+          if (id > state.mergeId) pendingStates.delete(id);
+        });
+        queued = [];
+        mergeId = state.mergeId;
+      }
+      union = state.union;
+      sensorUnions.clear();
+      state.sensorUnions.forEach((value, key) => sensorUnions.set(key, value));
+      lastFootprintPos.clear();
+      state.lastPositions.forEach((value, key) => lastFootprintPos.set(key, value));
+      track.length = state.trackLength;
+      scanPositions.length = state.scanLength;
+    },
+
+    /** 清空累积结果 */
+    reset() {
+      if (merger) {
+        merger.post({ type: "init", union: null });
+        pendingStates.clear();
+        queued = [];
+        mergeId = 0;
+      }
+      union = null;
+      sensorUnions.clear();
+      lastFootprintPos.clear();
+      scanPositions.length = 0;
+      track.length = 0;
+    },
+  };
+}
+
+/**
+ * 将带时间戳的扫描轨迹按圆锥和时间间隔划分为过境段
+ * 轨迹只在足迹落入地面区域时记录，同一圆锥相邻两点的时间间隔超过 maxGap 即视为离开区域，开始新的过境段
+ * @param {Array<{time: Cesium.JulianDate, position: Cesium.Cartesian3, key: *}>} track 扫描轨迹（按时间顺序）
+ * @param {Object} [options]
+ * @param {Number} [options.maxGap=1.5] 同一过境段内相邻两点的最大时间间隔(秒)
+ * @returns {Array<{key: *, start: Cesium.JulianDate, stop: Cesium.JulianDate, positions: Cesium.Cartesian3[], times: Cesium.JulianDate[], length: Number}>}
+ *   length 为相邻轨迹点直线距离之和(米)；结果按开始时间排序
+ */
+export function computeScanPasses(track, options = {}) {
+  const { maxGap = 1.5 } = options;
+
+  const passes = [];
+  const openPasses = new Map(); // 圆锥标识 -> 当前过境段
+
+  track.forEach(({ time, position, key }) => {
+    let pass = openPasses.get(key);
+    if (pass && Cesium.JulianDate.secondsDifference(time, pass.stop) > maxGap) {
+      pass = undefined;
+    }
+
+    if (!pass) {
+      pass = { key, start: time, stop: time, positions: [], times: [], length: 0 };
+      passes.push(pass);
+      openPasses.set(key, pass);
+    } else {
+      pass.length += Cesium.Cartesian3.distance(pass.positions[pass.positions.length - 1], position);
+      pass.stop = time;
+    }
+    pass.positions.push(position);
+    pass.times.push(time);
+  });
+
+  return passes;
+}
+
+/**
+ * 计算多个圆锥累积足迹的重叠区域（被两个及以上圆锥覆盖的地面）
+ * @param {Iterable<Object>} unions 各圆锥的累积足迹 GeoJSON Feature
+ * @returns {Object|null} 重叠区域 GeoJSON Feature，无重叠时返回 null
+ */
+export function computeOverlap(unions) {
+  const features = [...unions].filter(Boolean);
+  let overlap = null;
+
+  for (let i = 0; i < features.length; i++) {
+    for (let j = i + 1; j < features.length; j++) {
+      try {
+        const part = turf.intersect(turf.featureCollection([features[i], features[j]]));
+        if (!part) continue;
+        overlap = overlap ? turf.union(turf.featureCollection([overlap, part])) : part;
+      } catch (e) {
+        console.warn("Overlap computation failed:", e);
+      }
+    }
+  }
+  return overlap;
+}
+
+/**
+ * 计算单个传感器在某一时刻的足迹，裁剪到地面区域后加入累积器
+ * @param {Object} options
+ * @param {Object} options.sensor 传感器参数，见 computeSensorFootprint
+ * @param {Object} [options.region] 地面区域 GeoJSON Feature，为空时不裁剪
+ * @param {Object} [options.accumulator] createFootprintAccumulator 创建的累积器，为空时只计算不累积
+ * @param {*} [options.key] 圆锥标识，默认使用 accumulator 本身
+ * @param {Cesium.JulianDate} [options.time] 当前时刻，用于带时间戳的扫描轨迹
+ * @returns {{ring: Cesium.Cartesian3[], geojson: Object|null, centroid: Cesium.Cartesian3|undefined, union: Object|null, changed: Boolean}}
+ *   changed 为累积器的并集是否已改变，见 createFootprintAccumulator 的 add
+ */
+export function computeCoverage(options) {
+  const { sensor, region, accumulator, key = accumulator, time } = options;
+  const { ellipsoid = Cesium.Ellipsoid.WGS84 } = sensor;
+
+  const footprint = computeSensorFootprint(sensor);
+  const geojson = clipFootprint(footprint.geojson, region);
+  const centroid = geojson ? centroidOf(geojson, ellipsoid) : undefined;
+
+  const changed = accumulator ? accumulator.add(key, { geojson, centroid }, time) : false;
+  return {
+    ring: largestOuterRing(geojson, ellipsoid),
+    geojson,
+    centroid,
+    union: accumulator ? accumulator.union : null,
+    changed,
+  };
+}
@@ -0,0 +1,307 @@
+import * as Cesium from "cesium";
+import { computeRangeCircle } from "./coverage.js";
+import { resolveProperty } from "./property.js";
+import { circleRegion } from "./region.js";
+
+/**
+ * 覆盖图层
+ * createIntersectionPolygon 使用的实体图层：足迹、重访热力图、扫描轨迹与作用距离圈。
+ */
+
+/**
+ * 创建图层分组实体：图层内的实体以其为 parent，切换分组的 show 即可整体显示或隐藏，
+ * 图层内各实体的 show 只表示是否有内容
+ * @param {Viewer} viewer - Cesium 查看器实例
+ * @param {String} name - 分组名称
+ * @param {Boolean} show - 初始是否显示
+ * @returns {Entity}
+ */
+export function createLayerGroup(viewer, name, show) {
+  return viewer.entities.add({ name, show });
+}
+
+/**
+ * 创建足迹图层：用实体池渲染一个 GeoJSON (Polygon / MultiPolygon)
+ * 每次更新都会替换各实体的 PolygonHierarchy，Cesium 随之重建地面几何；部分较多时使用 footprintPrimitives.js
+ * @param {Viewer} viewer - Cesium 查看器实例
+ * @param {Object} options - { name, color, show, zIndex }
+ * @returns {Object} - { entities, update(geojson), setStyle({ color }), show, destroy() }
+ */
+export function createFootprintLayer(viewer, options) {
+  const { name, show = true, zIndex } = options;
+  let color = options.color;
+  const entities = []; // 实体池
+  const group = createLayerGroup(viewer, `${name}Layer`, show);
+
+  function update(geojson) {
+    if (!geojson) {
+      entities.forEach(ent => { ent.show = false; });
+      return;
+    }
+
+    const polygons = geojson.geometry.type === "Polygon"
+      ? [geojson.geometry.coordinates]
+      : geojson.geometry.coordinates;
+
+    // 确保池大小足够
+    while (entities.length < polygons.length) {
+      const ent = viewer.entities.add({
+        name: name,
+        parent: group,
+        polygon: {
+          hierarchy: new Cesium.PolygonHierarchy([]), // 初始为空
+          material: color,
+          zIndex: zIndex, // 确保在地面区域之上
+          classificationType: Cesium.ClassificationType.BOTH
+        }
+      });
+      entities.push(ent);
+    }
+
+    // 更新每个实体
+    polygons.forEach((coords, index) => {
+      const ent = entities[index];
+
+      // 验证外环点数：至少需要 4 个点 (A, B, C, A) 才能构成一个封闭多边形
+      // GeoJSON 规范要求 LinearRing 至少有 4 个位置
+      if (!coords[0] || coords[0].length < 4) {
+        ent.show = false;
+        return;
+      }
+
+      ent.show = true;
+
+      // 转换坐标: coords[0] 是外环，coords[1...] 是内环（孔）
+      const exterior = coords[0].map(c => Cesium.Cartesian3.fromDegrees(c[0], c[1]));
+      const holes = coords.slice(1).map(hole =>
+        new Cesium.PolygonHierarchy(hole.map(c => Cesium.Cartesian3.fromDegrees(c[0], c[1])))
+      );
+
+      ent.polygon.hierarchy = new Cesium.ConstantProperty(new Cesium.PolygonHierarchy(exterior, holes));
+    });
+
+    // 隐藏多余的实体
+    for (let i = polygons.length; i < entities.length; i++) {
+      entities[i].show = false;
+    }
+  }
+
+  // 实体多边形贴地时不支持边线，只能修改颜色
+  function setStyle(style) {
+    if (!style.color) return;
+    color = style.color;
+    entities.forEach(ent => { ent.polygon.material = color; });
+  }
+
+  function destroy() {
+    entities.forEach(ent => viewer.entities.remove(ent));
+    viewer.entities.remove(group);
+  }
+
+  return {
+    entities,
+    update,
+    setStyle,
+    get show() {
+      return group.show;
+    },
+    set show(value) {
+      group.show = value;
+    },
+    destroy,
+  };
+}
+
+/**
+ * 创建重访热力图层：每个网格单元一个多边形，按访问次数着色，未访问的单元隐藏
+ * 选中单元时信息框显示当前时刻为止的访问次数、首次与最近一次观测时间
+ * @param {Viewer} viewer - Cesium 查看器实例
+ * @param {Object} options - { show, colors }
+ * @returns {Object} - { entities, update(grid, time), show, destroy() }；隐藏期间不更新，重新显示后需再次 update
+ */
+export function createRevisitLayer(viewer, options) {
+  const { colors } = options;
+  const group = createLayerGroup(viewer, "RevisitLayer", options.show);
+  const entities = [];
+  const colorIndices = []; // 各单元当前使用的颜色序号，-1 表示隐藏
+  let renderedGrid = null;
+
+  function rebuild(grid) {
+    entities.forEach(ent => viewer.entities.remove(ent));
+    entities.length = 0;
+    colorIndices.length = 0;
+
+    grid.cells.features.forEach((cell, index) => {
+      const ring = cell.geometry.coordinates[0].map(c => Cesium.Cartesian3.fromDegrees(c[0], c[1]));
+      entities.push(viewer.entities.add({
+        name: "RevisitCell",
+        parent: group,
+        show: false,
+        polygon: {
+          hierarchy: new Cesium.PolygonHierarchy(ring),
+          material: colors[0],
+          zIndex: 0,
+          classificationType: Cesium.ClassificationType.BOTH
+        },
+        description: new Cesium.CallbackProperty((time) => {
+          const { count, firstSeen, lastSeen } = grid.getCell(index, time);
+          const format = (value) => value ? Cesium.JulianDate.toIso8601(value, 0) : "-";
+          return `<table>
+            <tr><th>Revisits</th><td>${count}</td></tr>
+            <tr><th>First seen</th><td>${format(firstSeen)}</td></tr>
+            <tr><th>Last seen</th><td>${format(lastSeen)}</td></tr>
+          </table>`;
+        }, false),
+      }));
+      colorIndices.push(-1);
+    });
+    renderedGrid = grid;
+  }
+
+  function update(grid, time) {
+    if (!group.show || !grid) return;
+    if (grid !== renderedGrid) rebuild(grid);
+
+    const counts = grid.getCounts(time);
+    counts.forEach((count, index) => {
+      const colorIndex = Math.min(count, colors.length) - 1;
+      if (colorIndices[index] === colorIndex) return;
+      colorIndices[index] = colorIndex;
+
+      const ent = entities[index];
+      ent.show = colorIndex >= 0;
+      if (colorIndex >= 0) ent.polygon.material = colors[colorIndex];
+    });
+  }
+
+  return {
+    entities,
+    update,
+    get show() {
+      return group.show;
+    },
+    set show(value) {
+      group.show = value;
+    },
+    destroy() {
+      entities.forEach(ent => viewer.entities.remove(ent));
+      viewer.entities.remove(group);
+    },
+  };
+}
+
+/**
+ * 创建扫描轨迹图层：每个过境段一条贴地折线，起点处标注起止时间
+ * 过境段实体带有 scanPass 属性 { key, start, stop, length }，可被拾取选中
+ * @param {Viewer} viewer - Cesium 查看器实例
+ * @param {Object} options - { show, showLabels, getColor(key) }
+ * @returns {Object} - { entities, update(passes), show, destroy() }
+ */
+export function createScanTrackLayer(viewer, options) {
+  const { showLabels, getColor } = options;
+  const entities = []; // 实体池
+  const group = createLayerGroup(viewer, "ScanTrackLayer", options.show);
+
+  function update(passes) {
+    while (entities.length < passes.length) {
+      const ent = viewer.entities.add({
+        name: "ScanPass",
+        parent: group,
+        polyline: {
+          positions: [],
+          width: 3,
+          clampToGround: true,
+        },
+        label: {
+          text: "",
+          show: showLabels,
+          font: "12px sans-serif",
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          pixelOffset: new Cesium.Cartesian2(0, -12),
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+      });
+      ent.addProperty("scanPass");
+      entities.push(ent);
+    }
+
+    passes.forEach((pass, index) => {
+      const ent = entities[index];
+      const start = Cesium.JulianDate.toIso8601(pass.start, 0);
+      const stop = Cesium.JulianDate.toIso8601(pass.stop, 0);
+      const length = (pass.length / 1000).toFixed(2);
+
+      ent.show = pass.positions.length > 1;
+      ent.scanPass = { key: pass.key, start: pass.start, stop: pass.stop, length: pass.length };
+      ent.position = pass.positions[0];
+      ent.polyline.positions = pass.positions;
+      ent.polyline.material = getColor(pass.key);
+      ent.label.text = `${start.slice(11, 19)} - ${stop.slice(11, 19)}`;
+      ent.description = `<table>
+        <tr><th>Sensor</th><td>${pass.key}</td></tr>
+        <tr><th>Start</th><td>${start}</td></tr>
+        <tr><th>Stop</th><td>${stop}</td></tr>
+        <tr><th>Length</th><td>${length} km</td></tr>
+      </table>`;
+    });
+
+    // 隐藏多余的实体
+    for (let i = passes.length; i < entities.length; i++) {
+      entities[i].show = false;
+    }
+  }
+
+  return {
+    entities,
+    update,
+    get show() {
+      return group.show;
+    },
+    set show(value) {
+      group.show = value;
+    },
+    destroy() {
+      entities.forEach(ent => viewer.entities.remove(ent));
+      viewer.entities.remove(group);
+    },
+  };
+}
+
+/**
+ * 创建圆锥的近/远作用距离圈（贴地折线）
+ * @param {Viewer} viewer - Cesium 查看器实例
+ * @param {Entity} coneEntity - 圆锥实体
+ * @param {Function} getColor - 返回线颜色 () => Color
+ * @param {Entity} parent - 图层分组实体
+ * @returns {Entity[]} - [近距离圈, 远距离圈]
+ */
+export function createRangeRings(viewer, coneEntity, getColor, parent) {
+  const ring = (getRange) => viewer.entities.add({
+    name: "RangeRing",
+    parent: parent,
+    polyline: {
+      positions: new Cesium.CallbackProperty((time) => {
+        const apex = coneEntity.position.getValue(time);
+        const range = getRange(time);
+        if (!apex || !range) return [];
+
+        const circle = computeRangeCircle(apex, range, viewer.scene.globe.ellipsoid);
+        if (!circle) return [];
+        const coords = circleRegion(circle.center, circle.radius).geometry.coordinates[0];
+        return Cesium.Cartesian3.fromDegreesArray(coords.flat());
+      }, false),
+      width: 2,
+      material: new Cesium.ColorMaterialProperty(new Cesium.CallbackProperty(getColor, false)),
+      clampToGround: true,
+    },
+  });
+
+  return [
+    ring((time) => resolveProperty(coneEntity.minRange, time)),
+    ring((time) => resolveProperty(coneEntity.maxRange, time) ?? resolveProperty(coneEntity.coneLength, time)),
+  ];
+}
@@ -0,0 +1,134 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import { computeOverlap } from "./coverage.js";
+
+/**
+ * 覆盖统计
+ * 基于 createFootprintAccumulator 的累积结果计算面积与覆盖率，不依赖 Viewer。
+ * 面积单位统一为平方公里。
+ */
+
+const SQUARE_METERS_PER_SQUARE_KM = 1e6;
+
+/**
+ * 计算 GeoJSON 要素面积
+ * @param {Object|null|undefined} feature
+ * @returns {Number} 面积(平方公里)
+ */
+export function areaKm2(feature) {
+  if (!feature) return 0;
+  return turf.area(feature) / SQUARE_METERS_PER_SQUARE_KM;
+}
+
+/**
+ * 计算两个要素的交集面积
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Number} 面积(平方公里)
+ */
+function intersectionAreaKm2(a, b) {
+  try {
+    return areaKm2(turf.intersect(turf.featureCollection([a, b])));
+  } catch (e) {
+    console.warn("Overlap computation failed:", e);
+    return 0;
+  }
+}
+
+/**
+ * 计算当前覆盖统计
+ * @param {Object} accumulator createFootprintAccumulator 创建的累积器
+ * @param {Object} [region] 地面区域 GeoJSON Feature，用于计算覆盖率
+ * @returns {{
+ *   coveredArea: Number,
+ *   regionArea: Number,
+ *   coveredPercent: Number,
+ *   sensors: Array<{key: *, area: Number}>,
+ *   overlaps: Array<{keys: Array, area: Number}>,
+ *   overlapArea: Number
+ * }}
+ */
+export function computeCoverageStats(accumulator, region) {
+  const coveredArea = areaKm2(accumulator.union);
+  const regionArea = areaKm2(region);
+
+  const entries = [...accumulator.sensorUnions.entries()];
+  const sensors = entries.map(([key, union]) => ({ key, area: areaKm2(union) }));
+
+  // 两两求交得到圆锥之间的重叠面积
+  const overlaps = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      overlaps.push({
+        keys: [entries[i][0], entries[j][0]],
+        area: intersectionAreaKm2(entries[i][1], entries[j][1]),
+      });
+    }
+  }
+
+  // 被两个及以上圆锥覆盖的总面积：两两交集的并集，重叠三次及以上的区域只计一次；
+  // 只统计各圆锥自身的累积足迹，initialFootprint 等无圆锥归属的覆盖不参与
+  const overlapArea = areaKm2(computeOverlap(entries.map(([, union]) => union)));
+
+  return {
+    coveredArea,
+    regionArea,
+    coveredPercent: regionArea > 0 ? (coveredArea / regionArea) * 100 : 0,
+    sensors,
+    overlaps,
+    overlapArea,
+  };
+}
+
+/**
+ * 创建覆盖统计时间序列记录器，按仿真时间间隔采样
+ * @param {Object} accumulator createFootprintAccumulator 创建的累积器
+ * @param {Object} [options]
+ * @param {Number} [options.interval=1] 采样间隔(秒，仿真时间)
+ * @returns {Object} 记录器
+ */
+export function createCoverageRecorder(accumulator, options = {}) {
+  const { interval = 1 } = options;
+
+  const series = []; // [{ time: JulianDate, ...stats }]
+  let lastTime = null;
+
+  return {
+    series,
+
+    /**
+     * 在指定时刻尝试采样，距上次采样不足 interval 时忽略
+     * @param {Cesium.JulianDate} time
+     * @param {Object} [region] 地面区域 GeoJSON Feature
+     * @param {Object} [state=accumulator] 统计所用的累积状态，如累积器的快照
+     * @returns {Object|null} 新记录，未采样时返回 null
+     */
+    sample(time, region, state = accumulator) {
+      if (lastTime && Math.abs(Cesium.JulianDate.secondsDifference(time, lastTime)) < interval) {
+        return null;
+      }
+      lastTime = Cesium.JulianDate.clone(time);
+
+      const record = { time: lastTime, ...computeCoverageStats(state, region) };
+      series.push(record);
+      return record;
+    },
+
+    /**
+     * 删除晚于指定时刻的记录，用于时间线回退重算
+     * @param {Cesium.JulianDate} time
+     */
+    truncate(time) {
+      while (series.length > 0 && Cesium.JulianDate.greaterThan(series[series.length - 1].time, time)) {
+        series.pop();
+      }
+      lastTime = series.length > 0 ? series[series.length - 1].time : null;
+    },
+
+    /** 清空时间序列 */
+    reset() {
+      series.length = 0;
+      lastTime = null;
+    },
+  };
+}
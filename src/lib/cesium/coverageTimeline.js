@@ -0,0 +1,121 @@
+import * as Cesium from "cesium";
+import { computeCoverage, createFootprintAccumulator } from "./coverage.js";
+
+/**
+ * 按仿真时间驱动的覆盖累积
+ * 以固定时间步长从 start 开始逐步采样传感器状态并累积足迹，每一步保存一个快照。
+ * 结果只取决于轨迹数据与步长，与帧率、时钟倍速、回放循环及拖动时间轴无关；
+ * 任意时刻显示的都是截至该时刻的覆盖。不依赖 Viewer。
+ */
+
+/**
+ * 创建覆盖时间线
+ * @param {Object} options
+ * @param {Cesium.JulianDate} options.start 时间线起点（第 0 步）
+ * @param {Number} [options.step=1] 时间步长(秒，仿真时间)
+ * @param {Function} options.sample 采样函数 (time) => Array<{key, sensor, region}>，sensor 见 computeSensorFootprint
+ * @param {Function} [options.horizon] 数据时间上限 (time) => JulianDate，时间线不会越过它推进（如实时遥测最后一个样本的时间）
+ * @param {Function} [options.onStep] 每步累积完成后的回调 (time, accumulator, footprints) => void，
+ *   footprints 为本步各传感器裁剪后的足迹 Array<{key, geojson}>
+ * @param {Object} [options.accumulator] 累积器，默认不做距离抽稀、不截断轨迹
+ * @returns {Object} 时间线
+ */
+export function createCoverageTimeline(options) {
+  const {
+    start,
+    step = 1,
+    sample,
+    horizon,
+    onStep = () => {},
+    accumulator = createFootprintAccumulator({ minDistance: 0, maxScanPositions: Infinity }),
+  } = options;
+
+  const initial = accumulator.snapshot(); // 第 0 步之前的状态（如加载的初始足迹）
+  const snapshots = []; // snapshots[i] 为第 i 步之后的累积状态
+
+  const timeOfStep = (index) =>
+    Cesium.JulianDate.addSeconds(start, index * step, new Cesium.JulianDate());
+
+  // 时刻所在的步序号（向下取整），早于 start 时为 -1
+  const stepOf = (time) =>
+    Math.floor(Cesium.JulianDate.secondsDifference(time, start) / step + 1e-9);
+
+  function runStep(index) {
+    const time = timeOfStep(index);
+    const footprints = [];
+    sample(time).forEach(({ key, sensor, region }) => {
+      if (!sensor) return;
+      const { geojson } = computeCoverage({ sensor, region, accumulator, key, time });
+      footprints.push({ key, geojson });
+    });
+    onStep(time, accumulator, footprints);
+    // 保留快照对象本身，异步合并的结果返回后会原地更新
+    snapshots.push(Object.assign(accumulator.snapshot(), { time }));
+  }
+
+  return {
+    accumulator,
+    snapshots,
+
+    /**
+     * 将时间线推进到指定时刻（受 horizon 限制）
+     * @param {Cesium.JulianDate} time
+     * @param {Number} [maxSteps=Infinity] 本次最多计算的步数，避免拖动时间轴时单帧卡顿
+     * @returns {Number} 本次计算的步数
+     */
+    advanceTo(time, maxSteps = Infinity) {
+      let target = time;
+      if (horizon) {
+        const limit = horizon(time);
+        if (!limit) return 0;
+        if (Cesium.JulianDate.lessThan(limit, target)) target = limit;
+      }
+
+      const last = stepOf(target);
+      let count = 0;
+      while (snapshots.length <= last && count < maxSteps) {
+        runStep(snapshots.length);
+        count++;
+      }
+      return count;
+    },
+
+    /**
+     * 获取截至指定时刻的累积快照
+     * @param {Cesium.JulianDate} time
+     * @returns {Object} { time, union, sensorUnions, trackLength, scanLength }，尚未计算到时返回已计算的最后一步，
+     *   早于第 0 步时返回初始状态（time 为 undefined）；使用异步合并器时 pending 为 true 表示 union / sensorUnions
+     *   仍为上一次的合并结果
+     */
+    snapshotAt(time) {
+      const index = Math.min(stepOf(time), snapshots.length - 1);
+      return index >= 0 ? snapshots[index] : initial;
+    },
+
+    /**
+     * 已计算到的最后时刻
+     * @returns {Cesium.JulianDate|undefined}
+     */
+    get computedTime() {
+      return snapshots.length > 0 ? snapshots[snapshots.length - 1].time : undefined;
+    },
+
+    /**
+     * 从指定时刻起作废已计算的结果（如收到该时刻之前的乱序数据），下次推进时重新计算
+     * @param {Cesium.JulianDate} time
+     */
+    invalidate(time) {
+      const index = Math.max(stepOf(time), 0);
+      if (index >= snapshots.length) return;
+
+      snapshots.length = index;
+      accumulator.restore(index === 0 ? initial : snapshots[index - 1]);
+    },
+
+    /** 清空已计算的结果，回到初始状态 */
+    reset() {
+      snapshots.length = 0;
+      accumulator.restore(initial);
+    },
+  };
+}
@@ -0,0 +1,380 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import { createGroundCircle, createGroundPolygon } from "./cesiumDraw.js";
+import { getRegionGeoJSON, getRegionPolygons, toLonLat } from "./region.js";
+import { pickGlobePosition } from "./picking.js";
+
+/**
+ * 地图绘制与编辑工具，所有鼠标交互共用一个 ScreenSpaceEventHandler：
+ * 1. drawTarget()：左键单击拾取一个地表目标点
+ * 2. drawCircle()：左键单击确定圆心，移动鼠标调整半径，再次单击完成
+ * 3. drawPolygon()：左键单击依次添加顶点，双击或右键完成（至少 3 个顶点）
+ * 4. edit(entity)：为圆形 / 多边形区域显示控制点，拖动圆心或中心点平移区域，拖动半径点或顶点改变形状
+ * 5. remove(entity)：删除区域实体
+ * 绘制期间右键取消（多边形已有 3 个顶点时为完成），开始新的绘制或编辑会结束当前的绘制与编辑。
+ * 区域通过 createGroundCircle / createGroundPolygon 创建，编辑通过 setGeometry 写入，
+ * 引用该区域的覆盖计算（足迹裁剪、重访统计）随之按新区域重新累积。
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} [options]
+ * @param {Cesium.Color} [options.color] 绘制区域的填充颜色
+ * @param {Cesium.Color} [options.outlineColor] 绘制区域的边框颜色
+ * @param {Cesium.Color} [options.handleColor=Cesium.Color.WHITE] 控制点颜色
+ * @param {Function} [options.onEdit] 拖动控制点结束后的回调 (entity) => void
+ * @returns {Object} { drawTarget, drawCircle, drawPolygon, edit, stopEditing, remove, cancel, getEditing, destroy }
+ */
+export function createDrawTools(viewer, options = {}) {
+  const {
+    color = Cesium.Color.YELLOW.withAlpha(0.2),
+    outlineColor = Cesium.Color.YELLOW,
+    handleColor = Cesium.Color.WHITE,
+    onEdit,
+  } = options;
+  const { scene } = viewer;
+  const handler = new Cesium.ScreenSpaceEventHandler(scene.canvas);
+
+  // 当前绘制：{ click, move, doubleClick, rightClick, cancel }，同一时刻只有一个
+  let session = null;
+  // 当前编辑：{ entity, handles: [{ entity, drag(lonLat) }] }
+  let editing = null;
+  let dragging = null;
+
+  const pick = (windowPosition) => pickGlobePosition(viewer, windowPosition);
+
+  function setCursor(value) {
+    scene.canvas.style.cursor = value;
+  }
+
+  // 开始一次绘制，返回的 Promise 在 finish(result) 时兑现，取消时为 null
+  function startSession(create) {
+    cancel();
+    stopEditing();
+    setCursor("crosshair");
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        session = null;
+        setCursor("");
+        resolve(result);
+      };
+      session = create(finish);
+    });
+  }
+
+  /**
+   * 取消当前绘制，未完成的区域被移除
+   */
+  function cancel() {
+    if (session) session.cancel();
+  }
+
+  /**
+   * 单击拾取一个地表目标点，可赋给传感器的 targetPosition
+   * @returns {Promise<Cesium.Cartesian3|null>} 取消时为 null
+   */
+  function drawTarget() {
+    return startSession((finish) => ({
+      click(position) {
+        const picked = pick(position);
+        // 点到天空时继续等待
+        if (picked) finish(picked);
+      },
+      rightClick: () => finish(null),
+      cancel: () => finish(null),
+    }));
+  }
+
+  /**
+   * 绘制地面圆形区域
+   * @param {Object} [style] { id, color, outlineColor }，传给 createGroundCircle
+   * @returns {Promise<Cesium.Entity|null>} 创建的区域实体，取消时为 null
+   */
+  function drawCircle(style = {}) {
+    return startSession((finish) => {
+      let entity = null;
+      let center = null;
+      let radius = 0;
+      const discard = () => {
+        if (entity) entity.destroy();
+        finish(null);
+      };
+      return {
+        click(position) {
+          const picked = pick(position);
+          if (!picked) return;
+          if (!entity) {
+            center = toLonLat(picked);
+            radius = 1;
+            entity = createGroundCircle(viewer, {
+              color,
+              outlineColor,
+              ...style,
+              longitude: center[0],
+              latitude: center[1],
+              radius,
+            });
+            return;
+          }
+          radius = surfaceDistance(center, toLonLat(picked));
+          if (radius > 0) {
+            entity.setGeometry({ longitude: center[0], latitude: center[1], radius });
+            finish(entity);
+          }
+        },
+        move(position) {
+          const picked = entity && pick(position);
+          if (!picked) return;
+          radius = Math.max(surfaceDistance(center, toLonLat(picked)), 1);
+          entity.setGeometry({ longitude: center[0], latitude: center[1], radius });
+        },
+        rightClick: discard,
+        cancel: discard,
+      };
+    });
+  }
+
+  /**
+   * 绘制地面多边形区域
+   * @param {Object} [style] { id, color, outlineColor }，传给 createGroundPolygon
+   * @returns {Promise<Cesium.Entity|null>} 创建的区域实体，取消时为 null
+   */
+  function drawPolygon(style = {}) {
+    return startSession((finish) => {
+      const vertices = [];
+      let cursor = null;
+      // 绘制过程中以贴地折线预览
+      const preview = viewer.entities.add({
+        polyline: {
+          positions: new Cesium.CallbackProperty(() => {
+            const points = cursor ? [...vertices, cursor] : vertices;
+            return points.length > 1 ? [...points, points[0]] : [];
+          }, false),
+          width: 2,
+          material: outlineColor,
+          clampToGround: true,
+        },
+      });
+      const done = (entity) => {
+        viewer.entities.remove(preview);
+        finish(entity);
+      };
+      const complete = () => {
+        // 双击时前两次单击落在同一点，去掉重复的顶点
+        const positions = vertices
+          .filter((vertex, i) => i === 0 || Cesium.Cartesian3.distance(vertex, vertices[i - 1]) > 1)
+          .map((vertex) => toLonLat(vertex));
+        if (positions.length < 3) return false;
+        done(createGroundPolygon(viewer, { color, outlineColor, ...style, positions }));
+        return true;
+      };
+      return {
+        click(position) {
+          const picked = pick(position);
+          if (picked) vertices.push(picked);
+        },
+        move(position) {
+          cursor = pick(position) ?? cursor;
+        },
+        doubleClick: complete,
+        rightClick() {
+          if (!complete()) done(null);
+        },
+        cancel: () => done(null),
+      };
+    });
+  }
+
+  // 控制点实体，position 为 () => [经度, 纬度]
+  function addHandle(getLonLat) {
+    return viewer.entities.add({
+      position: new Cesium.CallbackProperty(() => {
+        const lonLat = getLonLat();
+        return lonLat ? Cesium.Cartesian3.fromDegrees(lonLat[0], lonLat[1], 0) : undefined;
+      }, false),
+      point: {
+        pixelSize: 10,
+        color: handleColor,
+        outlineColor: Cesium.Color.BLACK,
+        outlineWidth: 2,
+        heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+  }
+
+  // 圆形：圆心平移，正东方向的控制点调整半径
+  function circleHandles(entity) {
+    const current = () => {
+      const time = viewer.clock.currentTime;
+      const position = entity.position.getValue(time);
+      return position && { center: toLonLat(position), radius: entity.ellipse.semiMajorAxis.getValue(time) };
+    };
+    return [
+      {
+        entity: addHandle(() => current()?.center),
+        drag(lonLat) {
+          const { radius } = current();
+          entity.setGeometry({ longitude: lonLat[0], latitude: lonLat[1], radius });
+        },
+      },
+      {
+        entity: addHandle(() => {
+          const value = current();
+          return value && turf.destination(value.center, value.radius / 1000, 90, { units: "kilometers" }).geometry.coordinates;
+        }),
+        drag(lonLat) {
+          const { center } = current();
+          const radius = surfaceDistance(center, lonLat);
+          if (radius > 0) entity.setGeometry({ longitude: center[0], latitude: center[1], radius });
+        },
+      },
+    ];
+  }
+
+  // 多边形：每个外环顶点一个控制点，中心点平移整个多边形（含孔洞）
+  function polygonHandles(entity) {
+    const region = getRegionGeoJSON(entity, viewer.clock.currentTime);
+    const [outer, ...holes] = getRegionPolygons(region)[0];
+    const geometry = {
+      positions: outer.slice(0, -1),
+      holes: holes.map((ring) => ring.slice(0, -1)),
+    };
+    const update = () => entity.setGeometry({
+      positions: geometry.positions.map((p) => [...p]),
+      holes: geometry.holes.map((ring) => ring.map((p) => [...p])),
+    });
+    const centroid = () => turf.centroid(turf.points(geometry.positions)).geometry.coordinates;
+
+    return [
+      ...geometry.positions.map((vertex, i) => ({
+        entity: addHandle(() => geometry.positions[i]),
+        drag(lonLat) {
+          geometry.positions[i] = lonLat;
+          update();
+        },
+      })),
+      {
+        entity: addHandle(centroid),
+        drag(lonLat) {
+          const [x, y] = centroid();
+          const shift = ([lon, lat]) => [lon + lonLat[0] - x, lat + lonLat[1] - y];
+          geometry.positions = geometry.positions.map(shift);
+          geometry.holes = geometry.holes.map((ring) => ring.map(shift));
+          update();
+        },
+      },
+    ];
+  }
+
+  /**
+   * 编辑区域：显示控制点，拖动时实时修改区域几何
+   * 只支持 createGroundCircle / createGroundPolygon（含绘制）创建的区域，多部分区域只能整体删除
+   * @param {Cesium.Entity} entity 区域实体
+   */
+  function edit(entity) {
+    cancel();
+    stopEditing();
+    let handles;
+    if (entity.regionType === "circle") {
+      handles = circleHandles(entity);
+    } else if (entity.regionType === "polygon") {
+      handles = polygonHandles(entity);
+    } else {
+      throw new Error(`Editing is not supported for region type: ${entity.regionType}`);
+    }
+    editing = { entity, handles };
+  }
+
+  /**
+   * 结束编辑，移除控制点
+   */
+  function stopEditing() {
+    if (!editing) return;
+    editing.handles.forEach((handle) => viewer.entities.remove(handle.entity));
+    editing = null;
+    endDrag();
+  }
+
+  /**
+   * 删除区域实体，正在编辑时先结束编辑
+   * @param {Cesium.Entity} entity
+   */
+  function remove(entity) {
+    if (editing && editing.entity === entity) stopEditing();
+    entity.destroy();
+  }
+
+  function endDrag() {
+    if (!dragging) return;
+    dragging = null;
+    scene.screenSpaceCameraController.enableInputs = true;
+  }
+
+  handler.setInputAction(({ position }) => {
+    if (session) session.click(position);
+  }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+  handler.setInputAction(({ position }) => {
+    if (session && session.doubleClick) session.doubleClick(position);
+  }, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+
+  handler.setInputAction(({ position }) => {
+    if (session) session.rightClick(position);
+  }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+  handler.setInputAction(({ endPosition }) => {
+    if (dragging) {
+      const picked = pick(endPosition);
+      if (picked) dragging.drag(toLonLat(picked));
+    } else if (session && session.move) {
+      session.move(endPosition);
+    }
+  }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+  // 按下控制点开始拖动，拖动期间禁用相机操作
+  handler.setInputAction(({ position }) => {
+    if (session || !editing) return;
+    const picked = scene.pick(position);
+    const handle = picked && editing.handles.find((h) => h.entity === picked.id);
+    if (!handle) return;
+    dragging = handle;
+    scene.screenSpaceCameraController.enableInputs = false;
+  }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+
+  handler.setInputAction(() => {
+    if (!dragging) return;
+    endDrag();
+    if (onEdit) onEdit(editing.entity);
+  }, Cesium.ScreenSpaceEventType.LEFT_UP);
+
+  return {
+    drawTarget,
+    drawCircle,
+    drawPolygon,
+    edit,
+    stopEditing,
+    remove,
+    cancel,
+    /**
+     * 正在编辑的区域实体
+     * @returns {Cesium.Entity|null}
+     */
+    getEditing: () => (editing ? editing.entity : null),
+    /**
+     * 取消绘制、结束编辑并移除鼠标事件处理
+     */
+    destroy() {
+      cancel();
+      stopEditing();
+      handler.destroy();
+    },
+  };
+}
+
+// 两个 [经度, 纬度] 之间的椭球面距离(米)
+function surfaceDistance(a, b) {
+  if (a[0] === b[0] && a[1] === b[1]) return 0;
+  const geodesic = new Cesium.EllipsoidGeodesic(
+    Cesium.Cartographic.fromDegrees(a[0], a[1]),
+    Cesium.Cartographic.fromDegrees(b[0], b[1]),
+  );
+  return geodesic.surfaceDistance;
+}
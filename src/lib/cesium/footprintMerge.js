@@ -0,0 +1,141 @@
+import * as turf from "@turf/turf";
+
+/**
+ * 足迹并集合并
+ * 只依赖 Turf，可在主线程与 Web Worker (footprintMerge.worker.js) 中共用。
+ * 异步合并器维护与累积器相同的并集状态，按步骤编号合并足迹并保存最近若干步的结果，
+ * 时间线回退时按编号恢复；主线程在结果返回前继续使用上一次的合并结果渲染。
+ * 主线程已收到的结果在其快照中也有，超出保留数时从最早的开始淘汰，回退到这些编号时由 restore 消息携带的状态恢复；
+ * 主线程尚未收到的结果不会被淘汰。
+ *
+ * 消息协议（主线程 -> 合并器）：
+ *   { type: "init", union }                      以 union 为初始状态（编号 0），清空历史
+ *   { type: "merge", id, footprints: [{key, geojson}], received }  合并一步的足迹，结果记为编号 id；
+ *                                                received 为主线程已收到的最后一个结果编号
+ *   { type: "restore", id, union?, sensorUnions? }  恢复到编号 id 的状态并丢弃其后的结果；
+ *                                                编号已被淘汰时使用消息中的 union / sensorUnions，两者都没有时抛出错误
+ * 合并器 -> 主线程：{ id, union, sensorUnions: [[key, geojson]] }
+ */
+
+/**
+ * 合并足迹到已有并集，并集会保留孔洞与多部分结构
+ * @param {Object|null} union 已有并集 GeoJSON Feature
+ * @param {Object} geojson 足迹 GeoJSON Feature
+ * @param {Number} tolerance 简化容差(度)
+ * @returns {Object} 新的并集
+ */
+export function mergeFootprint(union, geojson, tolerance) {
+  if (!union) return geojson;
+  const merged = turf.union(turf.featureCollection([union, geojson]));
+  // 简化以提高性能
+  return turf.simplify(merged, { tolerance, highQuality: false });
+}
+
+/**
+ * 创建合并状态机，处理上述协议的消息
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance=0.0001] 并集简化容差(度)
+ * @param {Number} [options.maxHistory=100] 保留的最近合并结果数（编号 0 的初始状态与主线程尚未收到的结果始终保留）
+ * @returns {{handle: Function}} handle(message) 返回需要回传的结果，没有结果时返回 undefined
+ * @throws {Error} handle 收到未知消息，或要恢复的编号已不可用时抛出
+ */
+export function createMergeState(options = {}) {
+  const { tolerance = 0.0001, maxHistory = 100 } = options;
+
+  let current = { union: null, sensorUnions: new Map() };
+  const history = new Map([[0, current]]); // 编号 -> 该步之后的状态，按编号递增的插入顺序
+
+  return {
+    handle(message) {
+      switch (message.type) {
+        case "init":
+          current = { union: message.union || null, sensorUnions: new Map() };
+          history.clear();
+          history.set(0, current);
+          return undefined;
+
+        case "restore":
+          if (history.has(message.id)) {
+            current = history.get(message.id);
+          } else if (message.union !== undefined) {
+            current = { union: message.union, sensorUnions: new Map(message.sensorUnions) };
+            history.set(message.id, current);
+          } else {
+            throw new Error(`Footprint merge state ${message.id} is not available`);
+          }
+          history.forEach((_, id) => {
+            if (id > message.id) history.delete(id);
+          });
+          return undefined;
+
+        case "merge": {
+          let union = current.union;
+          const sensorUnions = new Map(current.sensorUnions);
+          message.footprints.forEach(({ key, geojson }) => {
+            try {
+              union = mergeFootprint(union, geojson, tolerance);
+              sensorUnions.set(key, mergeFootprint(sensorUnions.get(key), geojson, tolerance));
+            } catch (e) {
+              // 忽略无效多边形构建错误
+              console.warn("Polygon construction failed:", e);
+            }
+          });
+          current = { union, sensorUnions };
+          history.set(message.id, current);
+          // 按编号从早到晚淘汰主线程已收到的结果（跳过编号 0），结果返回滞后期间积累的也一并淘汰
+          for (const id of history.keys()) {
+            if (history.size <= maxHistory + 1 || id > message.received) break;
+            if (id !== 0) history.delete(id);
+          }
+          return { id: message.id, union, sensorUnions: [...sensorUnions] };
+        }
+
+        default:
+          throw new Error(`Unknown footprint merge message: ${message.type}`);
+      }
+    },
+  };
+}
+
+/**
+ * 创建异步足迹合并器，优先在 Web Worker 中运行；不支持 Worker 的环境（如 Node）在主线程的微任务中合并
+ * @param {Object} [options]
+ * @param {Number} [options.tolerance=0.0001] 并集简化容差(度)
+ * @param {Boolean} [options.useWorker=true] 是否使用 Web Worker
+ * @returns {{post: Function, onResult: Function, terminate: Function, inWorker: Boolean}}
+ *   post(message) 发送消息；onResult(callback) 设置结果回调；terminate() 停止 Worker
+ */
+export function createFootprintMerger(options = {}) {
+  const { tolerance = 0.0001, useWorker = true } = options;
+  let callback = () => {};
+
+  if (useWorker && typeof Worker !== "undefined") {
+    const worker = new Worker(new URL("./footprintMerge.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (event) => callback(event.data);
+    worker.onerror = (event) => console.warn("Footprint merge worker failed:", event.message);
+    worker.postMessage({ type: "configure", tolerance });
+
+    return {
+      inWorker: true,
+      post: (message) => worker.postMessage(message),
+      onResult: (fn) => { callback = fn; },
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  const state = createMergeState({ tolerance });
+  let terminated = false;
+  return {
+    inWorker: false,
+    post(message) {
+      // 与 Worker 一样异步返回结果，保证调用方先登记待合并的快照
+      Promise.resolve().then(() => {
+        if (terminated) return;
+        const result = state.handle(message);
+        if (result) callback(result);
+      });
+    },
+    onResult: (fn) => { callback = fn; },
+    terminate: () => { terminated = true; },
+  };
+}
@@ -0,0 +1,19 @@
+import { createMergeState } from "./footprintMerge.js";
+
+/**
+ * 足迹并集合并 Worker，消息协议见 footprintMerge.js
+ * 另支持 { type: "configure", tolerance }，在发送其他消息之前设置简化容差
+ */
+
+let state = createMergeState();
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === "configure") {
+    state = createMergeState({ tolerance: message.tolerance });
+    return;
+  }
+
+  const result = state.handle(message);
+  if (result) self.postMessage(result);
+};
@@ -0,0 +1,227 @@
+import * as Cesium from "cesium";
+
+/**
+ * 基于 GroundPrimitive 的足迹渲染
+ * 足迹 (Polygon / MultiPolygon) 的各个部分按批合并到少量 GroundPrimitive / GroundPolylinePrimitive 中。
+ * 更新时按坐标摘要比对各部分，只重建包含新增或消失部分的批次，未变化的批次保持不动；
+ * 新图元异步创建完成后才移除旧图元，更新期间不会闪烁。
+ */
+
+// 各图层的绘制顺序，地面图元按加入 scene.groundPrimitives 的顺序绘制
+const layerOrders = new WeakMap();
+
+// 多边形坐标摘要：点数 + 首点 + 坐标和，足以区分并集更新前后的各个部分
+function partHash(polygon) {
+  let hash = "";
+  polygon.forEach((ring) => {
+    let sumX = 0;
+    let sumY = 0;
+    ring.forEach(([x, y]) => {
+      sumX += x;
+      sumY += y;
+    });
+    hash += `${ring.length}:${ring[0][0].toFixed(7)},${ring[0][1].toFixed(7)}:${sumX.toFixed(6)},${sumY.toFixed(6)};`;
+  });
+  return hash;
+}
+
+// 将图层按 zIndex 插入到地面图元集合中
+function addOrdered(groundPrimitives, collection, zIndex) {
+  layerOrders.set(collection, zIndex);
+  let index = groundPrimitives.length;
+  for (let i = 0; i < groundPrimitives.length; i++) {
+    const order = layerOrders.get(groundPrimitives.get(i));
+    if (order !== undefined && order > zIndex) {
+      index = i;
+      break;
+    }
+  }
+  groundPrimitives.add(collection, index);
+}
+
+/**
+ * 创建足迹图元图层
+ * @param {Cesium.Scene} scene
+ * @param {Object} [options]
+ * @param {Cesium.Color} [options.color=Cesium.Color.YELLOW.withAlpha(0.5)] 填充颜色
+ * @param {Cesium.Material} [options.material] 填充材质，提供时代替 color
+ * @param {Boolean} [options.fill=true] 是否填充
+ * @param {Boolean} [options.outline=false] 是否绘制贴地边线
+ * @param {Cesium.Color} [options.outlineColor] 边线颜色，默认为不透明的填充颜色
+ * @param {Number} [options.outlineWidth=2] 边线宽度(像素)
+ * @param {Boolean} [options.show=true]
+ * @param {Number} [options.zIndex=0] 与其他足迹图元图层之间的绘制顺序
+ * @param {Cesium.ClassificationType} [options.classificationType=Cesium.ClassificationType.BOTH]
+ * @param {Number} [options.batchSize=256] 每个图元合并的最大部分数
+ * @returns {Object} - { primitives, update(geojson), setStyle(style), show, destroy() }
+ */
+export function createFootprintPrimitiveLayer(scene, options = {}) {
+  const {
+    zIndex = 0,
+    classificationType = Cesium.ClassificationType.BOTH,
+    batchSize = 256,
+  } = options;
+  const style = {
+    color: Cesium.Color.YELLOW.withAlpha(0.5),
+    material: undefined,
+    fill: true,
+    outline: false,
+    outlineColor: undefined,
+    outlineWidth: 2,
+  };
+  Object.keys(style).forEach((key) => {
+    if (options[key] !== undefined) style[key] = options[key];
+  });
+
+  const primitives = new Cesium.PrimitiveCollection({ destroyPrimitives: true });
+  primitives.show = options.show ?? true;
+  addOrdered(scene.groundPrimitives, primitives, zIndex);
+
+  // 批次：{ parts: Map<hash, polygon>, shown: 正在显示的图元, pending: 创建中的图元, dirty }
+  const batches = [];
+
+  function createPrimitives(parts) {
+    const created = [];
+    const polygons = [...parts.values()];
+
+    if (style.fill) {
+      const instances = polygons.map((polygon) => new Cesium.GeometryInstance({
+        geometry: new Cesium.PolygonGeometry({
+          polygonHierarchy: new Cesium.PolygonHierarchy(
+            Cesium.Cartesian3.fromDegreesArray(polygon[0].flat()),
+            polygon.slice(1).map((hole) => new Cesium.PolygonHierarchy(Cesium.Cartesian3.fromDegreesArray(hole.flat()))),
+          ),
+        }),
+        attributes: style.material
+          ? undefined
+          : { color: Cesium.ColorGeometryInstanceAttribute.fromColor(style.color) },
+      }));
+      created.push(primitives.add(new Cesium.GroundPrimitive({
+        geometryInstances: instances,
+        appearance: style.material
+          ? new Cesium.MaterialAppearance({ material: style.material, flat: true })
+          : new Cesium.PerInstanceColorAppearance({ flat: true, translucent: style.color.alpha < 1 }),
+        classificationType,
+      })));
+    }
+
+    if (style.outline) {
+      const outlineColor = style.outlineColor ?? style.color.withAlpha(1);
+      const instances = polygons.flatMap((polygon) => polygon.map((ring) => new Cesium.GeometryInstance({
+        geometry: new Cesium.GroundPolylineGeometry({
+          positions: Cesium.Cartesian3.fromDegreesArray(ring.flat()),
+          width: style.outlineWidth,
+        }),
+        attributes: { color: Cesium.ColorGeometryInstanceAttribute.fromColor(outlineColor) },
+      })));
+      created.push(primitives.add(new Cesium.GroundPolylinePrimitive({
+        geometryInstances: instances,
+        appearance: new Cesium.PolylineColorAppearance(),
+        classificationType,
+      })));
+    }
+    return created;
+  }
+
+  function removeAll(list) {
+    (list || []).forEach((primitive) => primitives.remove(primitive));
+  }
+
+  function rebuild(batch) {
+    batch.dirty = false;
+    // 尚未显示的旧请求直接丢弃，正在显示的图元保留到新图元就绪
+    removeAll(batch.pending);
+    batch.pending = batch.parts.size > 0 ? createPrimitives(batch.parts) : null;
+    if (!batch.pending) {
+      removeAll(batch.shown);
+      batch.shown = null;
+    }
+  }
+
+  // 新图元就绪后替换旧图元
+  const removePostRender = scene.postRender.addEventListener(() => {
+    batches.forEach((batch) => {
+      if (!batch.pending || !batch.pending.every((primitive) => primitive.ready)) return;
+      removeAll(batch.shown);
+      batch.shown = batch.pending;
+      batch.pending = null;
+    });
+  });
+
+  function update(geojson) {
+    const polygons = !geojson
+      ? []
+      : geojson.geometry.type === "Polygon"
+        ? [geojson.geometry.coordinates]
+        : geojson.geometry.coordinates;
+
+    // 外环至少需要 4 个点 (A, B, C, A) 才能构成一个封闭多边形
+    const next = new Map();
+    polygons.forEach((polygon) => {
+      if (polygon[0] && polygon[0].length >= 4) next.set(partHash(polygon), polygon);
+    });
+
+    // 移除消失的部分
+    batches.forEach((batch) => {
+      batch.parts.forEach((_, hash) => {
+        if (next.has(hash)) {
+          next.delete(hash);
+        } else {
+          batch.parts.delete(hash);
+          batch.dirty = true;
+        }
+      });
+    });
+
+    // 新增部分优先放入本次需要重建的批次，避免改动未变化的批次
+    next.forEach((polygon, hash) => {
+      let batch = batches.find((b) => b.dirty && b.parts.size < batchSize);
+      if (!batch) {
+        batch = { parts: new Map(), shown: null, pending: null, dirty: true };
+        batches.push(batch);
+      }
+      batch.parts.set(hash, polygon);
+    });
+
+    batches.forEach((batch) => {
+      if (batch.dirty) rebuild(batch);
+    });
+    // 丢弃已清空的批次
+    for (let i = batches.length - 1; i >= 0; i--) {
+      if (batches[i].parts.size === 0 && !batches[i].shown && !batches[i].pending) batches.splice(i, 1);
+    }
+  }
+
+  let destroyed = false;
+  return {
+    primitives,
+    update,
+
+    /**
+     * 修改样式并重建全部批次
+     * @param {Object} value 可包含 color、material、fill、outline、outlineColor、outlineWidth
+     */
+    setStyle(value) {
+      Object.keys(style).forEach((key) => {
+        if (key in value) style[key] = value[key];
+      });
+      batches.forEach(rebuild);
+    },
+
+    get show() {
+      return primitives.show;
+    },
+    set show(value) {
+      primitives.show = value;
+    },
+
+    /** 移除全部图元 */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      removePostRender();
+      batches.length = 0;
+      scene.groundPrimitives.remove(primitives);
+    },
+  };
+}
@@ -0,0 +1,20 @@
+import * as Cesium from "cesium";
+
+/**
+ * 拾取屏幕坐标处的地表位置
+ * 开启地形深度测试时优先使用深度缓冲（含地形与模型），否则与地球表面求交，地球之外返回 undefined
+ * @param {Cesium.Viewer} viewer
+ * @param {Cesium.Cartesian2} windowPosition 屏幕坐标
+ * @returns {Cesium.Cartesian3|undefined}
+ */
+export function pickGlobePosition(viewer, windowPosition) {
+  const { scene, camera } = viewer;
+  if (scene.globe.depthTestAgainstTerrain && scene.pickPositionSupported) {
+    const position = scene.pickPosition(windowPosition);
+    if (Cesium.defined(position)) return position;
+  }
+  const ray = camera.getPickRay(windowPosition);
+  const position = ray && scene.globe.pick(ray, scene);
+  return position ?? camera.pickEllipsoid(windowPosition, scene.globe.ellipsoid);
+}
+
@@ -0,0 +1,119 @@
+import * as Cesium from "cesium";
+import { computeVelocityOrientation } from "./pointing.js";
+import { resolveProperty } from "./property.js";
+
+/**
+ * 平台与安装传感器的坐标链
+ * 平台（飞机等）有位置与姿态；传感器通过杆臂 (lever arm) 和安装角固定在平台上：
+ *   传感器尖端 = 平台位置 + R平台 · 杆臂
+ *   传感器朝向 = R平台 · R安装
+ * 平台机体坐标系：X 轴向前（机头），Y 轴向左，Z 轴向上；姿态 heading / pitch / roll 相对当地东北天坐标系，
+ * 与 Cesium.Transforms.headingPitchRollQuaternion 一致（全为 0 时机头指向正东，heading 顺时针为正）。
+ * 传感器局部坐标系与 createCone 相同（光束为 -Z），安装角全为 0 时光束沿机体 -Z 轴（平飞时竖直向下）。
+ */
+
+/**
+ * 为平台添加一个姿态样本
+ * @param {Cesium.Entity} platform createPlatform 创建的平台实体
+ * @param {Cesium.JulianDate} time
+ * @param {{heading: Number, pitch: Number, roll: Number}} attitude 姿态(度)
+ */
+export function addAttitudeSample(platform, time, attitude) {
+  const hpr = Cesium.HeadingPitchRoll.fromDegrees(attitude.heading, attitude.pitch, attitude.roll);
+  platform.bodyAttitude.addSample(time, Cesium.Quaternion.fromHeadingPitchRoll(hpr));
+}
+
+/**
+ * 计算平台在指定时刻的世界朝向（机体坐标系 -> 地固系）
+ * 没有姿态样本时按速度方向估计
+ * @param {Cesium.Entity} platform
+ * @param {Cesium.JulianDate} time
+ * @returns {Cesium.Quaternion|undefined}
+ */
+export function getPlatformOrientation(platform, time) {
+  const position = platform.position ? platform.position.getValue(time) : undefined;
+  if (!position) return undefined;
+
+  const attitude = platform.bodyAttitude ? platform.bodyAttitude.getValue(time) : undefined;
+  if (!attitude) return computeVelocityOrientation(platform.position, time);
+
+  const enu = Cesium.Matrix4.getMatrix3(
+    Cesium.Transforms.eastNorthUpToFixedFrame(position),
+    new Cesium.Matrix3(),
+  );
+  return Cesium.Quaternion.multiply(
+    Cesium.Quaternion.fromRotationMatrix(enu),
+    attitude,
+    new Cesium.Quaternion(),
+  );
+}
+
+/**
+ * 规范化安装参数
+ * @param {Object} [mount]
+ * @param {Array<Number>} [mount.leverArm=[0, 0, 0]] 杆臂，机体坐标系下传感器尖端相对平台参考点的偏移(米)
+ * @param {Number} [mount.heading=0] 安装航向角(度)
+ * @param {Number} [mount.pitch=0] 安装俯仰角(度)
+ * @param {Number} [mount.roll=0] 安装滚转角(度)
+ * @returns {{leverArm: Cesium.Cartesian3, rotation: Cesium.Quaternion}}
+ */
+function normalizeMount(mount = {}) {
+  const { leverArm = [0, 0, 0], heading = 0, pitch = 0, roll = 0 } = mount;
+  return {
+    leverArm: Cesium.Cartesian3.fromArray(leverArm),
+    rotation: Cesium.Quaternion.fromHeadingPitchRoll(
+      Cesium.HeadingPitchRoll.fromDegrees(heading, pitch, roll),
+    ),
+  };
+}
+
+/**
+ * 计算安装在平台上的传感器的世界位姿
+ * @param {Cesium.Entity} platform
+ * @param {Object} mount 安装参数，见 normalizeMount
+ * @param {Cesium.JulianDate} time
+ * @returns {{position: Cesium.Cartesian3, orientation: Cesium.Quaternion}|undefined}
+ */
+export function computeMountedPose(platform, mount, time) {
+  const position = platform.position ? platform.position.getValue(time) : undefined;
+  const orientation = getPlatformOrientation(platform, time);
+  if (!position || !orientation) return undefined;
+
+  const { leverArm, rotation } = normalizeMount(resolveProperty(mount, time));
+  const offset = Cesium.Matrix3.multiplyByVector(
+    Cesium.Matrix3.fromQuaternion(orientation),
+    leverArm,
+    new Cesium.Cartesian3(),
+  );
+
+  return {
+    position: Cesium.Cartesian3.add(position, offset, offset),
+    orientation: Cesium.Quaternion.multiply(orientation, rotation, new Cesium.Quaternion()),
+  };
+}
+
+/**
+ * 创建安装传感器的尖端位置属性
+ * @param {Cesium.Entity} platform
+ * @param {Object} mount 安装参数
+ * @returns {Cesium.CallbackPositionProperty}
+ */
+export function createMountedPositionProperty(platform, mount) {
+  return new Cesium.CallbackPositionProperty((time, result) => {
+    const pose = computeMountedPose(platform, mount, time);
+    return pose ? Cesium.Cartesian3.clone(pose.position, result) : undefined;
+  }, false);
+}
+
+/**
+ * 创建安装传感器的朝向属性
+ * @param {Cesium.Entity} platform
+ * @param {Object} mount 安装参数
+ * @returns {Cesium.CallbackProperty}
+ */
+export function createMountedOrientationProperty(platform, mount) {
+  return new Cesium.CallbackProperty((time, result) => {
+    const pose = computeMountedPose(platform, mount, time);
+    return pose ? Cesium.Quaternion.clone(pose.orientation, result) : undefined;
+  }, false);
+}
@@ -0,0 +1,365 @@
+import * as Cesium from "cesium";
+
+/**
+ * 传感器指向计划
+ * 按时间区间安排指向模式，每个区间可以是：
+ * - velocity：沿速度方向，光束指向速度坐标系的下方（与 VelocityOrientationProperty 一致）
+ * - nadir：光束沿当地法线竖直向下
+ * - fixed：固定姿态，heading / pitch / roll 相对尖端处当地东北天坐标系(度)，全为 0 时光束竖直向下
+ * - target：锁定区间自身的地面目标 target
+ * - track：跟踪另一个运动实体（entity 引用或 entityId），使用其实时位置
+ * - offNadir：相对平台速度的侧视，lookAngle 为横向视角（正值偏向航迹右侧），alongTrackAngle 为纵向视角（正值偏向前方）(度)
+ * - whiskbroom：垂直航迹方向的往复摆扫，以 lookAngle 为中心、amplitude 为半摆角(度)，rate 为每秒往复次数，摆扫角速度恒定
+ * - spiral：围绕目标（target 或 entityId）的螺旋扫描，偏离角在 period 秒内从 0 增大到 amplitude(度) 后重新开始，rate 为每秒旋转圈数
+ * 扫描图案的相位从区间起点开始计算，同一时刻的朝向是确定的。
+ * 区间边界处在 transition 秒内从上一模式球面插值到新模式，避免朝向跳变。
+ * 计划可通过 toJSON() 序列化，再由 createPointingSchedule 恢复。
+ *
+ * 所有朝向遵循 createCone 的约定：局部 +Z 轴由目标指向尖端，光束为局部 -Z 轴。
+ */
+
+// 各模式的参数默认值，同时决定序列化时输出哪些字段
+const MODE_PARAMETERS = {
+  velocity: {},
+  nadir: {},
+  fixed: { attitude: { heading: 0, pitch: 0, roll: 0 } },
+  target: { target: undefined },
+  track: { entityId: undefined },
+  offNadir: { lookAngle: 0, alongTrackAngle: 0 },
+  whiskbroom: { lookAngle: 0, amplitude: 15, rate: 0.5 },
+  spiral: { target: undefined, entityId: undefined, amplitude: 10, rate: 0.2, period: 10 },
+};
+
+export const POINTING_MODES = Object.keys(MODE_PARAMETERS);
+
+/**
+ * 计算使尖端指向目标点的朝向
+ * @param {Cesium.Cartesian3} position 尖端位置
+ * @param {Cesium.Cartesian3} target 目标点
+ * @returns {Cesium.Quaternion|undefined} 尖端与目标重合时返回 undefined
+ */
+export function computeTargetOrientation(position, target) {
+  // Vector from Target to Tip (align +Z with this to point tip at Pos)
+  const direction = Cesium.Cartesian3.subtract(position, target, new Cesium.Cartesian3());
+
+  // Safety check: Avoid normalizing zero vector
+  if (Cesium.Cartesian3.magnitudeSquared(direction) < Cesium.Math.EPSILON10) {
+    return undefined;
+  }
+  Cesium.Cartesian3.normalize(direction, direction);
+
+  // Calculate Up vector (approximate)
+  const up = Cesium.Cartesian3.normalize(position, new Cesium.Cartesian3());
+
+  // Calculate Right vector
+  const right = Cesium.Cartesian3.cross(up, direction, new Cesium.Cartesian3());
+  if (Cesium.Cartesian3.magnitudeSquared(right) < Cesium.Math.EPSILON10) {
+    // Degenerate case (direction parallel to up), pick arbitrary axis
+    Cesium.Cartesian3.cross(Cesium.Cartesian3.UNIT_X, direction, right);
+  }
+  Cesium.Cartesian3.normalize(right, right);
+
+  // Recalculate Up
+  const realUp = Cesium.Cartesian3.cross(direction, right, new Cesium.Cartesian3());
+  Cesium.Cartesian3.normalize(realUp, realUp);
+
+  // Rotation Matrix [Right, RealUp, Direction]
+  const rotationMatrix = new Cesium.Matrix3(
+    right.x, realUp.x, direction.x,
+    right.y, realUp.y, direction.y,
+    right.z, realUp.z, direction.z,
+  );
+
+  return Cesium.Quaternion.fromRotationMatrix(rotationMatrix);
+}
+
+// 每个位置属性对应一个速度朝向属性，避免每帧重复创建
+const velocityOrientations = new WeakMap();
+
+/**
+ * 计算位置属性在指定时刻沿速度方向的朝向
+ * @param {Cesium.PositionProperty} positionProperty
+ * @param {Cesium.JulianDate} time
+ * @returns {Cesium.Quaternion|undefined}
+ */
+export function computeVelocityOrientation(positionProperty, time) {
+  let property = velocityOrientations.get(positionProperty);
+  if (!property) {
+    property = new Cesium.VelocityOrientationProperty(positionProperty);
+    velocityOrientations.set(positionProperty, property);
+  }
+  return property.getValue(time);
+}
+
+// 缺省的起止时刻表示区间无界
+function toJulianDate(value, unbounded) {
+  if (value === undefined || value === null) return unbounded;
+  return value instanceof Cesium.JulianDate ? value : Cesium.JulianDate.fromIso8601(value);
+}
+
+/**
+ * 将一个区间规范化并校验
+ * @param {Object} interval 序列化的区间
+ * @param {Number} index 区间序号，用于错误信息
+ * @returns {Object} 规范化区间
+ */
+function normalizeInterval(interval, index) {
+  const { start, stop, mode, entity } = interval;
+  if (!POINTING_MODES.includes(mode)) {
+    throw new Error(`Pointing interval ${index}: unknown mode "${mode}"`);
+  }
+
+  const params = {};
+  Object.entries(MODE_PARAMETERS[mode]).forEach(([key, value]) => {
+    const given = interval[key];
+    params[key] = value && typeof value === "object" ? { ...value, ...given } : given ?? value;
+  });
+  if (entity) params.entityId = entity.id;
+
+  const { target } = params;
+  if (target !== undefined && !(Array.isArray(target) && target.length >= 2)) {
+    throw new Error(`Pointing interval ${index}: target must be [lon, lat, height]`);
+  }
+  if (mode === "target" && !target) {
+    throw new Error(`Pointing interval ${index}: target mode requires target [lon, lat, height]`);
+  }
+  if (mode === "track" && !params.entityId) {
+    throw new Error(`Pointing interval ${index}: track mode requires entity or entityId`);
+  }
+  if (mode === "spiral" && !target && !params.entityId) {
+    throw new Error(`Pointing interval ${index}: spiral mode requires target or entityId`);
+  }
+
+  const startTime = toJulianDate(start, Cesium.Iso8601.MINIMUM_VALUE);
+  const stopTime = toJulianDate(stop, Cesium.Iso8601.MAXIMUM_VALUE);
+  if (!Cesium.JulianDate.lessThan(startTime, stopTime)) {
+    throw new Error(`Pointing interval ${index}: start must be before stop`);
+  }
+
+  if (target) params.target = [target[0], target[1], target[2] ?? 0];
+  return {
+    start: startTime,
+    stop: stopTime,
+    mode,
+    params,
+    entity, // 直接传入的实体引用，不参与序列化
+    targetPosition: target ? Cesium.Cartesian3.fromDegrees(target[0], target[1], target[2] ?? 0) : undefined,
+  };
+}
+
+// 当地东北天坐标系对应的朝向：局部 +Z 沿法线向上，光束竖直向下
+function computeNadirOrientation(position) {
+  const enu = Cesium.Transforms.eastNorthUpToFixedFrame(position);
+  return Cesium.Quaternion.fromRotationMatrix(Cesium.Matrix4.getMatrix3(enu, new Cesium.Matrix3()));
+}
+
+// 在基准朝向的局部坐标系中旋转光束：先绕局部 X 轴转 angleX，再绕局部 Y 轴转 angleY，最后绕光束（Z 轴）转 spin（弧度）
+function rotateBeam(base, angleX, angleY, spin = 0) {
+  if (!base) return undefined;
+  const local = Cesium.Matrix3.multiply(
+    Cesium.Matrix3.fromRotationZ(spin),
+    Cesium.Matrix3.multiply(
+      Cesium.Matrix3.fromRotationY(angleY),
+      Cesium.Matrix3.fromRotationX(angleX),
+      new Cesium.Matrix3(),
+    ),
+    new Cesium.Matrix3(),
+  );
+  return Cesium.Quaternion.multiply(
+    base,
+    Cesium.Quaternion.fromRotationMatrix(local),
+    new Cesium.Quaternion(),
+  );
+}
+
+// 速度坐标系中 X 轴向前、Y 轴向左，光束为 -Z：绕 X 轴转 -θ 使光束偏向右侧，绕 Y 轴转 -θ 使光束偏向前方
+function offNadir(base, lookAngle, alongTrackAngle) {
+  return rotateBeam(
+    base,
+    -Cesium.Math.toRadians(lookAngle),
+    -Cesium.Math.toRadians(alongTrackAngle),
+  );
+}
+
+// 幅值为 1 的三角波，周期为 1，相位 0 处为 0 且上升
+function triangleWave(phase) {
+  const x = phase - Math.floor(phase);
+  return x < 0.25 ? 4 * x : x < 0.75 ? 2 - 4 * x : 4 * x - 4;
+}
+
+/**
+ * 创建指向计划
+ * @param {Object|Array} definition 序列化的计划 { transition, intervals }，也可直接传入区间数组或单个区间（如 { mode: "nadir" }）
+ * @param {Array<Object>} definition.intervals 区间 [{ start, stop, mode, ...模式参数 }]：
+ *   start / stop 为 ISO 8601 字符串或 JulianDate，区间为左闭右开，省略时该端无界；
+ *   target 为 [经度, 纬度, 高度]，attitude 为 { heading, pitch, roll }(度)，
+ *   entity 为被跟踪的实体引用（序列化为 entityId，恢复时在尖端实体所在集合中按 ID 查找）；其余参数见模块说明
+ * @param {Number} [definition.transition=2] 模式切换的过渡时长(秒，仿真时间)
+ * @returns {Object} 指向计划
+ */
+export function createPointingSchedule(definition) {
+  let normalized = definition;
+  if (Array.isArray(definition)) {
+    normalized = { intervals: definition };
+  } else if (definition.mode) {
+    normalized = { intervals: [definition] };
+  }
+  const { intervals: raw = [], transition = 2 } = normalized;
+
+  const intervals = raw
+    .map(normalizeInterval)
+    .sort((a, b) => Cesium.JulianDate.compare(a.start, b.start));
+
+  for (let i = 1; i < intervals.length; i++) {
+    if (Cesium.JulianDate.lessThan(intervals[i].start, intervals[i - 1].stop)) {
+      throw new Error(`Pointing intervals ${i - 1} and ${i} overlap`);
+    }
+  }
+
+  // 所有模式可能发生变化的时刻
+  const boundaries = intervals
+    .flatMap((interval) => [interval.start, interval.stop])
+    .filter((time) => time !== Cesium.Iso8601.MINIMUM_VALUE && time !== Cesium.Iso8601.MAXIMUM_VALUE)
+    .sort(Cesium.JulianDate.compare);
+
+  // 指定时刻所在区间，不在任何区间内时返回 undefined
+  function intervalAt(time) {
+    return intervals.find(
+      (interval) =>
+        Cesium.JulianDate.greaterThanOrEquals(time, interval.start) &&
+        Cesium.JulianDate.lessThan(time, interval.stop),
+    );
+  }
+
+  // 区间的目标位置：跟踪实体优先，其次固定目标点
+  function targetOf(interval, entity, time) {
+    if (interval.params.entityId) {
+      const tracked = interval.entity
+        || (entity.entityCollection && entity.entityCollection.getById(interval.params.entityId));
+      return tracked && tracked.position ? tracked.position.getValue(time) : undefined;
+    }
+    return interval.targetPosition;
+  }
+
+  // 按区间的模式计算朝向，interval 为空时使用 fallback
+  function orientationFor(interval, entity, position, time, fallback) {
+    if (!interval) return fallback(time);
+    const { params } = interval;
+    const elapsed = Cesium.JulianDate.secondsDifference(time, interval.start);
+
+    switch (interval.mode) {
+      case "velocity":
+        return computeVelocityOrientation(entity.position, time);
+      case "nadir":
+        return computeNadirOrientation(position);
+      case "fixed": {
+        const { heading, pitch, roll } = params.attitude;
+        return Cesium.Transforms.headingPitchRollQuaternion(
+          position,
+          Cesium.HeadingPitchRoll.fromDegrees(heading, pitch, roll),
+        );
+      }
+      case "target":
+      case "track": {
+        const target = targetOf(interval, entity, time);
+        return target ? computeTargetOrientation(position, target) : undefined;
+      }
+      case "offNadir":
+        return offNadir(
+          computeVelocityOrientation(entity.position, time),
+          params.lookAngle,
+          params.alongTrackAngle,
+        );
+      case "whiskbroom":
+        return offNadir(
+          computeVelocityOrientation(entity.position, time),
+          params.lookAngle + params.amplitude * triangleWave(elapsed * params.rate),
+          0,
+        );
+      case "spiral": {
+        const target = targetOf(interval, entity, time);
+        if (!target) return undefined;
+        const growth = params.period > 0 ? (elapsed / params.period) % 1 : 1;
+        return rotateBeam(
+          computeTargetOrientation(position, target),
+          Cesium.Math.toRadians(params.amplitude * growth),
+          0,
+          Cesium.Math.TWO_PI * params.rate * elapsed,
+        );
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  return {
+    intervals,
+    transition,
+
+    /**
+     * 指定时刻所在区间
+     * @param {Cesium.JulianDate} time
+     * @returns {Object|undefined}
+     */
+    intervalAt,
+
+    /**
+     * 计算实体在指定时刻的朝向
+     * @param {Cesium.Entity} entity 尖端实体
+     * @param {Cesium.JulianDate} time
+     * @param {Function} [fallback] 不在任何区间内时的朝向 (time) => Quaternion
+     * @returns {Cesium.Quaternion|undefined}
+     */
+    getOrientation(entity, time, fallback = () => undefined) {
+      const position = entity.position ? entity.position.getValue(time) : undefined;
+      if (!position) return undefined;
+
+      const current = intervalAt(time);
+      const orientation = orientationFor(current, entity, position, time, fallback);
+
+      // 最近一次模式切换发生在过渡时长内时，从切换前的模式插值过来
+      if (transition <= 0) return orientation;
+      let boundary;
+      for (let i = boundaries.length - 1; i >= 0; i--) {
+        if (Cesium.JulianDate.lessThanOrEquals(boundaries[i], time)) {
+          boundary = boundaries[i];
+          break;
+        }
+      }
+      if (!boundary) return orientation;
+
+      const elapsed = Cesium.JulianDate.secondsDifference(time, boundary);
+      if (elapsed >= transition) return orientation;
+
+      const before = intervalAt(Cesium.JulianDate.addSeconds(boundary, -1e-3, new Cesium.JulianDate()));
+      if (before === current) return orientation;
+
+      const previous = orientationFor(before, entity, position, time, fallback);
+      if (!previous || !orientation) return orientation || previous;
+
+      // smoothstep 使角速度在过渡两端连续
+      const s = elapsed / transition;
+      return Cesium.Quaternion.slerp(previous, orientation, s * s * (3 - 2 * s), new Cesium.Quaternion());
+    },
+
+    /**
+     * 序列化为 JSON 对象
+     * @returns {{transition: Number, intervals: Array<Object>}}
+     */
+    toJSON() {
+      return {
+        transition,
+        intervals: intervals.map(({ start, stop, mode, params }) => {
+          const json = {};
+          if (start !== Cesium.Iso8601.MINIMUM_VALUE) json.start = Cesium.JulianDate.toIso8601(start);
+          if (stop !== Cesium.Iso8601.MAXIMUM_VALUE) json.stop = Cesium.JulianDate.toIso8601(stop);
+          json.mode = mode;
+          Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined) json[key] = value;
+          });
+          return json;
+        }),
+      };
+    },
+  };
+}
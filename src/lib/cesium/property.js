@@ -0,0 +1,72 @@
+import * as Cesium from "cesium";
+
+/**
+ * Cesium Property 辅助函数
+ * Cesium.Property 只是接口说明，ConstantProperty / SampledProperty / CallbackProperty 等并不继承它，
+ * `instanceof Cesium.Property` 恒为 false，因此按是否提供 getValue 判断。
+ */
+
+/**
+ * 判断值是否为 Cesium Property
+ * @param {*} value
+ * @returns {Boolean}
+ */
+export function isProperty(value) {
+  return value !== null && value !== undefined && typeof value.getValue === "function";
+}
+
+/**
+ * 读取可能是 Property 的值
+ * @param {*} value 普通值或 Property
+ * @param {Cesium.JulianDate} time
+ * @returns {*}
+ */
+export function resolveProperty(value, time) {
+  return isProperty(value) ? value.getValue(time) : value;
+}
+
+// SampledPositionProperty 不公开样本时间：createSampledPositionProperty 创建的属性在此按时间顺序记录
+const sampleTimes = new WeakMap();
+
+/**
+ * 创建记录样本时刻的 SampledPositionProperty，样本须通过 addPositionSamples 添加
+ * @returns {Cesium.SampledPositionProperty}
+ */
+export function createSampledPositionProperty() {
+  const property = new Cesium.SampledPositionProperty();
+  sampleTimes.set(property, []);
+  return property;
+}
+
+/**
+ * 向 SampledPositionProperty 添加样本，由 createSampledPositionProperty 创建时同时记录样本时刻
+ * @param {Cesium.SampledPositionProperty} property
+ * @param {Cesium.JulianDate[]} times
+ * @param {Cesium.Cartesian3[]} positions
+ */
+export function addPositionSamples(property, times, positions) {
+  property.addSamples(times, positions);
+  const recorded = sampleTimes.get(property);
+  if (!recorded) return;
+  times.forEach((time) => {
+    // 二分查找插入位置，同一时刻的样本被替换，不重复记录
+    let low = 0;
+    let high = recorded.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (Cesium.JulianDate.lessThan(recorded[mid], time)) low = mid + 1;
+      else high = mid;
+    }
+    if (low < recorded.length && Cesium.JulianDate.equals(recorded[low], time)) return;
+    recorded.splice(low, 0, Cesium.JulianDate.clone(time));
+  });
+}
+
+/**
+ * 按时间排序的样本时刻
+ * @param {Cesium.Property} property
+ * @returns {Cesium.JulianDate[]|undefined} 不是 createSampledPositionProperty 创建的属性返回 undefined
+ */
+export function getSampleTimes(property) {
+  return sampleTimes.get(property);
+}
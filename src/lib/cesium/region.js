@@ -0,0 +1,133 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import { resolveProperty } from "./property.js";
+
+/**
+ * 地面区域几何
+ * 所有区域统一表示为一个 GeoJSON Feature (Polygon / MultiPolygon，坐标为 [经度, 纬度] 度)，
+ * 区域实体通过 regionGeoJSON 属性提供该几何，足迹裁剪与统计只依赖这一接口。
+ */
+
+/**
+ * 以大圆距离构建圆形区域
+ * @param {Number[]} center 圆心 [经度, 纬度] (度)
+ * @param {Number} radius 半径(米)
+ * @param {Object} [options]
+ * @param {Number} [options.steps=128] 圆周分段数
+ * @returns {Object} GeoJSON Polygon Feature
+ */
+export function circleRegion(center, radius, options = {}) {
+  const { steps = 128 } = options;
+  return turf.circle(center, radius / 1000, { steps, units: "kilometers" });
+}
+
+/**
+ * 构建多边形区域
+ * @param {Array<number[]>} positions 外环 [[经度, 纬度], ...] (度)，可不闭合
+ * @param {Array<Array<number[]>>} [holes] 内环（孔）
+ * @returns {Object} GeoJSON Polygon Feature
+ */
+export function polygonRegion(positions, holes = []) {
+  return turf.polygon([positions, ...holes].map(closeRing));
+}
+
+/**
+ * 构建矩形区域
+ * @param {Number} west 西边界经度(度)
+ * @param {Number} south 南边界纬度(度)
+ * @param {Number} east 东边界经度(度)
+ * @param {Number} north 北边界纬度(度)
+ * @returns {Object} GeoJSON Polygon Feature
+ */
+export function rectangleRegion(west, south, east, north) {
+  return turf.bboxPolygon([west, south, east, north]);
+}
+
+/**
+ * 构建沿航线的走廊区域
+ * @param {Array<number[]>} positions 中心线 [[经度, 纬度], ...] (度)
+ * @param {Number} width 走廊总宽度(米)
+ * @returns {Object} GeoJSON Polygon Feature
+ */
+export function corridorRegion(positions, width) {
+  return turf.buffer(turf.lineString(positions), width / 2000, {
+    units: "kilometers",
+  });
+}
+
+/**
+ * 将任意 GeoJSON (Geometry / Feature / FeatureCollection) 中的面要素合并为一个区域
+ * @param {Object} geojson
+ * @returns {Object} GeoJSON Polygon / MultiPolygon Feature
+ * @throws {Error} 不含任何面要素时抛出
+ */
+export function geoJSONRegion(geojson) {
+  const polygons = [];
+  turf.flattenEach(geojson, (feature) => {
+    if (feature.geometry && feature.geometry.type === "Polygon") {
+      polygons.push(turf.polygon(feature.geometry.coordinates.map(closeRing)));
+    }
+  });
+
+  if (polygons.length === 0) {
+    throw new Error("GeoJSON region must contain at least one Polygon or MultiPolygon");
+  }
+  if (polygons.length === 1) return polygons[0];
+  return turf.union(turf.featureCollection(polygons));
+}
+
+/**
+ * 将区域拆分为多边形坐标数组，便于逐部分渲染
+ * @param {Object} region GeoJSON Polygon / MultiPolygon Feature
+ * @returns {Array<Array<Array<number[]>>>} 每项为 [外环, ...内环]
+ */
+export function getRegionPolygons(region) {
+  return region.geometry.type === "Polygon"
+    ? [region.geometry.coordinates]
+    : region.geometry.coordinates;
+}
+
+/**
+ * 读取区域实体在指定时刻的 GeoJSON 几何
+ * 优先使用实体的 regionGeoJSON 属性，兼容仅带 ellipse 的旧地面圆形实体
+ * @param {Cesium.Entity} entity 区域实体
+ * @param {Cesium.JulianDate} time
+ * @param {Object} [options]
+ * @param {Number} [options.radius] 无法从实体读取半径时使用的圆形半径(米)
+ * @returns {Object|undefined} GeoJSON Polygon / MultiPolygon Feature
+ */
+export function getRegionGeoJSON(entity, time, options = {}) {
+  if (entity.regionGeoJSON) {
+    return resolveProperty(entity.regionGeoJSON, time);
+  }
+
+  const position = entity.position ? entity.position.getValue(time) : undefined;
+  if (!position) return undefined;
+
+  let radius = options.radius;
+  if (entity.ellipse && entity.ellipse.semiMajorAxis) {
+    radius = entity.ellipse.semiMajorAxis.getValue(time);
+  }
+  if (radius === undefined) return undefined;
+
+  return circleRegion(toLonLat(position), radius);
+}
+
+/**
+ * 笛卡尔坐标转 [经度, 纬度] (度)
+ * @param {Cesium.Cartesian3} position
+ * @param {Cesium.Ellipsoid} [ellipsoid]
+ * @returns {Number[]}
+ */
+export function toLonLat(position, ellipsoid = Cesium.Ellipsoid.WGS84) {
+  const c = Cesium.Cartographic.fromCartesian(position, ellipsoid);
+  return [Cesium.Math.toDegrees(c.longitude), Cesium.Math.toDegrees(c.latitude)];
+}
+
+// 闭合线环
+function closeRing(ring) {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] === last[0] && first[1] === last[1]) return ring;
+  return [...ring, first];
+}
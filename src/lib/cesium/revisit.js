@@ -0,0 +1,208 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+
+/**
+ * 重访统计栅格
+ * 在地面区域上铺设方形或六边形网格，按仿真时间步记录各圆锥足迹对每个单元的访问：
+ * 同一圆锥连续多步覆盖同一单元算作一次访问，中断超过 maxGap 后再次覆盖算作一次重访。
+ * 每个单元保存访问区间列表，可查询任意时刻为止的访问次数、首次与最近一次观测时间。不依赖 Viewer。
+ */
+
+export const REVISIT_GRID_SHAPES = ["square", "hex"];
+
+/**
+ * 创建重访统计栅格
+ * @param {Object} options
+ * @param {Object} options.region 地面区域 GeoJSON Feature (Polygon / MultiPolygon)
+ * @param {Number} [options.cellSize=1000] 网格边长(米)，六边形为外接圆半径
+ * @param {String} [options.shape="square"] 网格形状，"square" 或 "hex"
+ * @param {Number} [options.maxGap=1.5] 同一次访问内相邻两次覆盖的最大时间间隔(秒)
+ * @returns {Object} 栅格
+ */
+export function createRevisitGrid(options) {
+  const { region, cellSize = 1000, shape = "square", maxGap = 1.5 } = options;
+  if (!region) {
+    throw new Error("Revisit grid requires a ground region");
+  }
+  if (!REVISIT_GRID_SHAPES.includes(shape)) {
+    throw new Error(`Unknown revisit grid shape: ${shape}`);
+  }
+
+  const gridOptions = { units: "kilometers", mask: region };
+  const cells = shape === "hex"
+    ? turf.hexGrid(turf.bbox(region), cellSize / 1000, gridOptions)
+    : turf.squareGrid(turf.bbox(region), cellSize / 1000, gridOptions);
+
+  // 以单元中心点判断是否被足迹覆盖
+  const centers = cells.features.map((cell) => turf.centroid(cell));
+  // visits[i] 为第 i 个单元的访问区间 [{ key, start, stop }]，时间为相对 epoch 的秒数，按开始时间排序
+  const visits = cells.features.map(() => []);
+  let epoch = null;
+
+  const toSeconds = (time) => Cesium.JulianDate.secondsDifference(time, epoch);
+  const toTime = (seconds) => Cesium.JulianDate.addSeconds(epoch, seconds, new Cesium.JulianDate());
+
+  // 截至 seconds 时刻的单元统计
+  function cellStats(index, seconds) {
+    let count = 0;
+    let first;
+    let last;
+    for (const visit of visits[index]) {
+      if (visit.start > seconds) break;
+      count++;
+      if (first === undefined) first = visit.start;
+      last = Math.max(last ?? -Infinity, Math.min(visit.stop, seconds));
+    }
+    return { count, first, last };
+  }
+
+  return {
+    cells,
+    shape,
+    cellSize,
+
+    /**
+     * 记录某一时刻一个圆锥的足迹
+     * @param {Cesium.JulianDate} time
+     * @param {*} key 圆锥标识
+     * @param {Object|null} footprint 已裁剪到地面区域的足迹 GeoJSON Feature
+     * @returns {Number} 本次被覆盖的单元数
+     */
+    add(time, key, footprint) {
+      if (!footprint) return 0;
+      if (!epoch) epoch = Cesium.JulianDate.clone(time);
+      const seconds = toSeconds(time);
+
+      const [west, south, east, north] = turf.bbox(footprint);
+      let covered = 0;
+      centers.forEach((center, index) => {
+        const [lon, lat] = center.geometry.coordinates;
+        if (lon < west || lon > east || lat < south || lat > north) return;
+        if (!turf.booleanPointInPolygon(center, footprint)) return;
+        covered++;
+
+        // 延续该圆锥最近一次访问，或开始新的访问
+        const list = visits[index];
+        let open;
+        for (let i = list.length - 1; i >= 0; i--) {
+          if (list[i].key === key) {
+            open = list[i];
+            break;
+          }
+        }
+        if (open && seconds >= open.start && seconds - open.stop <= maxGap) {
+          open.stop = Math.max(open.stop, seconds);
+        } else {
+          list.push({ key, start: seconds, stop: seconds });
+          list.sort((a, b) => a.start - b.start);
+        }
+      });
+      return covered;
+    },
+
+    /**
+     * 删除晚于指定时刻的记录，用于时间线回退重算
+     * @param {Cesium.JulianDate} time
+     */
+    truncate(time) {
+      if (!epoch) return;
+      const seconds = toSeconds(time);
+      visits.forEach((list) => {
+        while (list.length > 0 && list[list.length - 1].start > seconds) list.pop();
+        list.forEach((visit) => {
+          visit.stop = Math.min(visit.stop, seconds);
+        });
+      });
+    },
+
+    /** 清空全部记录 */
+    reset() {
+      visits.forEach((list) => {
+        list.length = 0;
+      });
+      epoch = null;
+    },
+
+    /**
+     * 查找经纬度所在的单元
+     * @param {Number} lon 经度(度)
+     * @param {Number} lat 纬度(度)
+     * @returns {Number} 单元序号，不在网格内时返回 -1
+     */
+    cellAt(lon, lat) {
+      const point = turf.point([lon, lat]);
+      return cells.features.findIndex((cell) => turf.booleanPointInPolygon(point, cell));
+    },
+
+    /**
+     * 查询单元截至指定时刻的访问统计
+     * @param {Number} index 单元序号
+     * @param {Cesium.JulianDate} [time] 默认为全部已记录的数据
+     * @returns {{count: Number, firstSeen: Cesium.JulianDate|undefined, lastSeen: Cesium.JulianDate|undefined,
+     *   visits: Array<{key: *, start: Cesium.JulianDate, stop: Cesium.JulianDate}>}}
+     */
+    getCell(index, time) {
+      const list = visits[index];
+      if (!list) throw new Error(`Revisit grid cell ${index} does not exist`);
+      if (!epoch) return { count: 0, firstSeen: undefined, lastSeen: undefined, visits: [] };
+
+      const seconds = time ? toSeconds(time) : Infinity;
+      const { count, first, last } = cellStats(index, seconds);
+      return {
+        count,
+        firstSeen: first === undefined ? undefined : toTime(first),
+        lastSeen: last === undefined ? undefined : toTime(last),
+        visits: list
+          .filter((visit) => visit.start <= seconds)
+          .map((visit) => ({ key: visit.key, start: toTime(visit.start), stop: toTime(Math.min(visit.stop, seconds)) })),
+      };
+    },
+
+    /**
+     * 查询经纬度处截至指定时刻的访问统计
+     * @param {Number} lon 经度(度)
+     * @param {Number} lat 纬度(度)
+     * @param {Cesium.JulianDate} [time]
+     * @returns {Object|undefined} 见 getCell，另含 index；不在网格内时返回 undefined
+     */
+    query(lon, lat, time) {
+      const index = this.cellAt(lon, lat);
+      return index < 0 ? undefined : { index, ...this.getCell(index, time) };
+    },
+
+    /**
+     * 各单元截至指定时刻的访问次数
+     * @param {Cesium.JulianDate} [time]
+     * @returns {Uint32Array}
+     */
+    getCounts(time) {
+      const counts = new Uint32Array(visits.length);
+      if (!epoch) return counts;
+      const seconds = time ? toSeconds(time) : Infinity;
+      visits.forEach((list, index) => {
+        let count = 0;
+        while (count < list.length && list[count].start <= seconds) count++;
+        counts[index] = count;
+      });
+      return counts;
+    },
+
+    /**
+     * 导出截至指定时刻的栅格，单元 properties 含 count、firstSeen、lastSeen (ISO 8601)
+     * @param {Cesium.JulianDate} [time]
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    toGeoJSON(time) {
+      const seconds = epoch && time ? toSeconds(time) : Infinity;
+      return turf.featureCollection(cells.features.map((cell, index) => {
+        const { count, first, last } = epoch ? cellStats(index, seconds) : { count: 0 };
+        return turf.feature(cell.geometry, {
+          index,
+          count,
+          firstSeen: first === undefined ? null : Cesium.JulianDate.toIso8601(toTime(first)),
+          lastSeen: last === undefined ? null : Cesium.JulianDate.toIso8601(toTime(last)),
+        });
+      }));
+    },
+  };
+}
@@ -0,0 +1,319 @@
+import * as Cesium from "cesium";
+import { createCone } from "./cesiumDraw.js";
+import { geoJSONRegion, getRegionPolygons, toLonLat } from "./region.js";
+import { resolveProperty } from "./property.js";
+
+/**
+ * 任务数据的导出与导入
+ * 累积足迹 -> GeoJSON / KML，扫描轨迹 -> 每个传感器一条带时间戳的 GeoJSON LineString，
+ * 圆锥 -> CZML。导出结果可直接在 Cesium 或常见 GIS 工具中打开，导入函数用于恢复任务。
+ */
+
+const KML_NAMESPACE = "http://www.opengis.net/kml/2.2";
+
+/**
+ * 导出累积足迹为 GeoJSON 字符串
+ * @param {Object} footprint 累积足迹 GeoJSON Feature (Polygon / MultiPolygon)
+ * @param {Object} [properties] 附加到要素上的属性
+ * @returns {String}
+ */
+export function footprintToGeoJSON(footprint, properties = {}) {
+  const feature = {
+    type: "Feature",
+    properties: { ...footprint.properties, ...properties },
+    geometry: footprint.geometry,
+  };
+  return JSON.stringify({ type: "FeatureCollection", features: [feature] });
+}
+
+/**
+ * 导出累积足迹为 KML 字符串
+ * @param {Object} footprint 累积足迹 GeoJSON Feature (Polygon / MultiPolygon)
+ * @param {Object} [options]
+ * @param {String} [options.name="Footprint"] 文档名称
+ * @param {Cesium.Color} [options.color] 填充颜色
+ * @returns {String}
+ */
+export function footprintToKML(footprint, options = {}) {
+  const { name = "Footprint", color = Cesium.Color.YELLOW.withAlpha(0.5) } = options;
+
+  const toCoordinates = (ring) => ring.map((c) => `${c[0]},${c[1]},0`).join(" ");
+  const polygons = getRegionPolygons(footprint)
+    .map((coords) => {
+      const inner = coords
+        .slice(1)
+        .map((hole) => `<innerBoundaryIs><LinearRing><coordinates>${toCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`)
+        .join("");
+      return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toCoordinates(coords[0])}</coordinates></LinearRing></outerBoundaryIs>${inner}</Polygon>`;
+    })
+    .join("");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<kml xmlns="${KML_NAMESPACE}"><Document>`,
+    `<name>${escapeXml(name)}</name>`,
+    `<Style id="footprint"><PolyStyle><color>${toKmlColor(color)}</color></PolyStyle></Style>`,
+    `<Placemark><name>${escapeXml(name)}</name><styleUrl>#footprint</styleUrl>`,
+    `<MultiGeometry>${polygons}</MultiGeometry>`,
+    "</Placemark></Document></kml>",
+  ].join("\n");
+}
+
+/**
+ * 导出扫描轨迹为 GeoJSON FeatureCollection，每个传感器一条 LineString
+ * 传感器标识写入 properties.key，时间戳写入 properties.coordTimes
+ * @param {Array<{time: Cesium.JulianDate, position: Cesium.Cartesian3, key: *}>} track 累积器的 track
+ * @param {Object} [properties] 附加到每个要素上的属性
+ * @returns {String}
+ */
+export function scanTrackToGeoJSON(track, properties = {}) {
+  const byKey = new Map(); // 传感器标识 -> 该传感器的轨迹点
+  track.forEach((point) => {
+    if (!byKey.has(point.key)) byKey.set(point.key, []);
+    byKey.get(point.key).push(point);
+  });
+
+  const features = [...byKey].map(([key, points]) => ({
+    type: "Feature",
+    properties: {
+      ...properties,
+      key,
+      coordTimes: points.map((p) => Cesium.JulianDate.toIso8601(p.time)),
+    },
+    geometry: {
+      type: "LineString",
+      coordinates: points.map((p) => toLonLat(p.position)),
+    },
+  }));
+  return JSON.stringify({ type: "FeatureCollection", features });
+}
+
+/**
+ * 导出圆锥为 CZML 文档
+ * 输出两个包：圆锥尖端（位置、朝向、coneLength、coneAngle 采样）与用于显示的圆柱体
+ * 只导出 createCone 创建的圆锥；视锥传感器（createFrustumSensor）没有 coneAngle，CZML 中也没有对应的显示图元，会被跳过
+ * @param {Cesium.Entity|Cesium.Entity[]} coneEntities createCone 创建的圆锥实体
+ * @param {Object} options
+ * @param {Cesium.JulianDate} options.start 开始时间
+ * @param {Cesium.JulianDate} options.stop 结束时间
+ * @param {Number} [options.step=1] 采样间隔(秒)
+ * @param {String} [options.name="Mission"] 文档名称
+ * @returns {Array<Object>} CZML 包数组，可直接 JSON.stringify
+ */
+export function coneToCZML(coneEntities, options) {
+  const { start, stop, step = 1, name = "Mission" } = options;
+  const cones = (Array.isArray(coneEntities) ? coneEntities : [coneEntities]).filter((entity) => {
+    if (resolveProperty(entity.sensorType, start) !== "frustum") return true;
+    console.warn(`Frustum sensor ${entity.id} is skipped in CZML export`);
+    return false;
+  });
+  const epoch = Cesium.JulianDate.toIso8601(start);
+  const interval = `${epoch}/${Cesium.JulianDate.toIso8601(stop)}`;
+
+  const czml = [
+    {
+      id: "document",
+      name: name,
+      version: "1.0",
+      clock: { interval, currentTime: epoch, multiplier: 1, range: "LOOP_STOP" },
+    },
+  ];
+
+  cones.forEach((entity) => {
+    const position = [], center = [], orientation = [], length = [], angle = [], radius = [];
+
+    const duration = Cesium.JulianDate.secondsDifference(stop, start);
+    for (let t = 0; t <= duration; t += step) {
+      const time = Cesium.JulianDate.addSeconds(start, t, new Cesium.JulianDate());
+      const pos = entity.position.getValue(time);
+      const orient = entity.orientation.getValue(time);
+      const l = resolveProperty(entity.coneLength, time);
+      const a = resolveProperty(entity.coneAngle, time);
+      if (!pos || !orient || l === undefined || a === undefined) continue;
+
+      // 圆柱体以中心定位：中心 = 尖端 - R * (0, 0, L/2)
+      const offset = Cesium.Matrix3.multiplyByVector(
+        Cesium.Matrix3.fromQuaternion(orient),
+        new Cesium.Cartesian3(0, 0, l / 2),
+        new Cesium.Cartesian3(),
+      );
+      const c = Cesium.Cartesian3.subtract(pos, offset, new Cesium.Cartesian3());
+
+      position.push(t, pos.x, pos.y, pos.z);
+      center.push(t, c.x, c.y, c.z);
+      orientation.push(t, orient.x, orient.y, orient.z, orient.w);
+      length.push(t, l);
+      angle.push(t, a);
+      radius.push(t, l * Math.tan(a / 2));
+    }
+
+    czml.push(
+      {
+        id: entity.id,
+        name: entity.name,
+        availability: interval,
+        position: { epoch, interpolationAlgorithm: "LAGRANGE", interpolationDegree: 1, cartesian: position },
+        orientation: { epoch, unitQuaternion: orientation },
+        properties: {
+          coneLength: { epoch, number: length },
+          coneAngle: { epoch, number: angle },
+        },
+      },
+      {
+        id: `${entity.id}-visual`,
+        parent: entity.id,
+        availability: interval,
+        position: { epoch, interpolationAlgorithm: "LAGRANGE", interpolationDegree: 1, cartesian: center },
+        orientation: { epoch, unitQuaternion: orientation },
+        cylinder: {
+          length: { epoch, number: length },
+          topRadius: 0,
+          bottomRadius: { epoch, number: radius },
+          material: { solidColor: { color: { rgba: [255, 0, 0, 128] } } },
+          outline: true,
+        },
+      },
+    );
+  });
+
+  return czml;
+}
+
+/**
+ * 解析 GeoJSON 足迹
+ * @param {String|Object} input GeoJSON 字符串或对象
+ * @returns {Object} 累积足迹 GeoJSON Feature，可作为 createIntersectionPolygon 的 initialFootprint
+ */
+export function parseFootprintGeoJSON(input) {
+  const geojson = typeof input === "string" ? JSON.parse(input) : input;
+  return geoJSONRegion(geojson);
+}
+
+/**
+ * 解析 KML 足迹（需要浏览器 DOMParser）
+ * @param {String} text KML 字符串
+ * @returns {Object} 累积足迹 GeoJSON Feature
+ * @throws {Error} KML 无效或不含 Polygon 时抛出
+ */
+export function parseFootprintKML(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid KML document");
+  }
+
+  const parseRing = (boundary) => {
+    const node = boundary.getElementsByTagName("coordinates")[0];
+    return node.textContent
+      .trim()
+      .split(/\s+/)
+      .map((tuple) => tuple.split(",").slice(0, 2).map(Number));
+  };
+
+  const coordinates = [...doc.getElementsByTagName("Polygon")].map((polygon) => [
+    ...[...polygon.getElementsByTagName("outerBoundaryIs")].map(parseRing),
+    ...[...polygon.getElementsByTagName("innerBoundaryIs")].map(parseRing),
+  ]);
+
+  return geoJSONRegion({ type: "MultiPolygon", coordinates });
+}
+
+/**
+ * 解析 scanTrackToGeoJSON 导出的扫描轨迹
+ * 各要素的轨迹点按时间合并为一条轨迹，properties.key 还原为轨迹点的传感器标识
+ * @param {String|Object} input GeoJSON 字符串或对象
+ * @returns {Array<{time: Cesium.JulianDate, position: Cesium.Cartesian3, key: *}>} 可作为 createIntersectionPolygon 的 initialTrack
+ * @throws {Error} 要素不是 LineString 或时间戳数量不匹配时抛出
+ */
+export function parseScanTrackGeoJSON(input) {
+  const geojson = typeof input === "string" ? JSON.parse(input) : input;
+  const features = geojson.type === "FeatureCollection" ? geojson.features : [geojson];
+
+  const track = features.flatMap((feature) => {
+    if (!feature || !feature.geometry || feature.geometry.type !== "LineString") {
+      throw new Error("Scan track must be a LineString feature");
+    }
+    const { coordinates } = feature.geometry;
+    const properties = feature.properties || {};
+    const times = properties.coordTimes || [];
+    if (times.length !== coordinates.length) {
+      throw new Error(
+        `Scan track has ${coordinates.length} positions but ${times.length} timestamps`,
+      );
+    }
+
+    return coordinates.map((c, i) => ({
+      time: Cesium.JulianDate.fromIso8601(times[i]),
+      position: Cesium.Cartesian3.fromDegrees(c[0], c[1], 0),
+      key: properties.key,
+    }));
+  });
+
+  // 稳定排序，同一时刻的点保持导出时的传感器顺序
+  return track.sort((a, b) => Cesium.JulianDate.compare(a.time, b.time));
+}
+
+/**
+ * 从 coneToCZML 导出的 CZML 重新创建圆锥
+ * 带有 coneLength / coneAngle 属性的包被还原为 createCone 圆锥，其余包（如显示用圆柱体）被忽略
+ * @param {Cesium.Viewer} viewer
+ * @param {Array<Object>|String} czml CZML 包数组或 URL
+ * @returns {Promise<Cesium.Entity[]>} 新创建的圆锥实体
+ */
+export async function loadConeCZML(viewer, czml) {
+  const dataSource = await Cesium.CzmlDataSource.load(czml);
+
+  const documentClock = dataSource.clock;
+  if (documentClock) {
+    viewer.clock.startTime = documentClock.startTime.clone();
+    viewer.clock.stopTime = documentClock.stopTime.clone();
+    viewer.clock.currentTime = documentClock.currentTime.clone();
+    viewer.clock.clockRange = documentClock.clockRange;
+  }
+
+  return dataSource.entities.values
+    .filter((entity) => entity.properties && entity.properties.hasProperty("coneLength"))
+    .map((entity) => {
+      const time = viewer.clock.currentTime;
+      const cone = createCone(viewer, {
+        id: entity.id,
+        name: entity.name,
+        position: entity.position,
+        orientation: entity.orientation,
+        length: entity.properties.coneLength.getValue(time),
+        coneAngle: entity.properties.coneAngle.getValue(time),
+      });
+      // 采样的长度与角度以 Property 形式挂回，随时间变化
+      cone.coneLength = entity.properties.coneLength;
+      cone.coneAngle = entity.properties.coneAngle;
+      return cone;
+    });
+}
+
+/**
+ * 在浏览器中下载文本文件
+ * @param {String} content 文件内容
+ * @param {String} filename 文件名
+ * @param {String} [mimeType="application/json"]
+ */
+export function downloadText(content, filename, mimeType = "application/json") {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// KML 颜色为 aabbggrr
+function toKmlColor(color) {
+  const hex = (v) => Math.round(v * 255).toString(16).padStart(2, "0");
+  return `${hex(color.alpha)}${hex(color.blue)}${hex(color.green)}${hex(color.red)}`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
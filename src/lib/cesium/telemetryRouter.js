@@ -0,0 +1,156 @@
+import * as Cesium from "cesium";
+import { addAttitudeSample } from "./platform.js";
+import { addPositionSamples, createSampledPositionProperty } from "./property.js";
+
+/**
+ * 创建遥测消息路由器，按消息 id 将数据写入对应实体
+ * 1. position 写入实体的 SampledPositionProperty（乱序消息按时间插入）
+ * 2. attitude 写入 SampledProperty(Quaternion)，首次收到时替换实体 orientation，插值设置与实体的采样位置相同；
+ *    平台实体（createPlatform）写入其机体姿态
+ * 3. cone 更新 coneAngle / coneLength，mode 更新 isTargetOrientation / targetPosition
+ * 4. 同一实体重复的时间戳只接受第一条；只记住最新样本之前 dedupeWindow 秒内的时间戳，实时遥测长时间运行时内存不随消息数增长，
+ *    更早的重复消息会重新写入同一时刻的样本
+ * 5. 姿态消息需要实体已有位置（平台实体除外），否则丢弃
+ * 6. 安装在平台上的传感器位置与朝向由平台计算（见 platform.js），带 position / attitude 的消息丢弃，应发送给平台
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} [options]
+ * @param {Number} [options.maxLateness=Infinity] 允许的最大乱序延迟(秒)，早于最新样本超过该值的消息被丢弃
+ * @param {Number} [options.dedupeWindow=600] 时间戳去重的时间窗口(秒，仿真时间)，超过 maxLateness 时按 maxLateness
+ * @param {Function} [options.onDrop] 消息被丢弃时的回调 (message, reason) => void
+ * @param {Function} [options.onSample] 消息被接受并写入实体后的回调 (entity, time) => void
+ * @returns {{route: Function, reset: Function}}
+ */
+export function createTelemetryRouter(viewer, options = {}) {
+  const { maxLateness = Infinity, dedupeWindow = 600, onDrop = () => {}, onSample = () => {} } = options;
+  const retention = Math.min(maxLateness, dedupeWindow);
+
+  // 每个实体的路由状态：去重窗口内已接收的时间戳 (ISO 字符串 -> JulianDate)、最新时间、上次清理时间、姿态属性
+  const states = new Map();
+
+  function getState(entity) {
+    let state = states.get(entity.id);
+    if (!state) {
+      state = { seen: new Map(), latest: null, pruned: null, attitude: null };
+      states.set(entity.id, state);
+    }
+    return state;
+  }
+
+  // 移除早于去重窗口的时间戳，最新时间每前进半个窗口清理一次
+  function prune(state) {
+    if (state.pruned && Cesium.JulianDate.secondsDifference(state.latest, state.pruned) < retention / 2) return;
+    state.pruned = state.latest;
+    state.seen.forEach((time, key) => {
+      if (Cesium.JulianDate.secondsDifference(state.latest, time) > retention) state.seen.delete(key);
+    });
+  }
+
+  function applyPosition(entity, time, position) {
+    if (!(entity.position instanceof Cesium.SampledPositionProperty)) {
+      const property = createSampledPositionProperty();
+      property.forwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+      entity.position = property;
+    }
+    addPositionSamples(entity.position, [time], [
+      Cesium.Cartesian3.fromDegrees(position[0], position[1], position[2]),
+    ]);
+  }
+
+  function applyAttitude(entity, state, time, attitude) {
+    // 平台姿态相对当地坐标系保存，不依赖该时刻的位置
+    if (entity.bodyAttitude) {
+      addAttitudeSample(entity, time, attitude);
+      return;
+    }
+    const position = entity.position && entity.position.getValue(time);
+    if (!position) return;
+    if (!state.attitude) {
+      state.attitude = new Cesium.SampledProperty(Cesium.Quaternion);
+      state.attitude.forwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+      if (entity.position instanceof Cesium.SampledPositionProperty) {
+        state.attitude.setInterpolationOptions({
+          interpolationAlgorithm: entity.position.interpolationAlgorithm,
+          interpolationDegree: entity.position.interpolationDegree,
+        });
+      }
+      entity.orientation = state.attitude;
+    }
+
+    const hpr = Cesium.HeadingPitchRoll.fromDegrees(
+      attitude.heading,
+      attitude.pitch,
+      attitude.roll,
+    );
+    state.attitude.addSample(time, Cesium.Transforms.headingPitchRollQuaternion(position, hpr));
+  }
+
+  /**
+   * 路由一条已校验的遥测消息
+   * @param {Object} message 见 telemetry/schema.js
+   * @returns {Boolean} 是否被接受
+   */
+  function route(message) {
+    const entity = viewer.entities.getById(message.id);
+    if (!entity) {
+      onDrop(message, "unknown entity");
+      return false;
+    }
+
+    if ((message.position || message.attitude) && entity.platform) {
+      onDrop(message, "mounted sensor");
+      return false;
+    }
+    if (message.attitude && !entity.bodyAttitude && !entity.position && !message.position) {
+      onDrop(message, "attitude without position");
+      return false;
+    }
+
+    const state = getState(entity);
+    const time = Cesium.JulianDate.fromIso8601(message.time);
+    const key = Cesium.JulianDate.toIso8601(time);
+
+    if (state.seen.has(key)) {
+      onDrop(message, "duplicate timestamp");
+      return false;
+    }
+    if (state.latest && Cesium.JulianDate.secondsDifference(state.latest, time) > maxLateness) {
+      onDrop(message, "too late");
+      return false;
+    }
+    state.seen.set(key, time);
+    if (!state.latest || Cesium.JulianDate.greaterThan(time, state.latest)) {
+      state.latest = time;
+      if (Number.isFinite(retention)) prune(state);
+    }
+
+    if (message.position) applyPosition(entity, time, message.position);
+    if (message.attitude) applyAttitude(entity, state, time, message.attitude);
+    if (message.cone) {
+      if (message.cone.angle !== undefined) {
+        entity.coneAngle = Cesium.Math.toRadians(message.cone.angle);
+      }
+      if (message.cone.length !== undefined) {
+        entity.coneLength = message.cone.length;
+      }
+    }
+    if (message.mode) {
+      if (message.mode.target) {
+        const [lon, lat, height] = message.mode.target;
+        entity.targetPosition = Cesium.Cartesian3.fromDegrees(lon, lat, height);
+      }
+      if (message.mode.targetLock !== undefined) {
+        entity.isTargetOrientation = message.mode.targetLock;
+      }
+    }
+    onSample(entity, time);
+    return true;
+  }
+
+  return {
+    route,
+    /** 清空路由状态 */
+    reset() {
+      states.clear();
+    },
+  };
+}
@@ -0,0 +1,280 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+
+/**
+ * 地形感知的射线求交
+ * 足迹射线沿光束方向步进，与高程采样器给出的地形求交，代替与裸椭球求交；
+ * 并可按网格检查地面单元是否被山脊遮挡。
+ *
+ * 高程采样器 (terrain) 为同步接口：{ sample(lon, lat) => height, minHeight, maxHeight }，
+ * lon / lat 为度，height 为相对椭球的高度(米)。可由规则格网、合成地形或地形服务的预采样结果创建，
+ * 不依赖 Viewer 与网络连接。
+ */
+
+/**
+ * 由规则格网高程数据创建采样器（双线性插值）
+ * @param {Object} options
+ * @param {{west: Number, south: Number, east: Number, north: Number}} options.rectangle 格网范围(度)
+ * @param {Number} options.width 列数（东西方向）
+ * @param {Number} options.height 行数（南北方向）
+ * @param {Array<Number>|Float32Array} options.heights 高程(米)，按行存储，第 0 行为最北一行
+ * @param {Number} [options.fallbackHeight=0] 格网范围之外的高程
+ * @returns {{sample: Function, minHeight: Number, maxHeight: Number}}
+ */
+export function createHeightmapSampler(options) {
+  const { rectangle, width, height, heights, fallbackHeight = 0 } = options;
+  const { west, south, east, north } = rectangle;
+  if (width < 2 || height < 2 || heights.length < width * height) {
+    throw new Error("Heightmap must have at least 2x2 samples matching width * height");
+  }
+
+  let minHeight = fallbackHeight;
+  let maxHeight = fallbackHeight;
+  for (let i = 0; i < width * height; i++) {
+    minHeight = Math.min(minHeight, heights[i]);
+    maxHeight = Math.max(maxHeight, heights[i]);
+  }
+
+  const at = (column, row) => heights[row * width + column];
+
+  return {
+    minHeight,
+    maxHeight,
+    sample(lon, lat) {
+      if (lon < west || lon > east || lat < south || lat > north) return fallbackHeight;
+
+      const x = ((lon - west) / (east - west)) * (width - 1);
+      const y = ((north - lat) / (north - south)) * (height - 1);
+      const x0 = Math.min(Math.floor(x), width - 2);
+      const y0 = Math.min(Math.floor(y), height - 2);
+      const fx = x - x0;
+      const fy = y - y0;
+
+      const top = at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx;
+      const bottom = at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx;
+      return top * (1 - fy) + bottom * fy;
+    },
+  };
+}
+
+/**
+ * 创建合成地形（若干高斯山体叠加），用于离线测试与演示
+ * @param {Object} [options]
+ * @param {Number} [options.base=0] 基准高程(米)
+ * @param {Array<{center: Array<Number>, height: Number, radius: Number}>} [options.features] 山体：
+ *   center 为 [经度, 纬度]，height 为峰值(米，负值为洼地)，radius 为高斯标准差(米)
+ * @returns {{sample: Function, minHeight: Number, maxHeight: Number}}
+ */
+export function createSyntheticTerrain(options = {}) {
+  const { base = 0, features = [] } = options;
+
+  const minHeight = base + features.reduce((sum, f) => sum + Math.min(f.height, 0), 0);
+  const maxHeight = base + features.reduce((sum, f) => sum + Math.max(f.height, 0), 0);
+
+  return {
+    minHeight,
+    maxHeight,
+    sample(lon, lat) {
+      let h = base;
+      features.forEach(({ center, height, radius }) => {
+        // 小范围内按等距近似计算到山体中心的距离
+        const dx = Cesium.Math.toRadians(lon - center[0]) * Math.cos(Cesium.Math.toRadians(lat));
+        const dy = Cesium.Math.toRadians(lat - center[1]);
+        const d = Math.sqrt(dx * dx + dy * dy) * Cesium.Ellipsoid.WGS84.maximumRadius;
+        h += height * Math.exp(-(d * d) / (2 * radius * radius));
+      });
+      return h;
+    },
+  };
+}
+
+/**
+ * 对地形服务在指定范围内预采样，生成同步的高程采样器
+ * 适用于任意 TerrainProvider（Ion 世界地形、本地 quantized-mesh、EllipsoidTerrainProvider 等）
+ * @param {Cesium.TerrainProvider} terrainProvider
+ * @param {Object} options
+ * @param {{west: Number, south: Number, east: Number, north: Number}} options.rectangle 采样范围(度)
+ * @param {Number} [options.width=64] 列数
+ * @param {Number} [options.height=64] 行数
+ * @param {Number} [options.level] 采样层级，默认使用最精细的可用层级
+ * @returns {Promise<{sample: Function, minHeight: Number, maxHeight: Number}>}
+ */
+export async function sampleTerrainProvider(terrainProvider, options) {
+  const { rectangle, width = 64, height = 64, level } = options;
+  const { west, south, east, north } = rectangle;
+
+  const positions = [];
+  for (let row = 0; row < height; row++) {
+    const lat = north - ((north - south) * row) / (height - 1);
+    for (let column = 0; column < width; column++) {
+      const lon = west + ((east - west) * column) / (width - 1);
+      positions.push(Cesium.Cartographic.fromDegrees(lon, lat));
+    }
+  }
+
+  const sampled = level === undefined
+    ? await Cesium.sampleTerrainMostDetailed(terrainProvider, positions)
+    : await Cesium.sampleTerrain(terrainProvider, level, positions);
+
+  return createHeightmapSampler({
+    rectangle,
+    width,
+    height,
+    heights: sampled.map((p) => p.height ?? 0),
+  });
+}
+
+// 将椭球沿各轴放大指定高度，作为地形高度范围的近似包络
+// 放大后的椭球与等大地高面并不重合（偏差约为高度的 1%），因此额外留出余量
+function offsetEllipsoid(ellipsoid, height, outward) {
+  const margin = Math.abs(height) * 0.01 + 10;
+  const offset = outward ? height + margin : height - margin;
+  const { x, y, z } = ellipsoid.radii;
+  return new Cesium.Ellipsoid(x + offset, y + offset, z + offset);
+}
+
+/**
+ * 射线沿光束方向步进与地形求交
+ * @param {Cesium.Ray} ray 射线（direction 需为单位向量）
+ * @param {Object} terrain 高程采样器
+ * @param {Object} [options]
+ * @param {Cesium.Ellipsoid} [options.ellipsoid=Cesium.Ellipsoid.WGS84]
+ * @param {Number} [options.maxDistance=Infinity] 最大步进距离(米)
+ * @param {Number} [options.step=50] 步长(米)
+ * @param {Number} [options.maxSteps=256] 最大步数；掠射时壳层内的斜距很长，步长随之放大，避免每帧逐条射线上万次采样
+ * @param {Number} [options.tolerance=1] 二分细化精度(米)
+ * @returns {{distance: Number, position: Cesium.Cartesian3}|undefined} 未命中地形时返回 undefined
+ */
+export function marchRay(ray, terrain, options = {}) {
+  const {
+    ellipsoid = Cesium.Ellipsoid.WGS84,
+    maxDistance = Infinity,
+    step = 50,
+    maxSteps = 256,
+    tolerance = 1,
+  } = options;
+
+  // 只在地形最高点与最低点之间的壳层内步进
+  const upper = Cesium.IntersectionTests.rayEllipsoid(ray, offsetEllipsoid(ellipsoid, terrain.maxHeight, true));
+  if (!upper) return undefined;
+  const lower = Cesium.IntersectionTests.rayEllipsoid(ray, offsetEllipsoid(ellipsoid, terrain.minHeight, false));
+
+  const start = upper.start;
+  const end = Math.min(maxDistance, lower ? lower.start : upper.stop);
+  if (start > end) return undefined;
+  const stride = Math.max(step, (end - start) / maxSteps);
+
+  const point = new Cesium.Cartesian3();
+  const cartographic = new Cesium.Cartographic();
+  const isBelowTerrain = (t) => {
+    Cesium.Ray.getPoint(ray, t, point);
+    const carto = ellipsoid.cartesianToCartographic(point, cartographic);
+    if (!carto) return false;
+    const ground = terrain.sample(
+      Cesium.Math.toDegrees(carto.longitude),
+      Cesium.Math.toDegrees(carto.latitude),
+    );
+    return carto.height <= ground;
+  };
+
+  if (isBelowTerrain(start)) {
+    return { distance: start, position: Cesium.Ray.getPoint(ray, start) };
+  }
+
+  let previous = start;
+  for (let t = start + stride; previous < end; t += stride) {
+    const current = Math.min(t, end);
+    if (isBelowTerrain(current)) {
+      // 二分细化命中点
+      let above = previous;
+      let below = current;
+      while (below - above > tolerance) {
+        const mid = (above + below) / 2;
+        if (isBelowTerrain(mid)) {
+          below = mid;
+        } else {
+          above = mid;
+        }
+      }
+      return { distance: below, position: Cesium.Ray.getPoint(ray, below) };
+    }
+    previous = current;
+  }
+  return undefined;
+}
+
+/**
+ * 判断地面点在观察点处是否被地形遮挡
+ * @param {Cesium.Cartesian3} origin 观察点（传感器尖端）
+ * @param {Cesium.Cartesian3} target 地面点
+ * @param {Object} terrain 高程采样器
+ * @param {Object} [options]
+ * @param {Number} [options.clearance=30] 距目标点小于该距离(米)的命中视为到达目标本身
+ * @param {Cesium.Ellipsoid} [options.ellipsoid]
+ * @param {Number} [options.step] 步长(米)，见 marchRay
+ * @param {Number} [options.maxSteps] 最大步数，见 marchRay
+ * @returns {Boolean}
+ */
+export function isOccluded(origin, target, terrain, options = {}) {
+  const { clearance = 30, ...marchOptions } = options;
+
+  const offset = Cesium.Cartesian3.subtract(target, origin, new Cesium.Cartesian3());
+  const distance = Cesium.Cartesian3.magnitude(offset);
+  if (distance <= clearance) return false;
+
+  const ray = new Cesium.Ray(origin, Cesium.Cartesian3.normalize(offset, offset));
+  const hit = marchRay(ray, terrain, { ...marchOptions, maxDistance: distance });
+  return !!hit && hit.distance < distance - clearance;
+}
+
+/**
+ * 按网格检查足迹内被地形遮挡的地面单元
+ * @param {Object} options
+ * @param {Cesium.Cartesian3} options.apex 传感器尖端
+ * @param {Object} options.footprint 足迹 GeoJSON Feature (Polygon / MultiPolygon)
+ * @param {Object} options.terrain 高程采样器
+ * @param {Number} [options.cellSize=500] 网格边长(米)
+ * @param {Number} [options.clearance=30] 见 isOccluded
+ * @param {Number} [options.step=50] 步长(米)，见 marchRay
+ * @param {Number} [options.maxSteps=256] 每条视线的最大步数，见 marchRay
+ * @param {Cesium.Ellipsoid} [options.ellipsoid=Cesium.Ellipsoid.WGS84]
+ * @returns {{cells: Object, occluded: Object|null, occludedCount: Number, visibleCount: Number}}
+ *   cells 为网格 FeatureCollection，每个单元带 properties.occluded；occluded 为被遮挡单元组成的 MultiPolygon Feature
+ */
+export function computeOcclusion(options) {
+  const {
+    apex,
+    footprint,
+    terrain,
+    cellSize = 500,
+    clearance = 30,
+    step = 50,
+    maxSteps = 256,
+    ellipsoid = Cesium.Ellipsoid.WGS84,
+  } = options;
+
+  const cells = footprint
+    ? turf.squareGrid(turf.bbox(footprint), cellSize / 1000, { units: "kilometers", mask: footprint })
+    : turf.featureCollection([]);
+
+  let occludedCount = 0;
+  const occludedPolygons = [];
+  cells.features.forEach((cell) => {
+    const [lon, lat] = turf.centroid(cell).geometry.coordinates;
+    const target = Cesium.Cartesian3.fromDegrees(lon, lat, terrain.sample(lon, lat), ellipsoid);
+    const occluded = isOccluded(apex, target, terrain, { clearance, step, maxSteps, ellipsoid });
+
+    cell.properties = { ...cell.properties, occluded };
+    if (occluded) {
+      occludedCount++;
+      occludedPolygons.push(cell.geometry.coordinates);
+    }
+  });
+
+  return {
+    cells,
+    occluded: occludedPolygons.length > 0 ? turf.multiPolygon(occludedPolygons) : null,
+    occludedCount,
+    visibleCount: cells.features.length - occludedCount,
+  };
+}
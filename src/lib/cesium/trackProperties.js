@@ -0,0 +1,34 @@
+import * as Cesium from "cesium";
+
+/**
+ * 轨迹采样属性的插值设置
+ * 轨迹样本经 telemetryRouter 写入实体：位置写入 SampledPositionProperty，姿态写入 SampledProperty(Quaternion)，
+ * 两者使用同一插值设置（见 scenario/loader.js）。
+ */
+
+// 插值算法名称 -> Cesium 插值算法
+export const INTERPOLATION_ALGORITHMS = {
+  linear: Cesium.LinearApproximation,
+  lagrange: Cesium.LagrangePolynomialApproximation,
+  hermite: Cesium.HermitePolynomialApproximation,
+};
+
+/**
+ * 设置采样属性的插值算法
+ * @param {Cesium.SampledProperty|Cesium.SampledPositionProperty} property
+ * @param {Object} [interpolation]
+ * @param {String} [interpolation.algorithm="linear"] 见 INTERPOLATION_ALGORITHMS
+ * @param {Number} [interpolation.degree] 插值次数，linear 固定为 1，其他算法默认 5
+ */
+export function setInterpolation(property, interpolation = {}) {
+  const { algorithm = "linear", degree } = interpolation;
+  const interpolationAlgorithm = INTERPOLATION_ALGORITHMS[algorithm];
+  if (!interpolationAlgorithm) {
+    throw new Error(`Unknown interpolation algorithm: ${algorithm} (expected ${Object.keys(INTERPOLATION_ALGORITHMS).join(", ")})`);
+  }
+  const interpolationDegree = algorithm === "linear" ? 1 : degree ?? 5;
+  if (!Number.isInteger(interpolationDegree) || interpolationDegree < 1) {
+    throw new Error(`Interpolation degree must be a positive integer: ${degree}`);
+  }
+  property.setInterpolationOptions({ interpolationAlgorithm, interpolationDegree });
+}
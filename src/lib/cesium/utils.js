@@ -1,15 +1,186 @@
 import * as Cesium from 'cesium'
-import * as turf from '@turf/turf'
+import { clipFootprint, computeCoverage, computeOverlap, computeScanPasses, computeSensorFootprint, createFootprintAccumulator } from './coverage.js'
+import { createFootprintLayer, createLayerGroup, createRangeRings, createRevisitLayer, createScanTrackLayer } from './coverageLayers.js'
+import { computeCoverageStats, createCoverageRecorder } from './coverageStats.js'
+import { createFootprintMerger } from './footprintMerge.js'
+import { createFootprintPrimitiveLayer } from './footprintPrimitives.js'
+import { getSampleTimes, resolveProperty } from './property.js'
+import { createCoverageTimeline } from './coverageTimeline.js'
+import { getRegionGeoJSON } from './region.js'
+import { createRevisitGrid } from './revisit.js'
+import { computeOcclusion } from './terrain.js'
+
+// 默认的各传感器足迹颜色，按圆锥顺序循环使用
+const DEFAULT_FOOTPRINT_COLORS = [
+  Cesium.Color.YELLOW,
+  Cesium.Color.CYAN,
+  Cesium.Color.MAGENTA,
+  Cesium.Color.LIME,
+  Cesium.Color.ORANGE,
+].map(color => color.withAlpha(0.5));
+
+// 默认的重访次数色带：第 n 种颜色表示访问 n 次，超出色带长度的使用最后一种颜色
+const DEFAULT_REVISIT_COLORS = [
+  Cesium.Color.BLUE,
+  Cesium.Color.CYAN,
+  Cesium.Color.LIME,
+  Cesium.Color.YELLOW,
+  Cesium.Color.ORANGE,
+  Cesium.Color.RED,
+].map(color => color.withAlpha(0.6));
 
 /**
- * 创建圆锥与地面圆形区域的交集多边形
+ * 读取传感器实体在某一时刻的状态，转换为 computeSensorFootprint 所需的参数
+ * @param {Entity} coneEntity - 传感器实体
+ * @param {Entity} groundEntity - 地面区域实体，传感器没有 orientation 时假设指向其中心
+ * @param {JulianDate} time - 时刻
+ * @param {Object} options - { coneAngle(度), ellipsoid, terrain }
+ * @returns {Object|null} - 传感器参数，位置不可用时返回 null
+ */
+function readSensorState(coneEntity, groundEntity, time, options) {
+  const conePos = coneEntity.position.getValue(time);
+  const groundPos = groundEntity.position.getValue(time);
+  if (!conePos || !groundPos) return null;
+
+  // 每个传感器实时读取自身的长度、视场角与作用距离
+  const isFrustum = resolveProperty(coneEntity.sensorType, time) === 'frustum';
+  const angle = isFrustum || coneEntity.coneAngle !== undefined
+    ? resolveProperty(coneEntity.coneAngle, time)
+    : Cesium.Math.toRadians(options.coneAngle);
+  let coneLength = resolveProperty(coneEntity.coneLength, time);
+  if (coneLength === undefined && coneEntity.cylinder && coneEntity.cylinder.length) {
+    coneLength = coneEntity.cylinder.length.getValue(time);
+  }
+  if (coneLength === undefined) coneLength = 20000;
+  if (!isFrustum && !angle) return null;
+
+  // 获取圆锥顶点 (Apex) 位置
+  const apexPos = new Cesium.Cartesian3();
+  if (coneEntity.vertexPosition) {
+    // 如果实体存储了顶点位置，直接获取
+    Cesium.Cartesian3.clone(resolveProperty(coneEntity.vertexPosition, time), apexPos);
+  } else if (coneEntity.coneLength !== undefined) {
+    // createCone / createFrustumSensor 创建的实体 position 即为尖端
+    Cesium.Cartesian3.clone(conePos, apexPos);
+  } else {
+    // 降级方案：从中心点计算（注意：这在中心点低于地面时可能失效）
+    const axisFromCenter = Cesium.Cartesian3.subtract(groundPos, conePos, new Cesium.Cartesian3());
+    Cesium.Cartesian3.normalize(axisFromCenter, axisFromCenter);
+    Cesium.Cartesian3.multiplyByScalar(axisFromCenter, -coneLength / 2, apexPos);
+    Cesium.Cartesian3.add(conePos, apexPos, apexPos);
+  }
+
+  // 圆锥方向：优先使用实体 orientation，否则假设指向 groundPos
+  const orientation = coneEntity.orientation
+    ? coneEntity.orientation.getValue(time)
+    : undefined;
+  const direction = orientation
+    ? undefined
+    : Cesium.Cartesian3.subtract(groundPos, apexPos, new Cesium.Cartesian3());
+
+  return {
+    type: isFrustum ? 'frustum' : 'cone',
+    apex: apexPos,
+    orientation,
+    direction,
+    coneAngle: angle,
+    horizontalAngle: resolveProperty(coneEntity.horizontalAngle, time),
+    verticalAngle: resolveProperty(coneEntity.verticalAngle, time),
+    roll: resolveProperty(coneEntity.roll, time),
+    length: coneLength,
+    maxRange: resolveProperty(coneEntity.maxRange, time) ?? coneLength,
+    minRange: resolveProperty(coneEntity.minRange, time) ?? 0,
+    ellipsoid: options.ellipsoid,
+    terrain: options.terrain,
+  };
+}
+
+/**
+ * 实体位置数据的最新样本时刻
+ * @param {Entity} entity
+ * @returns {JulianDate|null|undefined} - 不记录样本时刻的位置返回 undefined（不受限），尚无样本返回 null
+ */
+function latestSampleTime(entity) {
+  const times = getSampleTimes(samplePositionOf(entity));
+  if (!times) return undefined;
+  return times.length > 0 ? times[times.length - 1] : null;
+}
+
+/**
+ * 实体位置数据中早于指定时刻的最后一个样本时刻
+ * 在该样本与新样本之间插值得到的位置都会因新样本而改变
+ * @param {Entity} entity
+ * @param {JulianDate} time
+ * @returns {JulianDate|undefined}
+ */
+function sampleTimeBefore(entity, time) {
+  const times = getSampleTimes(samplePositionOf(entity)) || [];
+  for (let i = times.length - 1; i >= 0; i--) {
+    if (Cesium.JulianDate.lessThan(times[i], time)) return times[i];
+  }
+  return undefined;
+}
+
+// 提供样本的位置属性：安装在平台上的传感器位置由平台位置计算（见 platform.js），沿安装链取平台的位置
+function samplePositionOf(entity) {
+  let source = entity;
+  while (source.platform) source = source.platform;
+  return source.position;
+}
+
+/**
+ * 创建圆锥与地面区域的交集多边形
+ * 每个圆锥使用自身实时的 coneAngle(弧度) / coneLength 属性计算足迹，并拥有独立的足迹图层与颜色；
+ * 多个圆锥覆盖同一地面时额外渲染重叠图层。
+ * 足迹按仿真时间以固定步长累积（见 coverageTimeline.js），与帧率和时钟倍速无关；
+ * 回退、拖动时间轴或循环播放时显示截至当前时刻的覆盖
  * @param {Viewer} viewer - Cesium 查看器实例
- * @param {Entity} groundEntity - 地面圆形区域实体
- * @param {Entity} coneEntity - 可移动的圆锥实体
+ * @param {Entity} groundEntity - 地面区域实体（createGroundCircle / createGroundPolygon 等创建，见 region.js）
+ * @param {Entity|Entity[]} coneEntity - 可移动的传感器实体（createCone / createFrustumSensor 创建）
  * @param {Object} options - 配置选项
- * @param {Array} options.scanPositions - 扫描轨迹边界点数组
- * @param {Number} options.coneAngle - 圆锥角度(度)
- * @param {Number} options.groundCircleRadius - 地面圆形区域半径(米)
+ * @param {Array} options.scanPositions - 扫描轨迹边界点数组，随当前时刻更新为截至该时刻、受 scanTrackMaxPoints / scanTrackWindow 限制的轨迹点
+ * @param {Boolean} options.showScanTrack - 是否显示扫描轨迹（按过境段划分的贴地折线）
+ * @param {Boolean} options.showScanTrackLabels - 是否在过境段起点标注起止时间
+ * @param {Number} options.scanTrackMaxPoints - 显示的最大轨迹点数，Infinity 表示不限
+ * @param {Number} options.scanTrackWindow - 只显示当前时刻之前该时长(秒，仿真时间)内的轨迹点，设置后替代点数上限
+ * @param {Number} options.passGap - 同一过境段内相邻轨迹点的最大时间间隔(秒)，默认为 1.5 倍时间步长
+ * @param {Number} options.coneAngle - 圆锥实体没有 coneAngle 属性时使用的圆锥角度(度)
+ * @param {Number} options.groundCircleRadius - 地面区域实体不提供几何时使用的圆形半径(米)
+ * @param {Color[]} options.footprintColors - 各圆锥的足迹颜色，按圆锥顺序对应
+ * @param {Object[]} options.footprintStyles - 各圆锥的足迹样式，按圆锥顺序对应，可包含 color、material、fill、outline、
+ *   outlineColor、outlineWidth（见 footprintPrimitives.js），color 默认取 footprintColors
+ * @param {String} options.footprintRenderer - 足迹、重叠与遮挡图层的渲染方式："primitive" 使用分批的 GroundPrimitive 增量更新，
+ *   "entity" 使用实体池（只支持 color 样式）
+ * @param {Color} options.overlapColor - 重叠区域颜色
+ * @param {Boolean} options.showOverlap - 是否显示重叠图层
+ * @param {Boolean} options.showRangeRings - 是否显示各圆锥的近/远作用距离圈
+ * @param {Object} options.terrain - 高程采样器（见 terrain.js），提供时足迹射线与地形求交，否则与椭球求交
+ * @param {Boolean} options.showOcclusion - 是否显示当前足迹内被地形遮挡的单元（需提供 terrain）
+ * @param {Number} options.occlusionCellSize - 遮挡检查网格边长(米)
+ * @param {Color} options.occlusionColor - 遮挡单元颜色
+ * @param {Boolean} options.showRevisit - 是否显示重访热力图层
+ * @param {Number} options.revisitCellSize - 重访统计网格边长(米)
+ * @param {String} options.revisitShape - 重访统计网格形状，"square" 或 "hex"（见 revisit.js）
+ * @param {Color[]} options.revisitColors - 重访次数色带，第 n 种颜色表示访问 n 次
+ * @param {Boolean} options.mergeInWorker - 是否在 Web Worker 中合并足迹并集，合并完成前沿用上一次的结果渲染
+ * @param {Number} options.timeStep - 累积时间步长(秒，仿真时间)
+ * @param {JulianDate} options.startTime - 累积起始时刻，默认为时钟的 startTime
+ * @param {Number} options.maxStepsPerTick - 每帧最多计算的步数，拖动时间轴后分多帧补算
+ * @param {Number} options.statsInterval - 覆盖统计时间序列采样间隔(秒，仿真时间)
+ * @param {Object} options.initialFootprint - 初始累积足迹 GeoJSON Feature，用于加载已保存的任务 (见 serialization.js)
+ * @param {Array} options.initialTrack - 初始带时间戳的扫描轨迹
+ * @returns {Object} - { highlightEntities, footprintLayers, overlapEntities, occlusionEntities, rangeRingEntities, scanTrack, revisit, accumulator, timeline, invalidate, setTerrain, setRegion, getRegion, setShow, getShow, coverage, destroy }
+ *   footprintLayers 以圆锥 ID 为键，值为 { color, entities, primitives, setStyle(style) }（entities 与 primitives 按渲染方式二选一）；scanTrack 为 { entities, getPasses() }，
+ *   getPasses() 返回当前显示的过境段（见 coverage.js computeScanPasses）；accumulator 见 coverage.js，timeline 见 coverageTimeline.js；
+ *   invalidate(time) 在收到新的位置样本后调用，受影响的已计算步骤会重新累积；
+ *   setTerrain(terrain) 替换高程采样器（如地形异步加载完成后）并从头重新累积；地面区域的几何被修改时同样从头重新累积；
+ *   setRegion(groundEntity) 更换地面区域实体并从头重新累积，getRegion() 返回当前的地面区域实体；
+ *   setShow(layer, value) / getShow(layer) 在运行时切换各图层的显示，初始值为对应的 show* 选项；
+ *   coverage.getStats() 返回当前时刻的统计，coverage.timeSeries 为按仿真时间记录的统计序列，
+ *   coverage.getOcclusion(coneId) 返回该圆锥最近一次的遮挡检查结果（见 terrain.js computeOcclusion）；
+ *   revisit.getGrid() 返回重访统计栅格（见 revisit.js，首次累积时按地面区域创建），
+ *   revisit.query(lon, lat, time) 返回该点所在单元截至 time（默认为当前时刻）的访问次数与首末观测时间；
+ *   destroy() 停止合并 Worker，移除高亮、足迹、重叠、遮挡、扫描轨迹、重访与距离圈实体并停止时钟监听，不影响圆锥与地面实体
  */
 export function createIntersectionPolygon(viewer, groundEntity, coneEntitiesInput, options = {}) {
   // 确保输入为数组
@@ -17,260 +188,415 @@ export function createIntersectionPolygon(viewer, groundEntity, coneEntitiesInpu
 
   const {
     scanPositions = [],
-    coneAngle = 22, // 使用圆锥角度代替固定半径
+    coneAngle = 22,
     groundCircleRadius = 10000,
     showFootprint = true,
     showHighlight = false,
+    footprintColors = DEFAULT_FOOTPRINT_COLORS,
+    footprintStyles = [],
+    footprintRenderer = 'primitive',
+    overlapColor = Cesium.Color.RED.withAlpha(0.5),
+    showOverlap = true,
+    showRangeRings = false,
+    showScanTrack = true,
+    showScanTrackLabels = true,
+    scanTrackMaxPoints = 200,
+    scanTrackWindow,
+    showOcclusion = false,
+    occlusionCellSize = 500,
+    occlusionColor = Cesium.Color.BLACK.withAlpha(0.5),
+    showRevisit = false,
+    revisitCellSize = 1000,
+    revisitShape = 'square',
+    revisitColors = DEFAULT_REVISIT_COLORS,
+    mergeInWorker = true,
+    timeStep = 1,
+    passGap = timeStep * 1.5,
+    startTime = viewer.clock.startTime,
+    maxStepsPerTick = 20,
+    statsInterval = 1,
+    initialFootprint,
+    initialTrack,
   } = options;
 
-  let accumulatedGeoJSON = null; // 累积的 GeoJSON 区域 (所有圆锥共享)
-  const footprintEntityPool = []; // 实体池
-
-  // 更新 Footprint 实体的辅助函数
-  function updateFootprintVisuals() {
-    if (!accumulatedGeoJSON) return;
-
-    const polygons = accumulatedGeoJSON.geometry.type === 'Polygon'
-      ? [accumulatedGeoJSON.geometry.coordinates]
-      : accumulatedGeoJSON.geometry.coordinates;
-
-    // 确保池大小足够
-    while (footprintEntityPool.length < polygons.length) {
-      const ent = viewer.entities.add({
-        name: "FootprintPart",
-        show: showFootprint,
-        polygon: {
-          hierarchy: new Cesium.PolygonHierarchy([]), // 初始为空
-          material: Cesium.Color.YELLOW.withAlpha(0.5),
-          zIndex: 1, // 确保在地面圆之上
-          classificationType: Cesium.ClassificationType.BOTH
-        }
-      });
-      footprintEntityPool.push(ent);
-    }
+  const ellipsoid = viewer.scene.globe.ellipsoid;
+  let terrain = options.terrain;
+  const getRegion = (time) => getRegionGeoJSON(groundEntity, time, { radius: groundCircleRadius });
+  const getSensor = (coneEntity, time) =>
+    readSensorState(coneEntity, groundEntity, time, { coneAngle, ellipsoid, terrain });
+
+  // 几何计算由 coverage.js 完成，此处只负责渲染
+  // 时间线的每一步都需要保留，不做距离抽稀与轨迹截断
+  // 并集合并在 Worker 中进行，合并完成后再记录统计并重新渲染该快照
+  const merger = mergeInWorker ? createFootprintMerger() : null;
+  const accumulator = createFootprintAccumulator({
+    minDistance: 0,
+    maxScanPositions: Infinity,
+    union: initialFootprint,
+    track: initialTrack,
+    merger,
+    onMerge: (state) => {
+      recorder.sample(state.time, getRegion(state.time), state);
+      renderedSnapshot = null;
+    },
+  });
 
-    // 更新每个实体
-    polygons.forEach((coords, index) => {
-      const ent = footprintEntityPool[index];
+  // 覆盖统计：按仿真时间记录时间序列
+  const recorder = createCoverageRecorder(accumulator, { interval: statsInterval });
 
-      // 验证外环点数：至少需要 4 个点 (A, B, C, A) 才能构成一个封闭多边形
-      // GeoJSON 规范要求 LinearRing 至少有 4 个位置
-      if (!coords[0] || coords[0].length < 4) {
-        ent.show = false;
-        return;
-      }
+  // 重访统计：在首次累积时按当时的地面区域铺设网格
+  let revisitGrid = null;
+  function recordRevisits(time, footprints) {
+    if (!revisitGrid) {
+      const region = getRegion(time);
+      if (!region) return;
+      revisitGrid = createRevisitGrid({ region, cellSize: revisitCellSize, shape: revisitShape, maxGap: passGap });
+    }
+    footprints.forEach(({ key, geojson }) => revisitGrid.add(time, key, geojson));
+  }
 
-      ent.show = showFootprint;
+  const timeline = createCoverageTimeline({
+    start: startTime,
+    step: timeStep,
+    accumulator,
+    sample: (time) => {
+      const region = getRegion(time);
+      return coneEntities.map(coneEntity => ({
+        key: coneEntity.id,
+        sensor: getSensor(coneEntity, time),
+        region,
+      }));
+    },
+    // 不越过各传感器已收到的最新样本，避免用外推位置累积
+    horizon: () => {
+      let limit;
+      for (const coneEntity of coneEntities) {
+        const latest = latestSampleTime(coneEntity);
+        if (latest === null) return null;
+        if (latest && (!limit || Cesium.JulianDate.lessThan(latest, limit))) limit = latest;
+      }
+      return limit ?? Cesium.JulianDate.addDays(viewer.clock.currentTime, 1, new Cesium.JulianDate());
+    },
+    onStep: (time, _, footprints) => {
+      if (!merger) recorder.sample(time, getRegion(time));
+      recordRevisits(time, footprints);
+    },
+  });
 
-      // 转换坐标: coords[0] 是外环，coords[1...] 是内环（孔）
-      const exterior = coords[0].map(c => Cesium.Cartesian3.fromDegrees(c[0], c[1]));
-      const holes = coords.slice(1).map(hole =>
-        new Cesium.PolygonHierarchy(hole.map(c => Cesium.Cartesian3.fromDegrees(c[0], c[1])))
-      );
+  const createLayer = (layerOptions) => footprintRenderer === 'primitive'
+    ? createFootprintPrimitiveLayer(viewer.scene, layerOptions)
+    : createFootprintLayer(viewer, layerOptions);
+
+  // 每个圆锥一个足迹图层，另加一个重叠图层
+  const footprintLayers = {};
+  const layerUpdaters = {};
+  const layers = [];
+  coneEntities.forEach((coneEntity, index) => {
+    const style = { color: footprintColors[index % footprintColors.length], ...footprintStyles[index] };
+    const layer = createLayer({
+      ...style,
+      name: "FootprintPart",
+      show: showFootprint,
+      zIndex: 1,
+    });
+    const footprintLayer = {
+      color: style.color,
+      entities: layer.entities ?? [],
+      primitives: layer.primitives ?? null,
+      setStyle(value) {
+        layer.setStyle(value);
+        // 高亮、扫描轨迹与距离圈沿用足迹颜色，扫描轨迹在下次渲染时更新
+        if (value.color) {
+          footprintLayer.color = value.color;
+          renderedSnapshot = null;
+        }
+      },
+    };
+    footprintLayers[coneEntity.id] = footprintLayer;
+    layerUpdaters[coneEntity.id] = layer.update;
+    layers.push(layer);
+  });
+  const overlapLayer = createLayer({
+    name: "FootprintOverlap",
+    color: overlapColor,
+    show: showOverlap,
+    zIndex: 2,
+  });
 
-      ent.polygon.hierarchy = new Cesium.ConstantProperty(new Cesium.PolygonHierarchy(exterior, holes));
+  // 遮挡图层：当前时刻足迹内被地形遮挡的网格单元
+  const occlusionLayer = createLayer({
+    name: "FootprintOcclusion",
+    color: occlusionColor,
+    show: showOcclusion,
+    zIndex: 4,
+  });
+  const occlusionResults = new Map(); // 圆锥 ID -> 最近一次遮挡检查结果
+  let occlusionTime = null;
+
+  // 遮挡检查开销较大，按仿真时间每个步长最多计算一次
+  function updateOcclusion(time) {
+    if (!terrain || !occlusionLayer.show) return;
+    if (occlusionTime && Math.abs(Cesium.JulianDate.secondsDifference(time, occlusionTime)) < timeStep) return;
+    occlusionTime = Cesium.JulianDate.clone(time);
+
+    const region = getRegion(time);
+    const polygons = [];
+    coneEntities.forEach(coneEntity => {
+      const sensor = getSensor(coneEntity, time);
+      const footprint = sensor ? clipFootprint(computeSensorFootprint(sensor).geojson, region) : null;
+      const result = computeOcclusion({
+        apex: sensor ? sensor.apex : undefined,
+        footprint,
+        terrain,
+        cellSize: occlusionCellSize,
+        ellipsoid,
+      });
+      occlusionResults.set(coneEntity.id, result);
+      if (result.occluded) polygons.push(...result.occluded.geometry.coordinates);
     });
+    occlusionLayer.update(polygons.length > 0
+      ? { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: polygons } }
+      : null);
+  }
 
-    // 隐藏多余的实体
-    for (let i = polygons.length; i < footprintEntityPool.length; i++) {
-      footprintEntityPool[i].show = false;
+  const scanTrackLayer = createScanTrackLayer(viewer, {
+    show: showScanTrack,
+    showLabels: showScanTrackLabels,
+    getColor: (key) => footprintLayers[key] ? footprintLayers[key].color.withAlpha(1) : Cesium.Color.WHITE,
+  });
+  let scanPasses = [];
+
+  // 截至快照时刻、按时间窗口或点数上限截取的扫描轨迹
+  function visibleTrack(snapshot) {
+    const track = accumulator.track.slice(0, snapshot.trackLength);
+    if (scanTrackWindow !== undefined && snapshot.time) {
+      const from = Cesium.JulianDate.addSeconds(snapshot.time, -scanTrackWindow, new Cesium.JulianDate());
+      return track.filter(({ time }) => Cesium.JulianDate.greaterThanOrEquals(time, from));
     }
+    return Number.isFinite(scanTrackMaxPoints) ? track.slice(-scanTrackMaxPoints) : track;
   }
 
-  // 为每个圆锥实体创建对应的 Highlight 实体
-  const highlightEntities = coneEntities.map(coneEntity => {
-    // 每个圆锥维护自己的 lastFootprintPos，避免相互干扰更新逻辑
-    let lastFootprintPos = null;
-
-    return viewer.entities.add({
-      name: "Highlight",
-      show: showHighlight,
-      polygon: {
-        hierarchy: new Cesium.CallbackProperty(() => {
-          const time = viewer.clock.currentTime;
-          const conePos = coneEntity.position.getValue(time);
-          const groundPos = groundEntity.position.getValue(time);
-
-          if (!conePos || !groundPos) {
-            return new Cesium.PolygonHierarchy([]);
-          }
+  const revisitLayer = createRevisitLayer(viewer, { show: showRevisit, colors: revisitColors });
+
+  const renderedUnions = new Map(); // 上次渲染的各圆锥累积区域
+  let renderedSnapshot = null;
+
+  // 渲染某一快照：只更新累积区域发生变化的圆锥图层
+  function renderSnapshot(snapshot) {
+    if (snapshot === renderedSnapshot) return;
+    renderedSnapshot = snapshot;
+
+    let changed = false;
+    coneEntities.forEach((coneEntity, index) => {
+      const key = coneEntity.id;
+      let union = snapshot.sensorUnions.get(key);
+      // 加载的初始足迹没有圆锥归属，显示在第一个圆锥的图层中
+      if (!union && index === 0 && initialFootprint) union = initialFootprint;
+      if (renderedUnions.get(key) === union) return;
+      renderedUnions.set(key, union);
+      layerUpdaters[key](union);
+      changed = true;
+    });
+    if (changed && coneEntities.length > 1) {
+      overlapLayer.update(computeOverlap(snapshot.sensorUnions.values()));
+    }
 
-          // 获取圆锥长度以计算顶点位置
-          let coneLength = 20000;
-          if (coneEntity.cylinder && coneEntity.cylinder.length) {
-            const val = coneEntity.cylinder.length.getValue(time);
-            if (val !== undefined) coneLength = val;
-          }
+    // 扫描轨迹只保留截至当前时刻的点，并按过境段渲染
+    const track = visibleTrack(snapshot);
+    scanPositions.splice(0, scanPositions.length, ...track.map(({ position }) => position));
+    scanPasses = computeScanPasses(track, { maxGap: passGap });
+    scanTrackLayer.update(scanPasses);
 
-          // 获取圆锥顶点 (Apex) 位置
-          const apexPos = new Cesium.Cartesian3();
-          if (coneEntity.vertexPosition) {
-            // 如果实体存储了顶点位置，直接获取
-            const val = typeof coneEntity.vertexPosition.getValue === 'function'
-              ? coneEntity.vertexPosition.getValue(time)
-              : coneEntity.vertexPosition;
-            Cesium.Cartesian3.clone(val, apexPos);
-          } else {
-            // 降级方案：从中心点计算（注意：这在中心点低于地面时可能失效）
-            const axisFromCenter = Cesium.Cartesian3.subtract(groundPos, conePos, new Cesium.Cartesian3());
-            Cesium.Cartesian3.normalize(axisFromCenter, axisFromCenter);
-            Cesium.Cartesian3.multiplyByScalar(axisFromCenter, -coneLength / 2, apexPos);
-            Cesium.Cartesian3.add(conePos, apexPos, apexPos);
-          }
+    // 初始状态（第 0 步之前）没有重访记录
+    if (snapshot.time) revisitLayer.update(revisitGrid, snapshot.time);
+  }
 
-          // 1. 计算圆锥主轴向量（从圆锥顶点指向地面目标）
-          // 修正：从实体 orientation 属性获取真实方向，而不是假设指向 groundPos
-          let axis = new Cesium.Cartesian3();
-
-          if (coneEntity.orientation) {
-            const orientation = coneEntity.orientation.getValue(time);
-            if (orientation) {
-              // 在 createCone 中，圆锥的局部 Z 轴指向 Tip（因为中心点是计算出来的）
-              // 或者更准确地说，Cylinder Geometry 默认 Z 轴是高度方向。
-              // 我们之前设定：从 Target 指向 Position (Tip) 是 Z 轴。
-              // 所以从 Tip 指向 Target (即 "光束" 方向) 是局部 -Z 轴 (0, 0, -1)。
-              const localDirection = new Cesium.Cartesian3(0, 0, -1);
-              const rotationMatrix = Cesium.Matrix3.fromQuaternion(orientation);
-              Cesium.Matrix3.multiplyByVector(rotationMatrix, localDirection, axis);
-            } else {
-              // Fallback
-              Cesium.Cartesian3.subtract(groundPos, apexPos, axis);
-            }
-          } else {
-            // Fallback
-            Cesium.Cartesian3.subtract(groundPos, apexPos, axis);
-          }
+  const removeTickListener = viewer.clock.onTick.addEventListener((clock) => {
+    timeline.advanceTo(clock.currentTime, maxStepsPerTick);
+    renderSnapshot(timeline.snapshotAt(clock.currentTime));
+    updateOcclusion(clock.currentTime);
+  });
+  renderSnapshot(timeline.snapshotAt(viewer.clock.currentTime));
 
-          // 检查 axis 是否为零向量 (apexPos 与 groundPos 重合时发生)
-          if (Cesium.Cartesian3.magnitudeSquared(axis) < Cesium.Math.EPSILON10) {
+  // 为每个圆锥实体创建对应的 Highlight 实体，只显示当前时刻的足迹，不参与累积
+  const highlightGroup = createLayerGroup(viewer, "HighlightLayer", showHighlight);
+  const highlightEntities = coneEntities.map(coneEntity => {
+    return viewer.entities.add({
+      name: "Highlight",
+      parent: highlightGroup,
+      polygon: {
+        hierarchy: new Cesium.CallbackProperty((time) => {
+          const sensor = getSensor(coneEntity, time);
+          const region = getRegion(time);
+          if (!sensor || !region) {
             return new Cesium.PolygonHierarchy([]);
           }
 
-          Cesium.Cartesian3.normalize(axis, axis);
-
-          // 2. 构建局部坐标系 (tangent, bitangent, axis)
-          const tangent = new Cesium.Cartesian3();
-          const up = new Cesium.Cartesian3(0, 0, 1);
-
-          // 如果 axis 接近垂直向上/向下，使用 X 轴作为参考
-          if (Math.abs(Cesium.Cartesian3.dot(axis, up)) > 0.99) {
-            Cesium.Cartesian3.cross(axis, new Cesium.Cartesian3(1, 0, 0), tangent);
-          } else {
-            Cesium.Cartesian3.cross(axis, up, tangent);
-          }
-          Cesium.Cartesian3.normalize(tangent, tangent);
-
-          const bitangent = new Cesium.Cartesian3();
-          Cesium.Cartesian3.cross(axis, tangent, bitangent);
-          Cesium.Cartesian3.normalize(bitangent, bitangent);
-
-          // 3. 射线与平面求交计算
-          const intersectionPoints = [];
-          const halfAngle = Cesium.Math.toRadians(coneAngle / 2);
-          const tanHalfAngle = Math.tan(halfAngle);
-          const ellipsoid = viewer.scene.globe.ellipsoid;
-
-          for (let i = 0; i < 72; i++) { // 增加采样点以获得更平滑的椭圆
-            const theta = Cesium.Math.toRadians(i * 5);
-
-            // 构建射线方向：主轴方向 + 径向偏移
-            const radial = new Cesium.Cartesian3();
-            const tComponent = new Cesium.Cartesian3();
-            const bComponent = new Cesium.Cartesian3();
-
-            Cesium.Cartesian3.multiplyByScalar(tangent, Math.cos(theta), tComponent);
-            Cesium.Cartesian3.multiplyByScalar(bitangent, Math.sin(theta), bComponent);
-            Cesium.Cartesian3.add(tComponent, bComponent, radial);
-            Cesium.Cartesian3.multiplyByScalar(radial, tanHalfAngle, radial);
-
-            const rayDir = new Cesium.Cartesian3();
-            Cesium.Cartesian3.add(axis, radial, rayDir);
-            Cesium.Cartesian3.normalize(rayDir, rayDir);
-
-            // 射线与椭球体求交，使用顶点 apexPos 作为起点
-            const ray = new Cesium.Ray(apexPos, rayDir);
-            const intersection = Cesium.IntersectionTests.rayEllipsoid(ray, ellipsoid);
-
-            if (intersection) {
-              const point = Cesium.Ray.getPoint(ray, intersection.start); // start 是距离
-
-              // 判断点是否在地面圆形内 (沿地表距离)
-              // 使用 Cartesian 距离作为近似，或者 Cartographic 距离
-              const distance = Cesium.Cartesian3.distance(point, groundPos);
-              if (distance <= groundCircleRadius) {
-                intersectionPoints.push(point);
-              }
-            }
-          }
-
-          // 记录轨迹点（取交集多边形的中心点）
-          if (intersectionPoints.length > 0) {
-            // 简单的质心计算
-            let sumLon = 0, sumLat = 0;
-            intersectionPoints.forEach(p => {
-              const c = Cesium.Cartographic.fromCartesian(p);
-              sumLon += c.longitude;
-              sumLat += c.latitude;
-            });
-
-            const center = Cesium.Cartesian3.fromRadians(
-              sumLon / intersectionPoints.length,
-              sumLat / intersectionPoints.length,
-              0
-            );
-
-            // 更新累积区域（Footprint）
-            // 只有当位置移动超过一定距离时才记录，避免过于密集
-            if (!lastFootprintPos || Cesium.Cartesian3.distance(center, lastFootprintPos) > 100) {
-
-              // 1. 将当前 intersectionPoints 转换为 GeoJSON Polygon
-              // 注意：Turf 需要首尾闭合
-              const coordinates = intersectionPoints.map(p => {
-                const c = Cesium.Cartographic.fromCartesian(p);
-                return [Cesium.Math.toDegrees(c.longitude), Cesium.Math.toDegrees(c.latitude)];
-              });
-
-              // 闭合
-              if (coordinates.length >= 3) {
-                coordinates.push(coordinates[0]);
-
-                try {
-                  const currentPoly = turf.polygon([coordinates]);
-
-                  // 2. 合并
-                  if (!accumulatedGeoJSON) {
-                    accumulatedGeoJSON = currentPoly;
-                  } else {
-                    accumulatedGeoJSON = turf.union(turf.featureCollection([accumulatedGeoJSON, currentPoly]));
-                    // 简化以提高性能
-                    accumulatedGeoJSON = turf.simplify(accumulatedGeoJSON, { tolerance: 0.0001, highQuality: false });
-                  }
-
-                  updateFootprintVisuals();
-                } catch (e) {
-                  // 忽略无效多边形构建错误
-                  console.warn("Polygon construction failed:", e);
-                }
-              }
-
-              lastFootprintPos = center;
-            }
-
-            scanPositions.push(center);
-            // 限制轨迹长度
-            if (scanPositions.length > 200) scanPositions.shift();
-          }
-          return new Cesium.PolygonHierarchy(intersectionPoints);
+          // 先计算完整足迹，再与地面区域几何求交
+          const { ring } = computeCoverage({ sensor, region });
+          return new Cesium.PolygonHierarchy(ring);
         }, false),
-        material: Cesium.Color.YELLOW.withAlpha(0.5),
-        zIndex: 2,
+        material: new Cesium.ColorMaterialProperty(
+          new Cesium.CallbackProperty(() => footprintLayers[coneEntity.id].color, false),
+        ),
+        zIndex: 3,
         classificationType: Cesium.ClassificationType.BOTH
       },
     });
   });
 
+  const rangeRingGroup = createLayerGroup(viewer, "RangeRingLayer", showRangeRings);
+  const rangeRingEntities = coneEntities.flatMap(coneEntity =>
+    createRangeRings(viewer, coneEntity, () => footprintLayers[coneEntity.id].color.withAlpha(1), rangeRingGroup));
+
+  // 可在运行时切换显示的图层，名称 -> 带 show 属性的图层或分组实体
+  const toggles = {
+    footprint: {
+      get show() {
+        return layers[0].show;
+      },
+      set show(value) {
+        layers.forEach(layer => { layer.show = value; });
+      },
+    },
+    highlight: highlightGroup,
+    overlap: overlapLayer,
+    occlusion: occlusionLayer,
+    scanTrack: scanTrackLayer,
+    revisit: revisitLayer,
+    rangeRings: rangeRingGroup,
+  };
+
+  // 从头重新累积（地形或地面区域改变后）
+  function resetAccumulation() {
+    timeline.reset();
+    recorder.reset();
+    if (revisitGrid) revisitGrid.reset();
+    renderedSnapshot = null;
+    occlusionTime = null;
+  }
+
+  // 地面区域的几何被修改（setGeometry、拖动编辑等）后按新区域重新累积，重访网格按新区域重新铺设
+  // 只修改样式（如 ellipse.material）时几何不变，不重新累积
+  const regionKey = () => JSON.stringify(getRegion(viewer.clock.currentTime)?.geometry ?? null);
+  let lastRegionKey = regionKey();
+  const onRegionChanged = (entity, propertyName) => {
+    if (!['regionGeoJSON', 'position', 'ellipse', 'rectangle', 'corridor'].includes(propertyName)) return;
+    const key = regionKey();
+    if (key === lastRegionKey) return;
+    lastRegionKey = key;
+    revisitGrid = null;
+    resetAccumulation();
+  };
+  let removeRegionListener = groundEntity.definitionChanged.addEventListener(onRegionChanged);
+
+  let destroyed = false;
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    removeTickListener();
+    removeRegionListener();
+    if (merger) merger.terminate();
+    [
+      ...highlightEntities,
+      highlightGroup,
+      ...rangeRingEntities,
+      rangeRingGroup,
+    ].forEach(entity => viewer.entities.remove(entity));
+    [...layers, overlapLayer, occlusionLayer, scanTrackLayer, revisitLayer].forEach(layer => layer.destroy());
+  }
+
   return {
     highlightEntities, // 返回数组
-    footprintEntities: footprintEntityPool,
+    footprintLayers,
+    overlapEntities: overlapLayer.entities ?? [],
+    occlusionEntities: occlusionLayer.entities ?? [],
+    rangeRingEntities,
+    scanTrack: {
+      entities: scanTrackLayer.entities,
+      getPasses: () => scanPasses,
+    },
+    revisit: {
+      entities: revisitLayer.entities,
+      getGrid: () => revisitGrid,
+      query: (lon, lat, time = viewer.clock.currentTime) =>
+        revisitGrid ? revisitGrid.query(lon, lat, time) : undefined,
+    },
+    accumulator,
+    timeline,
+    invalidate(time) {
+      // 回退到新样本之前的样本，两者之间的插值位置也已改变
+      let from = time;
+      coneEntities.forEach(coneEntity => {
+        const before = sampleTimeBefore(coneEntity, time);
+        if (before && Cesium.JulianDate.lessThan(before, from)) from = before;
+      });
+
+      const computed = timeline.computedTime;
+      if (!computed || !Cesium.JulianDate.lessThan(from, computed)) return;
+
+      timeline.invalidate(from);
+      if (timeline.computedTime) {
+        recorder.truncate(timeline.computedTime);
+        if (revisitGrid) revisitGrid.truncate(timeline.computedTime);
+      } else {
+        recorder.reset();
+        if (revisitGrid) revisitGrid.reset();
+      }
+      renderedSnapshot = null;
+    },
+    setTerrain(value) {
+      terrain = value;
+      resetAccumulation();
+    },
+    /**
+     * 更换地面区域实体（如在地图上绘制了新的关注区域），按新区域从头重新累积
+     * @param {Entity} entity - 地面区域实体，见 groundEntity 参数
+     */
+    setRegion(entity) {
+      if (entity === groundEntity) return;
+      removeRegionListener();
+      groundEntity = entity;
+      removeRegionListener = groundEntity.definitionChanged.addEventListener(onRegionChanged);
+      lastRegionKey = regionKey();
+      revisitGrid = null;
+      resetAccumulation();
+    },
+    /**
+     * 当前的地面区域实体
+     * @returns {Entity}
+     */
+    getRegion: () => groundEntity,
+    /**
+     * 切换图层显示
+     * @param {String} layer - "footprint" | "highlight" | "overlap" | "occlusion" | "scanTrack" | "revisit" | "rangeRings"
+     * @param {Boolean} value
+     */
+    setShow(layer, value) {
+      if (!toggles[layer]) throw new Error(`Unknown coverage layer: ${layer}`);
+      if (toggles[layer].show === value) return;
+      toggles[layer].show = value;
+      // 隐藏期间重访图层与遮挡图层不更新，重新显示时立即按当前时刻渲染
+      renderedSnapshot = null;
+      occlusionTime = null;
+    },
+    /**
+     * 图层当前是否显示
+     * @param {String} layer - 见 setShow
+     * @returns {Boolean}
+     */
+    getShow(layer) {
+      if (!toggles[layer]) throw new Error(`Unknown coverage layer: ${layer}`);
+      return toggles[layer].show;
+    },
+    coverage: {
+      getStats: () => {
+        const snapshot = timeline.snapshotAt(viewer.clock.currentTime);
+        return computeCoverageStats(snapshot, getRegion(viewer.clock.currentTime));
+      },
+      timeSeries: recorder.series,
+      getOcclusion: (key) => occlusionResults.get(key),
+    },
+    destroy,
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,348 @@
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import {
+  createCone,
+  createFrustumSensor,
+  createGroundCircle,
+  createGroundCorridor,
+  createGroundPolygon,
+  createGroundRectangle,
+  createGroundRegionFromGeoJSON,
+  createPlatform,
+} from "../cesium/cesiumDraw.js";
+import { applyCamera } from "../cesium/cesiumInit.js";
+import { getRegionGeoJSON } from "../cesium/region.js";
+import { createTelemetryRouter } from "../cesium/telemetryRouter.js";
+import { sampleTerrainProvider } from "../cesium/terrain.js";
+import { createSampledPositionProperty } from "../cesium/property.js";
+import { setInterpolation } from "../cesium/trackProperties.js";
+import { createIntersectionPolygon } from "../cesium/utils.js";
+import { createTelemetryClient } from "../telemetry/client.js";
+import { createReplaySource, trackToMessages } from "../telemetry/replay.js";
+import { detectTrackFormat, importTrack } from "../tracks/importer.js";
+import { COVERAGE_OPTIONS, validateScenario, validateTrackSamples } from "./schema.js";
+
+/**
+ * 场景加载器
+ * 按场景文件（格式见 schema.js）创建地面区域、平台、传感器与覆盖计算，设置时钟与相机，并接入轨迹数据：
+ *   static  所有轨迹样本在加载时一次写入
+ *   replay  先写入前 preload 个样本，其余按 interval 在浏览器内回放
+ *   live    先写入前 preload 个样本，其余来自遥测 WebSocket
+ * 轨迹样本均以遥测消息的形式经 telemetryRouter 写入实体，三种方式的结果一致。
+ */
+
+const DEFAULT_PRELOAD = 2; // 速度方向朝向至少需要两个样本
+
+// CSS 颜色字符串转 Cesium.Color
+function parseColor(value, path) {
+  if (value === undefined) return undefined;
+  const color = Cesium.Color.fromCssColorString(value);
+  if (!color) throw new Error(`${path} is not a valid color: ${value}`);
+  return color;
+}
+
+// 以 GET 请求读取 JSON
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+  return response.json();
+}
+
+// 读取轨迹文件，JSON 轨迹返回样本，其他格式返回文本
+async function fetchTrack(url, format) {
+  if (format === "json") return fetchJSON(url);
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+  return response.text();
+}
+
+/**
+ * 读取并解析场景文件
+ * @param {String} url
+ * @returns {Promise<Object>} 场景对象，未校验
+ */
+export function fetchScenario(url) {
+  return fetchJSON(url);
+}
+
+// 读取全部轨迹的样本，url 相对 baseUrl 解析，CSV / GPX / NMEA 文件经导入器转为样本
+async function resolveTracks(tracks, loadTrack, baseUrl) {
+  const resolved = new Map();
+  for (const [i, track] of tracks.entries()) {
+    let samples = track.samples;
+    if (!samples) {
+      const url = baseUrl ? new URL(track.url, baseUrl).href : track.url;
+      const format = track.format ?? detectTrackFormat(track.url);
+      const data = await loadTrack(url, format);
+      const name = `tracks[${i}] (${track.url})`;
+      if (format === "json") {
+        const { valid, errors } = validateTrackSamples(data, name);
+        if (!valid) throw new Error(`Invalid track:\n${errors.join("\n")}`);
+        samples = data;
+      } else {
+        samples = importTrack(data, format, track.options, name);
+      }
+    }
+    resolved.set(track.id, samples);
+  }
+  return resolved;
+}
+
+function createRegion(viewer, region, path) {
+  const style = {
+    id: region.id,
+    color: parseColor(region.color, `${path}.color`),
+    outlineColor: parseColor(region.outlineColor, `${path}.outlineColor`),
+  };
+  switch (region.type) {
+    case "circle":
+      return createGroundCircle(viewer, {
+        ...style,
+        longitude: region.center[0],
+        latitude: region.center[1],
+        radius: region.radius,
+      });
+    case "polygon":
+      return createGroundPolygon(viewer, { ...style, positions: region.positions, holes: region.holes });
+    case "rectangle":
+      return createGroundRectangle(viewer, {
+        ...style,
+        west: region.west,
+        south: region.south,
+        east: region.east,
+        north: region.north,
+      });
+    case "corridor":
+      return createGroundCorridor(viewer, { ...style, positions: region.positions, width: region.width });
+    case "geojson":
+      return createGroundRegionFromGeoJSON(viewer, { ...style, geojson: region.geojson });
+    default:
+      throw new Error(`${path}.type is not supported: ${region.type}`);
+  }
+}
+
+// 遥测写入的位置属性，最新样本之后保持不动；interpolation 为轨迹的插值设置
+function createPositionProperty(interpolation) {
+  const property = createSampledPositionProperty();
+  property.forwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+  if (interpolation) setInterpolation(property, interpolation);
+  return property;
+}
+
+function createSensor(viewer, sensor, platforms, interpolation, path) {
+  const common = {
+    id: sensor.id,
+    name: sensor.name,
+    length: sensor.length,
+    minRange: sensor.minRange,
+    maxRange: sensor.maxRange,
+    pointing: sensor.pointing,
+    color: parseColor(sensor.color, `${path}.color`),
+  };
+  if (sensor.platform) {
+    common.platform = platforms.get(sensor.platform);
+    common.mount = sensor.mount;
+  } else {
+    // 沿轨迹运动的传感器默认朝向速度方向，指向计划之外的时段也使用该朝向
+    common.position = createPositionProperty(interpolation);
+    common.orientation = new Cesium.VelocityOrientationProperty(common.position);
+  }
+
+  if (sensor.type === "frustum") {
+    return createFrustumSensor(viewer, {
+      ...common,
+      horizontalAngle: Cesium.Math.toRadians(sensor.horizontalAngle),
+      verticalAngle: Cesium.Math.toRadians(sensor.verticalAngle),
+      roll: Cesium.Math.toRadians(sensor.roll ?? 0),
+    });
+  }
+  return createCone(viewer, { ...common, coneAngle: Cesium.Math.toRadians(sensor.coneAngle) });
+}
+
+// 场景中的覆盖选项转为 createIntersectionPolygon 的选项
+function toCoverageOptions(options = {}, path) {
+  const result = {};
+  Object.entries(options).forEach(([key, value]) => {
+    const p = `${path}.options.${key}`;
+    switch (COVERAGE_OPTIONS[key]) {
+      case "color":
+        result[key] = parseColor(value, p);
+        break;
+      case "colors":
+        result[key] = value.map((color, i) => parseColor(color, `${p}[${i}]`));
+        break;
+      case "styles":
+        result[key] = value.map((style, i) => ({
+          ...style,
+          color: parseColor(style.color, `${p}[${i}].color`),
+          outlineColor: parseColor(style.outlineColor, `${p}[${i}].outlineColor`),
+        }));
+        break;
+      default:
+        result[key] = value;
+    }
+  });
+  return result;
+}
+
+// 区域范围向外扩展 margin(米)，作为地形预采样范围
+function expandedBounds(regionGeoJSON, margin) {
+  const [west, south, east, north] = turf.bbox(regionGeoJSON);
+  const latSpan = Cesium.Math.toDegrees(margin / Cesium.Ellipsoid.WGS84.maximumRadius);
+  const lonSpan = latSpan / Math.cos(Cesium.Math.toRadians(Math.max(Math.abs(south), Math.abs(north))));
+  return {
+    west: Math.max(-180, west - lonSpan),
+    south: Math.max(-90, south - latSpan),
+    east: Math.min(180, east + lonSpan),
+    north: Math.min(90, north + latSpan),
+  };
+}
+
+/**
+ * 按场景文件创建整个场景
+ * @param {Cesium.Viewer} viewer
+ * @param {Object} scenario 场景对象（格式见 schema.js），加载前会先校验
+ * @param {Object} [options]
+ * @param {String} [options.baseUrl] 轨迹 url 的基准地址，一般为场景文件的地址
+ * @param {Function} [options.loadTrack] 读取轨迹文件 (url, format) => data | Promise<data>，默认使用 fetch；
+ *   format 为 "json" 时 data 为样本数组，否则为文件文本
+ * @param {String} [options.telemetryUrl] 遥测 WebSocket 地址，设置时覆盖场景的 telemetry 改为 live 模式
+ * @returns {Promise<Object>} 场景句柄 { scenario, regions, platforms, sensors, coverage, router, destroy() }：
+ *   regions / platforms / sensors 为 id -> 实体的 Map，coverage 为各 createIntersectionPolygon 句柄，
+ *   destroy() 关闭数据源并移除场景创建的全部实体
+ */
+export async function loadScenario(viewer, scenario, options = {}) {
+  const { baseUrl, loadTrack = fetchTrack, telemetryUrl } = options;
+
+  const { valid, errors } = validateScenario(scenario);
+  if (!valid) throw new Error(`Invalid scenario:\n${errors.join("\n")}`);
+
+  const tracks = await resolveTracks(scenario.tracks, loadTrack, baseUrl);
+  const interpolations = new Map(scenario.tracks.map((track) => [track.id, track.interpolation]));
+
+  const regions = new Map();
+  const platforms = new Map();
+  const sensors = new Map();
+  const coverage = [];
+  let source = null;
+  let destroyed = false;
+
+  const router = createTelemetryRouter(viewer, {
+    // 乱序到达的样本会改变已累积时段的位置，通知时间线重算
+    onSample: (entity, time) => coverage.forEach((handle) => handle.invalidate(time)),
+  });
+
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    if (source) source.close();
+    router.reset();
+    coverage.forEach((handle) => handle.destroy());
+    [...sensors.values(), ...platforms.values(), ...regions.values()].forEach((entity) => entity.destroy());
+  }
+
+  try {
+    // 1. 时钟：默认覆盖全部轨迹
+    const times = [...tracks.values()].flatMap((samples) => [samples[0].time, samples[samples.length - 1].time]);
+    const clock = scenario.clock ?? {};
+    const startTime = Cesium.JulianDate.fromIso8601(clock.start ?? times.reduce((a, b) => (Date.parse(a) <= Date.parse(b) ? a : b)));
+    const stopTime = Cesium.JulianDate.fromIso8601(clock.stop ?? times.reduce((a, b) => (Date.parse(a) >= Date.parse(b) ? a : b)));
+    viewer.clock.startTime = startTime.clone();
+    viewer.clock.stopTime = stopTime.clone();
+    viewer.clock.currentTime = clock.current ? Cesium.JulianDate.fromIso8601(clock.current) : startTime.clone();
+    viewer.clock.clockRange = Cesium.ClockRange[clock.range ?? "LOOP_STOP"];
+    viewer.clock.multiplier = clock.multiplier ?? 1;
+    viewer.clock.shouldAnimate = clock.animate ?? true;
+
+    // 2. 地面区域
+    scenario.regions.forEach((region, i) => {
+      regions.set(region.id, createRegion(viewer, region, `regions[${i}]`));
+    });
+
+    // 3. 平台与传感器，位置由轨迹样本写入
+    (scenario.platforms ?? []).forEach((platform, i) => {
+      const interpolation = interpolations.get(platform.track);
+      const entity = createPlatform(viewer, {
+        id: platform.id,
+        name: platform.name,
+        position: createPositionProperty(interpolation),
+        color: parseColor(platform.color, `platforms[${i}].color`),
+        attitude: (platform.attitude ?? []).map(({ time, ...hpr }) => ({ time: Cesium.JulianDate.fromIso8601(time), ...hpr })),
+      });
+      // 机体姿态与位置使用相同的插值设置（传感器的遥测姿态见 telemetryRouter）
+      if (interpolation) setInterpolation(entity.bodyAttitude, interpolation);
+      platforms.set(platform.id, entity);
+    });
+    scenario.sensors.forEach((sensor, i) => {
+      try {
+        sensors.set(sensor.id, createSensor(viewer, sensor, platforms, interpolations.get(sensor.track), `sensors[${i}]`));
+      } catch (e) {
+        throw new Error(`sensors[${i}] (${sensor.id}): ${e.message}`);
+      }
+    });
+
+    // 4. 轨迹数据：每个绑定轨迹的实体一组遥测消息
+    const telemetry = telemetryUrl ? { ...scenario.telemetry, mode: "live", url: telemetryUrl } : scenario.telemetry ?? {};
+    const mode = telemetry.mode ?? "static";
+    const preload = mode === "static" ? Infinity : telemetry.preload ?? DEFAULT_PRELOAD;
+    const pending = [];
+    [...(scenario.platforms ?? []), ...scenario.sensors.filter((sensor) => sensor.track)].forEach((entity) => {
+      const messages = trackToMessages(tracks.get(entity.track), { id: entity.id });
+      messages.slice(0, preload).forEach(router.route);
+      pending.push(...messages.slice(preload));
+    });
+
+    // 5. 覆盖计算
+    (scenario.coverage ?? []).forEach((item, i) => {
+      const path = `coverage[${i}]`;
+      const groundEntity = regions.get(item.region);
+      const sensorIds = item.sensors ?? [...sensors.keys()];
+      const handle = createIntersectionPolygon(
+        viewer,
+        groundEntity,
+        sensorIds.map((id) => sensors.get(id)),
+        { ...toCoverageOptions(item.options, path), startTime },
+      );
+      coverage.push(handle);
+
+      // 地形预采样完成后足迹射线改为与地形求交，地形服务不可用时继续使用椭球
+      if (item.terrain) {
+        const margin = Math.max(...sensorIds.map((id) => {
+          const sensor = scenario.sensors.find((s) => s.id === id);
+          return sensor.maxRange ?? sensor.length;
+        }));
+        const regionGeoJSON = getRegionGeoJSON(groundEntity, startTime);
+        sampleTerrainProvider(viewer.terrainProvider, { rectangle: expandedBounds(regionGeoJSON, margin) })
+          .then((terrain) => {
+            if (!destroyed) handle.setTerrain(terrain);
+          })
+          .catch((e) => console.warn(`${path}: terrain sampling failed, using ellipsoid:`, e));
+      }
+    });
+
+    // 6. 回放或实时遥测
+    if (mode === "replay" && pending.length > 0) {
+      pending.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+      source = createReplaySource(pending, { onMessage: router.route, interval: telemetry.interval ?? 1000 });
+    } else if (mode === "live") {
+      if (!telemetry.url) throw new Error("telemetry.url is required in live mode");
+      source = createTelemetryClient({ url: telemetry.url, onMessage: router.route });
+    }
+    if (source) source.connect();
+
+    if (scenario.camera) applyCamera(viewer, scenario.camera);
+  } catch (e) {
+    destroy();
+    throw e;
+  }
+
+  return {
+    scenario,
+    regions,
+    platforms,
+    sensors,
+    coverage,
+    router,
+    destroy,
+  };
+}
@@ -0,0 +1,618 @@
+import { TRACK_IMPORTERS } from "../tracks/importer.js";
+
+/**
+ * 任务场景文件格式
+ * 不依赖 Cesium，浏览器端加载器与 Node 校验脚本共用。
+ * 角度单位为度，距离单位为米，时间为 ISO 8601 字符串，颜色为 CSS 颜色字符串。
+ *
+ * {
+ *   "version": 1,
+ *   "name": "Beijing circle survey",                                   // 可选
+ *   "clock": {                                                         // 可选，start / stop 默认取轨迹的首末时刻
+ *     "start": "2023-12-12T12:00:00Z", "stop": "2023-12-12T12:00:49Z", "current": "2023-12-12T12:00:00Z",
+ *     "multiplier": 1, "range": "LOOP_STOP", "animate": true           // range: UNBOUNDED | CLAMPED | LOOP_STOP
+ *   },
+ *   "camera": { "destination": [116.4, 39.9, 50000], "heading": 0, "pitch": -45, "roll": 0 },  // 或 { "rectangle": [西, 南, 东, 北] }
+ *   "regions": [                                                       // 地面区域
+ *     { "id": "area", "type": "circle", "center": [116.4, 39.9], "radius": 30000, "color": "rgba(0,0,255,0.2)" },
+ *     { "id": "p", "type": "polygon", "positions": [[lon, lat], ...], "holes": [[[lon, lat], ...]] },
+ *     { "id": "r", "type": "rectangle", "west": 116, "south": 39, "east": 117, "north": 40 },
+ *     { "id": "c", "type": "corridor", "positions": [[lon, lat], ...], "width": 2000 },
+ *     { "id": "g", "type": "geojson", "geojson": { ... } }
+ *   ],
+ *   "tracks": [                                                        // 轨迹：内联样本或文件地址（相对场景文件）
+ *     { "id": "main", "samples": [{ "time": "...", "position": [lon, lat, h], "attitude": { "heading": 0, "pitch": 0, "roll": 0 } }] },
+ *     { "id": "other", "url": "tracks/other.json", "interpolation": { "algorithm": "lagrange", "degree": 5 } },
+ *     { "id": "log", "url": "tracks/flight.csv", "format": "csv", "options": { "columns": { "time": "utc" }, "timeUnit": "s" } }
+ *   ],
+ *   "platforms": [                                                     // 可选，搭载传感器的平台
+ *     { "id": "aircraft", "track": "main", "color": "white", "attitude": [{ "time": "...", "heading": 0, "pitch": 0, "roll": 0 }] }
+ *   ],
+ *   "sensors": [                                                       // 传感器：沿轨迹运动（track）或安装在平台上（platform + mount）
+ *     { "id": "cone", "type": "cone", "track": "main", "length": 20000, "coneAngle": 22, "minRange": 0, "maxRange": 20000,
+ *       "color": "rgba(255,255,0,0.3)", "pointing": { "transition": 3, "intervals": [{ "mode": "velocity" }] } },
+ *     { "id": "camera", "type": "frustum", "platform": "aircraft", "mount": { "leverArm": [0, 0, -1], "heading": 0, "pitch": 0, "roll": 0 },
+ *       "length": 20000, "horizontalAngle": 20, "verticalAngle": 10, "roll": 0 }
+ *   ],
+ *   "coverage": [                                                      // 覆盖计算：一个地面区域与若干传感器（默认全部）
+ *     { "region": "area", "sensors": ["cone"], "terrain": true, "options": { "showRangeRings": true, "timeStep": 1 } }
+ *   ],
+ *   "telemetry": { "mode": "replay", "interval": 1000, "preload": 2 }  // static | replay | live，live 需要 url
+ * }
+ *
+ * 轨迹文件的 format 默认按扩展名推断（见 tracks/importer.js），options 为对应导入器的选项；interpolation 为位置与姿态插值。
+ * 指向计划 (pointing) 的格式见 cesium/pointing.js；coverage.options 为 createIntersectionPolygon 的选项（见 COVERAGE_OPTIONS）。
+ */
+
+export const SCENARIO_VERSION = 1;
+
+export const REGION_TYPES = ["circle", "polygon", "rectangle", "corridor", "geojson"];
+export const SENSOR_TYPES = ["cone", "frustum"];
+export const CLOCK_RANGES = ["UNBOUNDED", "CLAMPED", "LOOP_STOP"];
+export const TELEMETRY_MODES = ["static", "replay", "live"];
+export const TRACK_FORMATS = ["json", ...Object.keys(TRACK_IMPORTERS)];
+// 与 cesium/trackProperties.js 的 INTERPOLATION_ALGORITHMS 对应
+export const TRACK_INTERPOLATIONS = ["linear", "lagrange", "hermite"];
+
+// 与 cesium/pointing.js 的 MODE_PARAMETERS 对应：各指向模式允许的参数
+const POINTING_PARAMETERS = {
+  velocity: [],
+  nadir: [],
+  fixed: ["attitude"],
+  target: ["target"],
+  track: ["entityId"],
+  offNadir: ["lookAngle", "alongTrackAngle"],
+  whiskbroom: ["lookAngle", "amplitude", "rate"],
+  spiral: ["target", "entityId", "amplitude", "rate", "period"],
+};
+export const POINTING_MODES = Object.keys(POINTING_PARAMETERS);
+
+// 场景文件中允许的覆盖计算选项及其类型，颜色以 CSS 字符串给出
+export const COVERAGE_OPTIONS = {
+  coneAngle: "number",
+  groundCircleRadius: "number",
+  showFootprint: "boolean",
+  showHighlight: "boolean",
+  showOverlap: "boolean",
+  showRangeRings: "boolean",
+  showScanTrack: "boolean",
+  showScanTrackLabels: "boolean",
+  scanTrackMaxPoints: "number",
+  scanTrackWindow: "number",
+  passGap: "number",
+  showOcclusion: "boolean",
+  occlusionCellSize: "number",
+  showRevisit: "boolean",
+  revisitCellSize: "number",
+  revisitShape: "string",
+  footprintRenderer: "string",
+  mergeInWorker: "boolean",
+  timeStep: "number",
+  maxStepsPerTick: "number",
+  statsInterval: "number",
+  footprintColors: "colors",
+  overlapColor: "color",
+  occlusionColor: "color",
+  revisitColors: "colors",
+  footprintStyles: "styles",
+};
+
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isObject = (v) => typeof v === "object" && v !== null && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === "string" && v.length > 0;
+const isTimestamp = (v) => typeof v === "string" && !Number.isNaN(Date.parse(v));
+
+// 校验对象只包含允许的字段，拼写错误的字段不会被静默忽略
+function checkKeys(value, allowed, path, errors) {
+  Object.keys(value).forEach((key) => {
+    if (!allowed.includes(key)) errors.push(`${path}.${key} is not a recognised field`);
+  });
+}
+
+function checkNumber(value, path, errors, { required = false, min, max, exclusiveMin = false, integer = false } = {}) {
+  if (value === undefined) {
+    if (required) errors.push(`${path} is required`);
+    return;
+  }
+  if (!isFiniteNumber(value)) {
+    errors.push(`${path} must be a finite number`);
+    return;
+  }
+  if (integer && !Number.isInteger(value)) errors.push(`${path} must be an integer`);
+  if (min !== undefined && (exclusiveMin ? value <= min : value < min)) {
+    errors.push(`${path} must be ${exclusiveMin ? "greater than" : "at least"} ${min}`);
+  }
+  if (max !== undefined && value > max) errors.push(`${path} must be at most ${max}`);
+}
+
+function checkString(value, path, errors, { required = false, oneOf } = {}) {
+  if (value === undefined) {
+    if (required) errors.push(`${path} is required`);
+    return;
+  }
+  if (!isNonEmptyString(value)) {
+    errors.push(`${path} must be a non-empty string`);
+    return;
+  }
+  if (oneOf && !oneOf.includes(value)) errors.push(`${path} must be one of ${oneOf.join(", ")}`);
+}
+
+function checkBoolean(value, path, errors) {
+  if (value !== undefined && typeof value !== "boolean") errors.push(`${path} must be a boolean`);
+}
+
+function checkTimestamp(value, path, errors, { required = false } = {}) {
+  if (value === undefined) {
+    if (required) errors.push(`${path} is required`);
+    return;
+  }
+  if (!isTimestamp(value)) errors.push(`${path} must be an ISO 8601 timestamp`);
+}
+
+// 校验 [经度, 纬度] 或 [经度, 纬度, 高度]
+function checkLonLat(value, path, errors, { height = false } = {}) {
+  const length = height ? 3 : 2;
+  if (!Array.isArray(value) || value.length !== length || !value.every(isFiniteNumber)) {
+    errors.push(`${path} must be [longitude, latitude${height ? ", height" : ""}]`);
+    return;
+  }
+  if (value[0] < -180 || value[0] > 180) errors.push(`${path}[0] longitude out of range`);
+  if (value[1] < -90 || value[1] > 90) errors.push(`${path}[1] latitude out of range`);
+}
+
+function checkLonLatList(value, path, errors, minLength) {
+  if (!Array.isArray(value) || value.length < minLength) {
+    errors.push(`${path} must be an array of at least ${minLength} [longitude, latitude] positions`);
+    return;
+  }
+  value.forEach((position, i) => checkLonLat(position, `${path}[${i}]`, errors));
+}
+
+function checkAttitude(value, path, errors) {
+  if (!isObject(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  ["heading", "pitch", "roll"].forEach((field) => checkNumber(value[field], `${path}.${field}`, errors, { required: true }));
+}
+
+// 校验 id 非空且在场景中唯一（区域、平台、传感器共用实体 ID 空间）
+function checkId(value, path, ids, errors) {
+  if (!isNonEmptyString(value)) {
+    errors.push(`${path}.id must be a non-empty string`);
+    return;
+  }
+  if (ids.has(value)) errors.push(`${path}.id "${value}" is already used`);
+  ids.add(value);
+}
+
+function checkList(value, path, errors, { required = false } = {}) {
+  if (value === undefined) {
+    if (required) errors.push(`${path} is required`);
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  return value;
+}
+
+/**
+ * 校验 JSON 轨迹样本：时间戳有效且严格递增
+ * @param {*} samples
+ * @param {String} [path="samples"] 错误信息中的路径
+ * @returns {{valid: Boolean, errors: String[]}}
+ */
+export function validateTrackSamples(samples, path = "samples") {
+  const errors = [];
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return { valid: false, errors: [`${path} must be a non-empty array`] };
+  }
+
+  let previous = -Infinity;
+  samples.forEach((sample, i) => {
+    const p = `${path}[${i}]`;
+    if (!isObject(sample)) {
+      errors.push(`${p} must be an object`);
+      return;
+    }
+    checkKeys(sample, ["time", "position", "attitude"], p, errors);
+    checkTimestamp(sample.time, `${p}.time`, errors, { required: true });
+    checkLonLat(sample.position, `${p}.position`, errors, { height: true });
+    if (sample.attitude !== undefined) checkAttitude(sample.attitude, `${p}.attitude`, errors);
+
+    const time = Date.parse(sample.time);
+    if (!Number.isNaN(time)) {
+      if (time <= previous) errors.push(`${p}.time must be later than the previous sample`);
+      previous = time;
+    }
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+function validateClock(clock, errors) {
+  if (!isObject(clock)) {
+    errors.push("clock must be an object");
+    return;
+  }
+  checkKeys(clock, ["start", "stop", "current", "multiplier", "range", "animate"], "clock", errors);
+  checkTimestamp(clock.start, "clock.start", errors);
+  checkTimestamp(clock.stop, "clock.stop", errors);
+  checkTimestamp(clock.current, "clock.current", errors);
+  checkNumber(clock.multiplier, "clock.multiplier", errors);
+  checkString(clock.range, "clock.range", errors, { oneOf: CLOCK_RANGES });
+  checkBoolean(clock.animate, "clock.animate", errors);
+  if (isTimestamp(clock.start) && isTimestamp(clock.stop) && Date.parse(clock.stop) < Date.parse(clock.start)) {
+    errors.push("clock.stop must not be earlier than clock.start");
+  }
+}
+
+/**
+ * 校验初始相机配置（与 cesiumInit 的 camera 选项相同）
+ * @param {*} camera
+ * @param {String} path
+ * @param {String[]} errors
+ */
+function validateCamera(camera, path, errors) {
+  if (!isObject(camera)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkKeys(camera, ["destination", "rectangle", "heading", "pitch", "roll"], path, errors);
+  if (camera.rectangle !== undefined) {
+    if (!Array.isArray(camera.rectangle) || camera.rectangle.length !== 4 || !camera.rectangle.every(isFiniteNumber)) {
+      errors.push(`${path}.rectangle must be [west, south, east, north]`);
+    }
+  } else if (camera.destination !== undefined) {
+    checkLonLat(camera.destination, `${path}.destination`, errors, { height: true });
+  } else {
+    errors.push(`${path} requires a destination or a rectangle`);
+  }
+  ["heading", "pitch", "roll"].forEach((field) => checkNumber(camera[field], `${path}.${field}`, errors));
+}
+
+function validateRegion(region, path, ids, errors) {
+  if (!isObject(region)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkId(region.id, path, ids, errors);
+  checkString(region.type, `${path}.type`, errors, { required: true, oneOf: REGION_TYPES });
+  checkString(region.color, `${path}.color`, errors);
+  checkString(region.outlineColor, `${path}.outlineColor`, errors);
+
+  const common = ["id", "type", "color", "outlineColor"];
+  switch (region.type) {
+    case "circle":
+      checkKeys(region, [...common, "center", "radius"], path, errors);
+      checkLonLat(region.center, `${path}.center`, errors);
+      checkNumber(region.radius, `${path}.radius`, errors, { required: true, min: 0, exclusiveMin: true });
+      break;
+    case "polygon":
+      checkKeys(region, [...common, "positions", "holes"], path, errors);
+      checkLonLatList(region.positions, `${path}.positions`, errors, 3);
+      checkList(region.holes, `${path}.holes`, errors)
+        .forEach((hole, i) => checkLonLatList(hole, `${path}.holes[${i}]`, errors, 3));
+      break;
+    case "rectangle":
+      checkKeys(region, [...common, "west", "south", "east", "north"], path, errors);
+      ["west", "east"].forEach((field) =>
+        checkNumber(region[field], `${path}.${field}`, errors, { required: true, min: -180, max: 180 }));
+      ["south", "north"].forEach((field) =>
+        checkNumber(region[field], `${path}.${field}`, errors, { required: true, min: -90, max: 90 }));
+      if (isFiniteNumber(region.south) && isFiniteNumber(region.north) && region.north <= region.south) {
+        errors.push(`${path}.north must be greater than south`);
+      }
+      break;
+    case "corridor":
+      checkKeys(region, [...common, "positions", "width"], path, errors);
+      checkLonLatList(region.positions, `${path}.positions`, errors, 2);
+      checkNumber(region.width, `${path}.width`, errors, { required: true, min: 0, exclusiveMin: true });
+      break;
+    case "geojson":
+      checkKeys(region, [...common, "geojson"], path, errors);
+      if (!isObject(region.geojson) || typeof region.geojson.type !== "string") {
+        errors.push(`${path}.geojson must be a GeoJSON object`);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function validateTrack(track, path, trackIds, errors) {
+  if (!isObject(track)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkKeys(track, ["id", "samples", "url", "format", "options", "interpolation"], path, errors);
+  checkId(track.id, path, trackIds, errors);
+  if ((track.samples === undefined) === (track.url === undefined)) {
+    errors.push(`${path} requires exactly one of samples or url`);
+  } else if (track.samples !== undefined) {
+    errors.push(...validateTrackSamples(track.samples, `${path}.samples`).errors);
+    if (track.format !== undefined || track.options !== undefined) {
+      errors.push(`${path}.format and ${path}.options only apply to track files`);
+    }
+  } else {
+    checkString(track.url, `${path}.url`, errors);
+    checkString(track.format, `${path}.format`, errors, { oneOf: TRACK_FORMATS });
+    if (track.options !== undefined && !isObject(track.options)) errors.push(`${path}.options must be an object`);
+  }
+
+  if (track.interpolation !== undefined) {
+    const p = `${path}.interpolation`;
+    if (!isObject(track.interpolation)) {
+      errors.push(`${p} must be an object`);
+    } else {
+      checkKeys(track.interpolation, ["algorithm", "degree"], p, errors);
+      checkString(track.interpolation.algorithm, `${p}.algorithm`, errors, { oneOf: TRACK_INTERPOLATIONS });
+      checkNumber(track.interpolation.degree, `${p}.degree`, errors, { min: 1, integer: true });
+    }
+  }
+}
+
+function checkReference(value, path, known, kind, errors, { required = false } = {}) {
+  if (value === undefined) {
+    if (required) errors.push(`${path} is required`);
+    return;
+  }
+  if (!known.has(value)) errors.push(`${path} refers to unknown ${kind} "${value}"`);
+}
+
+function validatePlatform(platform, path, ids, trackIds, errors) {
+  if (!isObject(platform)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkKeys(platform, ["id", "name", "track", "color", "attitude"], path, errors);
+  checkId(platform.id, path, ids, errors);
+  checkString(platform.name, `${path}.name`, errors);
+  checkString(platform.color, `${path}.color`, errors);
+  checkReference(platform.track, `${path}.track`, trackIds, "track", errors, { required: true });
+  checkList(platform.attitude, `${path}.attitude`, errors).forEach((sample, i) => {
+    const p = `${path}.attitude[${i}]`;
+    checkAttitude(sample, p, errors);
+    if (isObject(sample)) checkTimestamp(sample.time, `${p}.time`, errors, { required: true });
+  });
+}
+
+function validatePointing(pointing, path, errors) {
+  // 三种写法：{ transition, intervals }、区间数组、单个区间
+  let intervals = [];
+  if (Array.isArray(pointing)) {
+    intervals = pointing.map((interval, i) => [interval, `${path}[${i}]`]);
+  } else if (isObject(pointing) && pointing.mode !== undefined) {
+    intervals = [[pointing, path]];
+  } else if (isObject(pointing) && Array.isArray(pointing.intervals)) {
+    checkKeys(pointing, ["transition", "intervals"], path, errors);
+    checkNumber(pointing.transition, `${path}.transition`, errors, { min: 0 });
+    intervals = pointing.intervals.map((interval, i) => [interval, `${path}.intervals[${i}]`]);
+  } else {
+    errors.push(`${path} must be a pointing schedule, an array of intervals or a single interval`);
+  }
+
+  // 时间有效的区间，用于检查重叠；省略的 start / stop 为无界
+  const spans = [];
+  intervals.forEach(([interval, p]) => {
+    if (!isObject(interval)) {
+      errors.push(`${p} must be an object`);
+      return;
+    }
+    const { mode } = interval;
+    checkString(mode, `${p}.mode`, errors, { required: true, oneOf: POINTING_MODES });
+    checkTimestamp(interval.start, `${p}.start`, errors);
+    checkTimestamp(interval.stop, `${p}.stop`, errors);
+    if (interval.target !== undefined) checkLonLat(interval.target, `${p}.target`, errors, { height: true });
+    checkString(interval.entityId, `${p}.entityId`, errors);
+    ["lookAngle", "alongTrackAngle"].forEach((field) => checkNumber(interval[field], `${p}.${field}`, errors));
+    checkNumber(interval.amplitude, `${p}.amplitude`, errors, { min: 0 });
+    checkNumber(interval.rate, `${p}.rate`, errors, { min: 0 });
+    checkNumber(interval.period, `${p}.period`, errors, { min: 0, exclusiveMin: true });
+    if (interval.attitude !== undefined) {
+      // 未给出的姿态角默认为 0
+      if (!isObject(interval.attitude)) {
+        errors.push(`${p}.attitude must be an object`);
+      } else {
+        checkKeys(interval.attitude, ["heading", "pitch", "roll"], `${p}.attitude`, errors);
+        ["heading", "pitch", "roll"].forEach((field) => checkNumber(interval.attitude[field], `${p}.attitude.${field}`, errors));
+      }
+    }
+
+    if (POINTING_PARAMETERS[mode]) {
+      checkKeys(interval, ["mode", "start", "stop", ...POINTING_PARAMETERS[mode]], p, errors);
+      if (mode === "target" && interval.target === undefined) errors.push(`${p}.target is required in target mode`);
+      if (mode === "track" && interval.entityId === undefined) errors.push(`${p}.entityId is required in track mode`);
+      if (mode === "spiral" && interval.target === undefined && interval.entityId === undefined) {
+        errors.push(`${p} requires target or entityId in spiral mode`);
+      }
+    }
+
+    const start = interval.start === undefined ? -Infinity : Date.parse(interval.start);
+    const stop = interval.stop === undefined ? Infinity : Date.parse(interval.stop);
+    if (Number.isNaN(start) || Number.isNaN(stop)) return;
+    if (start >= stop) {
+      errors.push(`${p}.start must be before ${p}.stop`);
+      return;
+    }
+    spans.push({ start, stop, p });
+  });
+
+  // 区间为左闭右开，相邻区间可以首尾相接
+  spans.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < spans.length; i++) {
+    if (spans[i].start < spans[i - 1].stop) errors.push(`${spans[i - 1].p} and ${spans[i].p} overlap`);
+  }
+}
+
+function validateSensor(sensor, path, ids, trackIds, platformIds, errors) {
+  if (!isObject(sensor)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  const type = sensor.type ?? "cone";
+  checkId(sensor.id, path, ids, errors);
+  checkString(sensor.type, `${path}.type`, errors, { oneOf: SENSOR_TYPES });
+  checkString(sensor.name, `${path}.name`, errors);
+  checkString(sensor.color, `${path}.color`, errors);
+
+  const common = ["id", "type", "name", "color", "track", "platform", "mount", "length", "minRange", "maxRange", "pointing"];
+  checkKeys(sensor, type === "frustum" ? [...common, "horizontalAngle", "verticalAngle", "roll"] : [...common, "coneAngle"], path, errors);
+
+  if ((sensor.track === undefined) === (sensor.platform === undefined)) {
+    errors.push(`${path} requires exactly one of track or platform`);
+  }
+  checkReference(sensor.track, `${path}.track`, trackIds, "track", errors);
+  checkReference(sensor.platform, `${path}.platform`, platformIds, "platform", errors);
+  if (sensor.mount !== undefined) {
+    if (sensor.platform === undefined) errors.push(`${path}.mount requires a platform`);
+    if (!isObject(sensor.mount)) {
+      errors.push(`${path}.mount must be an object`);
+    } else {
+      checkKeys(sensor.mount, ["leverArm", "heading", "pitch", "roll"], `${path}.mount`, errors);
+      if (sensor.mount.leverArm !== undefined
+        && (!Array.isArray(sensor.mount.leverArm) || sensor.mount.leverArm.length !== 3 || !sensor.mount.leverArm.every(isFiniteNumber))) {
+        errors.push(`${path}.mount.leverArm must be [x, y, z]`);
+      }
+      ["heading", "pitch", "roll"].forEach((field) => checkNumber(sensor.mount[field], `${path}.mount.${field}`, errors));
+    }
+  }
+
+  checkNumber(sensor.length, `${path}.length`, errors, { required: true, min: 0, exclusiveMin: true });
+  checkNumber(sensor.minRange, `${path}.minRange`, errors, { min: 0 });
+  checkNumber(sensor.maxRange, `${path}.maxRange`, errors, { min: 0, exclusiveMin: true });
+  if (type === "frustum") {
+    checkNumber(sensor.horizontalAngle, `${path}.horizontalAngle`, errors, { required: true, min: 0, exclusiveMin: true, max: 179 });
+    checkNumber(sensor.verticalAngle, `${path}.verticalAngle`, errors, { required: true, min: 0, exclusiveMin: true, max: 179 });
+    checkNumber(sensor.roll, `${path}.roll`, errors);
+  } else {
+    checkNumber(sensor.coneAngle, `${path}.coneAngle`, errors, { required: true, min: 0, exclusiveMin: true, max: 179 });
+  }
+  if (sensor.pointing !== undefined) validatePointing(sensor.pointing, `${path}.pointing`, errors);
+}
+
+function validateCoverageOption(value, type, path, errors) {
+  switch (type) {
+    case "color":
+      checkString(value, path, errors);
+      break;
+    case "colors":
+      if (!Array.isArray(value) || value.length === 0 || !value.every(isNonEmptyString)) {
+        errors.push(`${path} must be a non-empty array of colors`);
+      }
+      break;
+    case "styles":
+      checkList(value, path, errors).forEach((style, i) => {
+        const p = `${path}[${i}]`;
+        if (!isObject(style)) {
+          errors.push(`${p} must be an object`);
+          return;
+        }
+        checkKeys(style, ["color", "fill", "outline", "outlineColor", "outlineWidth"], p, errors);
+        checkString(style.color, `${p}.color`, errors);
+        checkString(style.outlineColor, `${p}.outlineColor`, errors);
+        checkBoolean(style.fill, `${p}.fill`, errors);
+        checkBoolean(style.outline, `${p}.outline`, errors);
+        checkNumber(style.outlineWidth, `${p}.outlineWidth`, errors, { min: 0, exclusiveMin: true });
+      });
+      break;
+    default:
+      if (typeof value !== type) errors.push(`${path} must be a ${type}`);
+  }
+}
+
+function validateCoverage(coverage, path, regionIds, sensorIds, errors) {
+  if (!isObject(coverage)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkKeys(coverage, ["region", "sensors", "terrain", "options"], path, errors);
+  checkReference(coverage.region, `${path}.region`, regionIds, "region", errors, { required: true });
+  checkList(coverage.sensors, `${path}.sensors`, errors)
+    .forEach((id, i) => checkReference(id, `${path}.sensors[${i}]`, sensorIds, "sensor", errors, { required: true }));
+  checkBoolean(coverage.terrain, `${path}.terrain`, errors);
+
+  if (coverage.options !== undefined) {
+    if (!isObject(coverage.options)) {
+      errors.push(`${path}.options must be an object`);
+      return;
+    }
+    Object.entries(coverage.options).forEach(([key, value]) => {
+      if (!(key in COVERAGE_OPTIONS)) {
+        errors.push(`${path}.options.${key} is not a recognised option`);
+      } else {
+        validateCoverageOption(value, COVERAGE_OPTIONS[key], `${path}.options.${key}`, errors);
+      }
+    });
+  }
+}
+
+function validateTelemetry(telemetry, errors) {
+  if (!isObject(telemetry)) {
+    errors.push("telemetry must be an object");
+    return;
+  }
+  checkKeys(telemetry, ["mode", "url", "interval", "preload"], "telemetry", errors);
+  checkString(telemetry.mode, "telemetry.mode", errors, { oneOf: TELEMETRY_MODES });
+  checkString(telemetry.url, "telemetry.url", errors);
+  checkNumber(telemetry.interval, "telemetry.interval", errors, { min: 0, exclusiveMin: true });
+  checkNumber(telemetry.preload, "telemetry.preload", errors, { min: 0, integer: true });
+}
+
+/**
+ * 校验场景
+ * @param {*} scenario 已解析的 JSON
+ * @returns {{valid: Boolean, errors: String[]}}
+ */
+export function validateScenario(scenario) {
+  const errors = [];
+  if (!isObject(scenario)) {
+    return { valid: false, errors: ["scenario must be an object"] };
+  }
+
+  checkKeys(scenario, ["version", "name", "clock", "camera", "regions", "tracks", "platforms", "sensors", "coverage", "telemetry"], "scenario", errors);
+  if (scenario.version !== SCENARIO_VERSION) errors.push(`version must be ${SCENARIO_VERSION}`);
+  checkString(scenario.name, "name", errors);
+  if (scenario.clock !== undefined) validateClock(scenario.clock, errors);
+  if (scenario.camera !== undefined) validateCamera(scenario.camera, "camera", errors);
+
+  const ids = new Set(); // 实体 ID
+  const trackIds = new Set();
+
+  const regions = checkList(scenario.regions, "regions", errors, { required: true });
+  regions.forEach((region, i) => validateRegion(region, `regions[${i}]`, ids, errors));
+  const regionIds = new Set(regions.filter(isObject).map((r) => r.id));
+
+  checkList(scenario.tracks, "tracks", errors, { required: true })
+    .forEach((track, i) => validateTrack(track, `tracks[${i}]`, trackIds, errors));
+
+  const platforms = checkList(scenario.platforms, "platforms", errors);
+  platforms.forEach((platform, i) => validatePlatform(platform, `platforms[${i}]`, ids, trackIds, errors));
+  const platformIds = new Set(platforms.filter(isObject).map((p) => p.id));
+
+  const sensors = checkList(scenario.sensors, "sensors", errors, { required: true });
+  sensors.forEach((sensor, i) => validateSensor(sensor, `sensors[${i}]`, ids, trackIds, platformIds, errors));
+  const sensorIds = new Set(sensors.filter(isObject).map((s) => s.id));
+
+  checkList(scenario.coverage, "coverage", errors)
+    .forEach((coverage, i) => validateCoverage(coverage, `coverage[${i}]`, regionIds, sensorIds, errors));
+  if (scenario.telemetry !== undefined) validateTelemetry(scenario.telemetry, errors);
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 解析并校验场景文本
+ * @param {String} text
+ * @returns {{valid: Boolean, errors: String[], scenario?: Object}}
+ */
+export function parseScenario(text) {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (e) {
+    return { valid: false, errors: [`invalid JSON: ${e.message}`] };
+  }
+  return { ...validateScenario(scenario), scenario };
+}
@@ -0,0 +1,121 @@
+import { parseTelemetryMessage } from "./schema.js";
+
+/**
+ * 创建遥测 WebSocket 客户端，断线后按指数退避自动重连
+ * @param {Object} options
+ * @param {String} options.url WebSocket 地址
+ * @param {Function} options.onMessage 收到有效消息的回调 (message) => void
+ * @param {Function} [options.onInvalid] 收到无效消息的回调 (errors, raw) => void
+ * @param {Function} [options.onStatus] 连接状态变化回调 (status) => void，status 为 connecting / open / closed / reconnecting
+ * @param {Object} [options.reconnect] 重连配置
+ * @param {Number} [options.reconnect.initialDelay=500] 首次重连延迟(毫秒)
+ * @param {Number} [options.reconnect.maxDelay=30000] 最大重连延迟(毫秒)
+ * @param {Number} [options.reconnect.factor=2] 退避倍数
+ * @param {Number} [options.reconnect.maxRetries=Infinity] 最大重连次数
+ * @param {Function} [options.WebSocket] WebSocket 实现，默认使用全局 WebSocket
+ * @returns {{connect: Function, close: Function, send: Function, readonly status: String}}
+ */
+export function createTelemetryClient(options) {
+  const {
+    url,
+    onMessage,
+    onInvalid = (errors) => console.warn("Invalid telemetry message:", errors),
+    onStatus = () => {},
+    reconnect = {},
+    WebSocket: WebSocketImpl = globalThis.WebSocket,
+  } = options;
+  const {
+    initialDelay = 500,
+    maxDelay = 30000,
+    factor = 2,
+    maxRetries = Infinity,
+  } = reconnect;
+
+  let socket = null;
+  let retries = 0;
+  let retryTimer = null;
+  let closedByUser = false;
+  let status = "closed";
+
+  function setStatus(value) {
+    status = value;
+    onStatus(value);
+  }
+
+  function scheduleReconnect() {
+    if (closedByUser || retries >= maxRetries) {
+      setStatus("closed");
+      return;
+    }
+    // 指数退避 + 随机抖动，避免多个客户端同时重连
+    const delay = Math.min(maxDelay, initialDelay * factor ** retries);
+    const jitter = delay * 0.2 * Math.random();
+    retries++;
+    setStatus("reconnecting");
+    retryTimer = setTimeout(open, delay + jitter);
+  }
+
+  function open() {
+    retryTimer = null;
+    setStatus("connecting");
+    socket = new WebSocketImpl(url);
+
+    socket.onopen = () => {
+      retries = 0;
+      setStatus("open");
+    };
+    socket.onmessage = (event) => {
+      const { valid, errors, message } = parseTelemetryMessage(event.data);
+      if (valid) {
+        onMessage(message);
+      } else {
+        onInvalid(errors, event.data);
+      }
+    };
+    socket.onclose = () => {
+      socket = null;
+      scheduleReconnect();
+    };
+    socket.onerror = () => {
+      // 错误之后总会触发 close，由 onclose 负责重连
+    };
+  }
+
+  return {
+    get status() {
+      return status;
+    },
+
+    /** 建立连接 */
+    connect() {
+      if (socket || retryTimer) return;
+      closedByUser = false;
+      retries = 0;
+      open();
+    },
+
+    /** 关闭连接并停止重连 */
+    close() {
+      closedByUser = true;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+      }
+      socket = null;
+      setStatus("closed");
+    },
+
+    /**
+     * 发送消息
+     * @param {Object} message
+     * @returns {Boolean} 是否已发送
+     */
+    send(message) {
+      if (!socket || socket.readyState !== 1) return false;
+      socket.send(JSON.stringify(message));
+      return true;
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { TELEMETRY_MESSAGE_TYPE } from "./schema.js";
+
+/**
+ * 轨迹回放
+ * 将 position.json / line.json 格式的轨迹 ({time, position:[lon,lat,h], attitude?}[]) 转为遥测消息，
+ * 供 Node 模拟服务器与浏览器内的离线回放共用。
+ */
+
+/**
+ * 将轨迹转换为遥测消息
+ * @param {Array<{time: String, position: Number[]}>} track 轨迹数据
+ * @param {Object} options
+ * @param {String} options.id 目标实体 ID
+ * @param {Number} [options.targetLockFrom] 从该索引起开启目标锁定
+ * @param {Number[]} [options.target] 目标锁定的目标点 [经度, 纬度, 高度]
+ * @param {Object} [options.cone] 圆锥参数 { angle(度), length(米) }，附加到第一条消息
+ * @returns {Object[]} 遥测消息
+ */
+export function trackToMessages(track, options) {
+  const { id, targetLockFrom, target, cone } = options;
+
+  return track.map((sample, index) => {
+    const message = {
+      type: TELEMETRY_MESSAGE_TYPE,
+      id,
+      time: sample.time,
+      position: sample.position,
+    };
+    if (sample.attitude) message.attitude = sample.attitude;
+    if (index === 0 && cone) message.cone = cone;
+    if (targetLockFrom !== undefined) {
+      message.mode = { targetLock: index >= targetLockFrom };
+      if (target && index >= targetLockFrom) message.mode.target = target;
+    }
+    return message;
+  });
+}
+
+/**
+ * 创建浏览器内回放源，接口与 createTelemetryClient 一致，用于没有遥测服务时
+ * @param {Object[]} messages 遥测消息
+ * @param {Object} options
+ * @param {Function} options.onMessage 收到消息的回调 (message) => void
+ * @param {Number} [options.interval=1000] 消息间隔(毫秒)
+ * @returns {{connect: Function, close: Function}}
+ */
+export function createReplaySource(messages, options) {
+  const { onMessage, interval = 1000 } = options;
+  let timer = null;
+  let index = 0;
+
+  function close() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    connect() {
+      if (timer) return;
+      timer = setInterval(() => {
+        if (index >= messages.length) {
+          close();
+          return;
+        }
+        onMessage(messages[index++]);
+      }, interval);
+    },
+    close,
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * 遥测消息格式
+ * 不依赖 Cesium，浏览器端与 Node 模拟服务器共用。
+ *
+ * {
+ *   "type": "telemetry",
+ *   "id": "coneEntity",                              // 目标实体 ID
+ *   "time": "2023-12-12T12:00:00.000Z",              // ISO 8601 时间戳
+ *   "position": [116.4, 39.9, 4000],                 // 可选，[经度, 纬度, 高度] (度, 度, 米)
+ *   "attitude": { "heading": 0, "pitch": 0, "roll": 0 },  // 可选，姿态角(度)
+ *   "cone": { "angle": 22, "length": 20000 },       // 可选，圆锥角度(度) 与长度(米)
+ *   "mode": { "targetLock": true, "target": [116.4, 39.9, 0] }  // 可选，模式标志
+ * }
+ */
+
+export const TELEMETRY_MESSAGE_TYPE = "telemetry";
+
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+// 校验 [经度, 纬度, 高度]
+function validateLonLatHeight(value, path, errors) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(isFiniteNumber)) {
+    errors.push(`${path} must be [longitude, latitude, height]`);
+    return;
+  }
+  if (value[0] < -180 || value[0] > 180) errors.push(`${path}[0] longitude out of range`);
+  if (value[1] < -90 || value[1] > 90) errors.push(`${path}[1] latitude out of range`);
+}
+
+// 校验对象中的数值字段
+function validateNumbers(value, path, fields, errors, { required = false } = {}) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  fields.forEach((field) => {
+    if (value[field] === undefined) {
+      if (required) errors.push(`${path}.${field} is required`);
+    } else if (!isFiniteNumber(value[field])) {
+      errors.push(`${path}.${field} must be a finite number`);
+    }
+  });
+}
+
+/**
+ * 校验遥测消息
+ * @param {*} message 已解析的 JSON 消息
+ * @returns {{valid: Boolean, errors: String[]}}
+ */
+export function validateTelemetryMessage(message) {
+  const errors = [];
+
+  if (typeof message !== "object" || message === null || Array.isArray(message)) {
+    return { valid: false, errors: ["message must be an object"] };
+  }
+  if (message.type !== TELEMETRY_MESSAGE_TYPE) {
+    errors.push(`type must be "${TELEMETRY_MESSAGE_TYPE}"`);
+  }
+  if (typeof message.id !== "string" || message.id.length === 0) {
+    errors.push("id must be a non-empty string");
+  }
+  if (typeof message.time !== "string" || Number.isNaN(Date.parse(message.time))) {
+    errors.push("time must be an ISO 8601 timestamp");
+  }
+
+  if (message.position !== undefined) {
+    validateLonLatHeight(message.position, "position", errors);
+  }
+  if (message.attitude !== undefined) {
+    validateNumbers(message.attitude, "attitude", ["heading", "pitch", "roll"], errors, {
+      required: true,
+    });
+  }
+  if (message.cone !== undefined) {
+    validateNumbers(message.cone, "cone", ["angle", "length"], errors);
+    if (isFiniteNumber(message.cone.angle) && (message.cone.angle <= 0 || message.cone.angle >= 180)) {
+      errors.push("cone.angle must be between 0 and 180 degrees");
+    }
+    if (isFiniteNumber(message.cone.length) && message.cone.length <= 0) {
+      errors.push("cone.length must be positive");
+    }
+  }
+  if (message.mode !== undefined) {
+    if (typeof message.mode !== "object" || message.mode === null) {
+      errors.push("mode must be an object");
+    } else {
+      if (message.mode.targetLock !== undefined && typeof message.mode.targetLock !== "boolean") {
+        errors.push("mode.targetLock must be a boolean");
+      }
+      if (message.mode.target !== undefined) {
+        validateLonLatHeight(message.mode.target, "mode.target", errors);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 解析并校验原始消息文本
+ * @param {String} text
+ * @returns {{valid: Boolean, errors: String[], message?: Object}}
+ */
+export function parseTelemetryMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (e) {
+    return { valid: false, errors: [`invalid JSON: ${e.message}`] };
+  }
+  return { ...validateTelemetryMessage(message), message };
+}
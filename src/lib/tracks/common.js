@@ -0,0 +1,67 @@
+/**
+ * 轨迹导入的公共部分
+ * 不依赖 Cesium，浏览器端与 Node 脚本共用。
+ * 各导入器输出与 position.json 相同的轨迹样本 ({time, position:[lon,lat,h], attitude?}[])，
+ * 错误信息带源文件行号，格式为 "line 12: ..."。
+ */
+
+// 带日期与时刻、但没有时区标识的 ISO 8601 时间戳
+const ISO_WITHOUT_ZONE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+/**
+ * 解析 ISO 8601 时间戳，没有时区标识时按 UTC 处理（Date.parse 会按本地时间处理）
+ * @param {String} text
+ * @returns {Number} 毫秒时间戳，无效时为 NaN
+ */
+export function parseTimestamp(text) {
+  const value = text.trim();
+  if (ISO_WITHOUT_ZONE.test(value)) return Date.parse(`${value.replace(" ", "T")}Z`);
+  // 只接受以日期开头的时间戳，避免 "12/12/2023" 等按本地习惯解析
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return NaN;
+  return Date.parse(value);
+}
+
+/**
+ * 检查时间戳严格递增并输出轨迹样本
+ * @param {Array<{line: Number, time: Number, position: Number[], attitude?: Object}>} entries 已解析的样本，time 为毫秒
+ * @param {String[]} errors 解析阶段的错误，时间顺序错误追加在其后
+ * @returns {{valid: Boolean, errors: String[], samples: Object[]}}
+ */
+export function finishTrack(entries, errors) {
+  if (entries.length === 0 && errors.length === 0) errors.push("track contains no samples");
+
+  let previous = null;
+  entries.forEach((entry) => {
+    if (previous && entry.time <= previous.time) {
+      const relation = entry.time === previous.time ? "duplicates" : "is earlier than";
+      errors.push(
+        `line ${entry.line}: time ${new Date(entry.time).toISOString()} ${relation} ` +
+          `the previous sample at line ${previous.line} (${new Date(previous.time).toISOString()})`,
+      );
+    }
+    previous = entry;
+  });
+
+  // 按行号排序，时间顺序错误与同一行的解析错误排在一起
+  const lineOf = (error) => Number(/^line (\d+):/.exec(error)?.[1] ?? 0);
+  errors.sort((a, b) => lineOf(a) - lineOf(b));
+
+  const samples = entries.map(({ time, position, attitude }) => {
+    const sample = { time: new Date(time).toISOString(), position };
+    if (attitude) sample.attitude = attitude;
+    return sample;
+  });
+  return { valid: errors.length === 0, errors, samples };
+}
+
+/**
+ * 检查经纬度范围
+ * @param {Number} lon
+ * @param {Number} lat
+ * @returns {String|null} 错误信息
+ */
+export function checkLonLat(lon, lat) {
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) return `longitude out of range: ${lon}`;
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) return `latitude out of range: ${lat}`;
+  return null;
+}
@@ -0,0 +1,176 @@
+import { checkLonLat, finishTrack, parseTimestamp } from "./common.js";
+
+/**
+ * CSV 轨迹导入
+ * 每行一个样本，列通过 columns 映射到字段，值为表头中的列名或从 0 开始的列序号：
+ *   time       时间：ISO 8601 字符串（无时区时按 UTC），或按 timeUnit 计的数值（相对 epoch）
+ *   longitude / latitude / height   经度、纬度(度)，高度(米，椭球高，缺省为 0)
+ *   heading / pitch / roll          可选的姿态角(度)，与遥测消息的 attitude 相同；映射了任一列时输出 attitude，缺少的角为 0
+ * 未映射的字段按表头中的常见列名自动匹配（大小写不敏感），见 COLUMN_ALIASES。
+ */
+
+export const CSV_FIELDS = ["time", "longitude", "latitude", "height", "heading", "pitch", "roll"];
+
+// 自动匹配的列名
+export const COLUMN_ALIASES = {
+  time: ["time", "timestamp", "datetime", "utc", "date_time"],
+  longitude: ["longitude", "lon", "lng", "long", "x"],
+  latitude: ["latitude", "lat", "y"],
+  height: ["height", "altitude", "alt", "ele", "elevation", "h", "z"],
+  heading: ["heading", "yaw", "hdg"],
+  pitch: ["pitch"],
+  roll: ["roll", "bank"],
+};
+
+const ATTITUDE_FIELDS = ["heading", "pitch", "roll"];
+const TIME_UNITS = { s: 1000, ms: 1 };
+
+// 拆分一行，支持双引号包围的字段与 "" 转义
+function splitLine(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// 按首行中出现次数最多的分隔符推断
+function detectDelimiter(line) {
+  return [",", ";", "\t", "|"].reduce((best, candidate) =>
+    line.split(candidate).length > line.split(best).length ? candidate : best,
+  );
+}
+
+// 将列映射解析为列序号
+function resolveColumns(columns, header, errors) {
+  const names = header ? header.map((name) => name.toLowerCase()) : [];
+  const indices = {};
+  CSV_FIELDS.forEach((field) => {
+    const column = columns[field];
+    if (column === undefined) {
+      const index = names.findIndex((name) => COLUMN_ALIASES[field].includes(name));
+      if (index >= 0) indices[field] = index;
+    } else if (Number.isInteger(column) && column >= 0) {
+      indices[field] = column;
+    } else if (typeof column === "string" && header) {
+      const index = names.indexOf(column.toLowerCase());
+      if (index >= 0) indices[field] = index;
+      else errors.push(`columns.${field}: column "${column}" not found in header (${header.join(", ")})`);
+    } else {
+      errors.push(`columns.${field} must be a column ${header ? "name or " : ""}index`);
+    }
+  });
+  ["time", "longitude", "latitude"].forEach((field) => {
+    if (!(field in indices) && columns[field] === undefined) {
+      errors.push(`no column for ${field}; map it with columns.${field}`);
+    }
+  });
+  return indices;
+}
+
+/**
+ * 解析 CSV 轨迹
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {Object} [options.columns] 字段 -> 列名或列序号，见 CSV_FIELDS
+ * @param {String} [options.delimiter] 分隔符，默认按首行推断
+ * @param {Boolean} [options.header=true] 首行是否为表头；没有表头时 columns 只能使用列序号
+ * @param {String} [options.timeUnit] 数值时间的单位："s" | "ms"；未设置时时间列必须为 ISO 8601
+ * @param {String} [options.epoch="1970-01-01T00:00:00Z"] 数值时间的起点
+ * @returns {{valid: Boolean, errors: String[], samples: Object[]}}
+ */
+export function parseCSV(text, options = {}) {
+  const { columns = {}, header = true, timeUnit, epoch = "1970-01-01T00:00:00Z" } = options;
+  const errors = [];
+  const entries = [];
+
+  if (timeUnit !== undefined && !(timeUnit in TIME_UNITS)) {
+    errors.push(`timeUnit must be one of ${Object.keys(TIME_UNITS).join(", ")}`);
+  }
+  const epochTime = parseTimestamp(epoch);
+  if (Number.isNaN(epochTime)) errors.push(`epoch is not an ISO 8601 timestamp: ${epoch}`);
+
+  // 保留原始行号，跳过空行与 # 注释行
+  const lines = text
+    .split(/\r?\n/)
+    .map((content, i) => ({ content, line: i + 1 }))
+    .filter(({ content }) => content.trim() !== "" && !content.trimStart().startsWith("#"));
+  if (lines.length === 0) return finishTrack(entries, errors);
+
+  const delimiter = options.delimiter ?? detectDelimiter(lines[0].content);
+  const headerFields = header ? splitLine(lines.shift().content, delimiter) : null;
+  const indices = resolveColumns(columns, headerFields, errors);
+  if (errors.length > 0) return finishTrack(entries, errors);
+
+  const hasAttitude = ATTITUDE_FIELDS.some((field) => field in indices);
+
+  lines.forEach(({ content, line }) => {
+    const fields = splitLine(content, delimiter);
+    const lineErrors = [];
+
+    const number = (field, fallback) => {
+      if (!(field in indices)) return fallback;
+      const raw = fields[indices[field]];
+      if (raw === undefined || raw === "") {
+        if (fallback !== undefined) return fallback;
+        lineErrors.push(`missing ${field}`);
+        return NaN;
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value)) lineErrors.push(`${field} is not a number: "${raw}"`);
+      return value;
+    };
+
+    const rawTime = fields[indices.time] ?? "";
+    let time;
+    if (timeUnit) {
+      time = epochTime + Number(rawTime) * TIME_UNITS[timeUnit];
+      if (rawTime === "" || !Number.isFinite(time)) lineErrors.push(`time is not a number of ${timeUnit}: "${rawTime}"`);
+    } else {
+      time = parseTimestamp(rawTime);
+      if (Number.isNaN(time)) lineErrors.push(`time is not an ISO 8601 timestamp: "${rawTime}"`);
+    }
+
+    const lon = number("longitude");
+    const lat = number("latitude");
+    const height = number("height", 0);
+    const rangeError = lineErrors.length === 0 ? checkLonLat(lon, lat) : null;
+    if (rangeError) lineErrors.push(rangeError);
+
+    const entry = { line, time, position: [lon, lat, height] };
+    if (hasAttitude) {
+      entry.attitude = {};
+      ATTITUDE_FIELDS.forEach((field) => {
+        entry.attitude[field] = number(field, 0);
+      });
+    }
+
+    if (lineErrors.length > 0) {
+      lineErrors.forEach((error) => errors.push(`line ${line}: ${error}`));
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  return finishTrack(entries, errors);
+}
@@ -0,0 +1,67 @@
+import { checkLonLat, finishTrack, parseTimestamp } from "./common.js";
+
+/**
+ * GPX 轨迹导入
+ * 读取全部 <trk> 中各 <trkseg> 的 <trkpt lat lon>，高度取 <ele>（缺省为 0），时间取 <time>。
+ * 多个轨迹段按文件中的顺序首尾相接，合并后的时间仍须严格递增。
+ * 只做 GPX 所需的最小 XML 解析，不依赖 DOMParser，可在 Node 中运行。
+ */
+
+const TRKPT = /<trkpt\b([^>]*?)(\/>|>([\s\S]*?)<\/trkpt>)/g;
+
+function attribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(attributes);
+  return match ? match[2] ?? match[3] : undefined;
+}
+
+function element(body, name) {
+  const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`).exec(body);
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * 解析 GPX 轨迹
+ * @param {String} text
+ * @returns {{valid: Boolean, errors: String[], samples: Object[]}}
+ */
+export function parseGPX(text) {
+  const errors = [];
+  const entries = [];
+
+  if (!/<gpx\b/.test(text)) {
+    return finishTrack(entries, ["not a GPX document: missing <gpx> element"]);
+  }
+
+  // 行号按匹配位置之前的换行数计算
+  let offset = 0;
+  let line = 1;
+  for (const match of text.matchAll(TRKPT)) {
+    for (; offset < match.index; offset++) {
+      if (text.charCodeAt(offset) === 10) line++;
+    }
+    const [, attributes, , body = ""] = match;
+    const lineErrors = [];
+
+    const lat = Number(attribute(attributes, "lat"));
+    const lon = Number(attribute(attributes, "lon"));
+    const rangeError = checkLonLat(lon, lat);
+    if (rangeError) lineErrors.push(rangeError);
+
+    const ele = element(body, "ele");
+    const height = ele === undefined ? 0 : Number(ele);
+    if (!Number.isFinite(height)) lineErrors.push(`<ele> is not a number: "${ele}"`);
+
+    const rawTime = element(body, "time");
+    const time = rawTime === undefined ? NaN : parseTimestamp(rawTime);
+    if (rawTime === undefined) lineErrors.push("<trkpt> has no <time>");
+    else if (Number.isNaN(time)) lineErrors.push(`<time> is not an ISO 8601 timestamp: "${rawTime}"`);
+
+    if (lineErrors.length > 0) {
+      lineErrors.forEach((error) => errors.push(`line ${line}: ${error}`));
+    } else {
+      entries.push({ line, time, position: [lon, lat, height] });
+    }
+  }
+
+  return finishTrack(entries, errors);
+}
@@ -0,0 +1,65 @@
+import { parseCSV } from "./csv.js";
+import { parseGPX } from "./gpx.js";
+import { parseNMEA } from "./nmea.js";
+
+/**
+ * 轨迹文件导入入口
+ * 按格式选择导入器，输出 position.json 格式的轨迹样本，可直接交给 trackToMessages。
+ */
+
+// 格式 -> 导入器 (text, options) => {valid, errors, samples}
+export const TRACK_IMPORTERS = {
+  csv: parseCSV,
+  gpx: parseGPX,
+  nmea: parseNMEA,
+};
+
+// 文件扩展名 -> 格式
+const EXTENSIONS = {
+  json: "json",
+  csv: "csv",
+  tsv: "csv",
+  txt: "csv",
+  gpx: "gpx",
+  nmea: "nmea",
+  nme: "nmea",
+};
+
+/**
+ * 按文件扩展名推断轨迹格式
+ * @param {String} url
+ * @returns {String} "json" | "csv" | "gpx" | "nmea"，无法识别时为 "json"
+ */
+export function detectTrackFormat(url) {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+  return (match && EXTENSIONS[match[1].toLowerCase()]) || "json";
+}
+
+/**
+ * 解析轨迹文件文本
+ * @param {String} text
+ * @param {String} format 见 TRACK_IMPORTERS
+ * @param {Object} [options] 导入器选项，见各导入器
+ * @returns {{valid: Boolean, errors: String[], samples: Object[]}}
+ */
+export function parseTrack(text, format, options = {}) {
+  const importer = TRACK_IMPORTERS[format];
+  if (!importer) {
+    return { valid: false, errors: [`unsupported track format: ${format}`], samples: [] };
+  }
+  return importer(text, options);
+}
+
+/**
+ * 解析轨迹文件文本，有错误时抛出
+ * @param {String} text
+ * @param {String} format 见 TRACK_IMPORTERS
+ * @param {Object} [options] 导入器选项
+ * @param {String} [name=format] 错误信息中的文件名
+ * @returns {Object[]} 轨迹样本
+ */
+export function importTrack(text, format, options = {}, name = format) {
+  const { valid, errors, samples } = parseTrack(text, format, options);
+  if (!valid) throw new Error(`Invalid track ${name}:\n${errors.join("\n")}`);
+  return samples;
+}
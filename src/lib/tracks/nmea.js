@@ -0,0 +1,167 @@
+import { checkLonLat, finishTrack, parseTimestamp } from "./common.js";
+
+/**
+ * NMEA 0183 日志导入
+ * 读取 GGA（位置、海拔）与 RMC（位置、日期）语句，其他语句忽略：
+ * 1. 带校验和 (*hh) 的语句先校验，不匹配时报错
+ * 2. 同一时刻的 GGA 与 RMC 合并为一个样本；高度取 GGA 的海拔 + 大地水准面差距（椭球高），只有 RMC 时为 0
+ * 3. GGA 只有时刻，日期取最近的 RMC；日志中没有 RMC 时需要通过 options.date 指定起始日期，时刻回绕时日期加一天
+ * 4. 定位无效（GGA 质量为 0、RMC 状态为 V）的语句跳过
+ */
+
+const DAY = 86400000;
+
+// 校验 $...*hh 的异或校验和，没有校验和的语句直接通过
+function checksumError(sentence) {
+  const star = sentence.lastIndexOf("*");
+  if (star < 0) return null;
+  let sum = 0;
+  for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+  const expected = sentence.slice(star + 1, star + 3).toUpperCase();
+  const actual = sum.toString(16).toUpperCase().padStart(2, "0");
+  return expected === actual ? null : `checksum mismatch: expected ${actual}, found ${expected}`;
+}
+
+// ddmm.mmmm / dddmm.mmmm 加半球标识转为度
+function parseCoordinate(value, hemisphere, degreeDigits) {
+  if (!/^\d+(\.\d+)?$/.test(value)) return NaN;
+  const degrees = Number(value.slice(0, degreeDigits));
+  const minutes = Number(value.slice(degreeDigits));
+  const result = degrees + minutes / 60;
+  if (hemisphere === "S" || hemisphere === "W") return -result;
+  return hemisphere === "N" || hemisphere === "E" ? result : NaN;
+}
+
+// hhmmss(.ss) 转为当天的毫秒数
+function parseTimeOfDay(value) {
+  const match = /^(\d{2})(\d{2})(\d{2}(\.\d+)?)$/.exec(value);
+  if (!match) return NaN;
+  const [, h, m, s] = match;
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+}
+
+// ddmmyy 转为当天 0 时的毫秒时间戳
+function parseDate(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (!match) return NaN;
+  const [, d, m, y] = match.map(Number);
+  // NMEA 只有两位年份，80 以后按 19xx 处理
+  return Date.UTC(y < 80 ? 2000 + y : 1900 + y, m - 1, d);
+}
+
+/**
+ * 解析 NMEA 0183 日志
+ * @param {String} text
+ * @param {Object} [options]
+ * @param {String} [options.date] 起始日期 (YYYY-MM-DD)，日志中没有 RMC 语句时必填
+ * @returns {{valid: Boolean, errors: String[], samples: Object[]}}
+ */
+export function parseNMEA(text, options = {}) {
+  const errors = [];
+  // 每个定位时刻一条记录：{ line, types, timeOfDay, lon, lat, height, date }
+  const fixes = [];
+
+  let defaultDate = NaN;
+  if (options.date !== undefined) {
+    defaultDate = parseTimestamp(`${options.date}T00:00:00Z`);
+    if (Number.isNaN(defaultDate)) errors.push(`date must be YYYY-MM-DD: ${options.date}`);
+  }
+
+  text.split(/\r?\n/).forEach((content, i) => {
+    const line = i + 1;
+    const sentence = content.trim();
+    // 日志前可能带有记录器添加的时间戳等前缀
+    const start = sentence.indexOf("$");
+    if (start < 0) return;
+    const body = sentence.slice(start);
+
+    const checksum = checksumError(body);
+    if (checksum) {
+      errors.push(`line ${line}: ${checksum}`);
+      return;
+    }
+    const fields = body.replace(/\*[0-9A-Fa-f]{2}$/, "").split(",");
+    const type = fields[0].slice(3);
+    if (type !== "GGA" && type !== "RMC") return;
+
+    let fix;
+    if (type === "GGA") {
+      // $xxGGA,时刻,纬度,N/S,经度,E/W,质量,卫星数,HDOP,海拔,M,水准面差距,M,...
+      if (fields[6] === "0" || fields[6] === "") return;
+      const altitude = Number(fields[9] || 0);
+      const separation = Number(fields[11] || 0);
+      fix = {
+        timeOfDay: parseTimeOfDay(fields[1]),
+        lat: parseCoordinate(fields[2], fields[3], 2),
+        lon: parseCoordinate(fields[4], fields[5], 3),
+        height: altitude + separation,
+      };
+      if (!Number.isFinite(fix.height)) {
+        errors.push(`line ${line}: altitude is not a number: "${fields[9]}"`);
+        return;
+      }
+    } else {
+      // $xxRMC,时刻,状态,纬度,N/S,经度,E/W,航速,航向,日期,...
+      if (fields[2] !== "A") return;
+      fix = {
+        timeOfDay: parseTimeOfDay(fields[1]),
+        lat: parseCoordinate(fields[3], fields[4], 2),
+        lon: parseCoordinate(fields[5], fields[6], 3),
+        date: parseDate(fields[9]),
+      };
+      if (Number.isNaN(fix.date)) {
+        errors.push(`line ${line}: date is not ddmmyy: "${fields[9]}"`);
+        return;
+      }
+    }
+
+    if (Number.isNaN(fix.timeOfDay)) {
+      errors.push(`line ${line}: time is not hhmmss: "${fields[1]}"`);
+      return;
+    }
+    const rangeError = checkLonLat(fix.lon, fix.lat);
+    if (rangeError) {
+      errors.push(`line ${line}: ${rangeError}`);
+      return;
+    }
+
+    // 与上一条同一时刻的 GGA / RMC 合并，同类语句重复的时刻保留为单独的样本，由时间检查报告
+    const previous = fixes[fixes.length - 1];
+    if (previous && previous.timeOfDay === fix.timeOfDay && !previous.types.includes(type)) {
+      previous.types.push(type);
+      if (fix.height !== undefined) previous.height = fix.height;
+      if (fix.date !== undefined) previous.date = fix.date;
+      return;
+    }
+    fixes.push({ line, types: [type], ...fix });
+  });
+
+  // 补全日期：向后沿用最近的 RMC 日期，第一条 RMC 之前的定位向前借用（跨午夜时减一天）
+  let date = defaultDate;
+  let previousTimeOfDay = null;
+  const firstDated = fixes.find((fix) => fix.date !== undefined);
+  if (Number.isNaN(date) && firstDated) {
+    date = firstDated.date - (fixes.indexOf(firstDated) > 0 && fixes[0].timeOfDay > firstDated.timeOfDay ? DAY : 0);
+  }
+  if (Number.isNaN(date) && fixes.length > 0) {
+    errors.push("log has no RMC sentence with a date; pass options.date");
+    return finishTrack([], errors);
+  }
+
+  const entries = fixes.map((fix) => {
+    if (fix.date !== undefined) {
+      date = fix.date;
+    } else if (previousTimeOfDay !== null && fix.timeOfDay < previousTimeOfDay - DAY / 2) {
+      // 时刻大幅回退视为跨过午夜
+      date += DAY;
+    }
+    previousTimeOfDay = fix.timeOfDay;
+    return {
+      line: fix.line,
+      time: date + fix.timeOfDay,
+      position: [fix.lon, fix.lat, fix.height ?? 0],
+    };
+  });
+
+  return finishTrack(entries, errors);
+}
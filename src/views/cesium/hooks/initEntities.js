@@ -1,150 +1,65 @@
-import * as Cesium from "cesium";
-import { createCone, createGroundCircle } from "@/lib/cesium/cesiumDraw.js";
-import { createIntersectionPolygon } from "@/lib/cesium/utils.js";
-import positionData from "@/positions/position.json";
+import { fetchScenario, loadScenario } from "@/lib/scenario/loader.js";
+import defaultScenario from "@/scenarios/default.json";
 
-// 1. 定义核心参数
-const centerLon = 116.4; // 地面圆形区域中心经度
-const centerLat = 39.9; // 地面圆形区域中心纬度
-const circleRadius = 30000; // 地面圆形区域半径(米)
-const coneHeight = 20000; // 圆锥高度(米)
-const coneAngle = 22; // 圆锥角度(度)
-let scanPositions = []; // 存储轨迹边界点
+// 随应用打包的轨迹文件，场景中以相对 src 的路径引用，如 "positions/position.json"
+const bundledTracks = import.meta.glob("/src/positions/*.json", { eager: true, import: "default" });
 
-let targetPosition = Cesium.Cartesian3.fromDegrees(centerLon, centerLat, 0);
+function loadBundledTrack(url) {
+  const samples = bundledTracks[`/src/${url}`];
+  if (!samples) throw new Error(`Track not bundled with the app: ${url}`);
+  return samples;
+}
+
+// 读取场景：地址栏 ?scenario=<url> 指定的场景文件，未指定时使用打包的默认场景
+async function resolveScenario() {
+  const url = new URLSearchParams(window.location.search).get("scenario");
+  if (!url) return { scenario: defaultScenario, loadTrack: loadBundledTrack };
+  const baseUrl = new URL(url, window.location.href).href;
+  return { scenario: await fetchScenario(baseUrl), baseUrl };
+}
 
 /**
  * 初始化场景实体
- * 场景要求如下：
- * 1. 初始化一个地面圆形区域和一个圆锥实体，圆锥实体的pitch角度为45度
- * 2. 读取positionData中的实时位置数据,模拟使用websocket实时接收位置数据
- * 3. 使用viewer.entities.getById('coneEntity')获取圆锥实体的方式更新实体的位置
- * 4. 为保证更新的平滑,使用Cesium.SampledPositionProperty和Cesium.SampledProperty来更新位置和朝向
- * 5. 前25个点,isTargetOrientation为false，圆锥实体在地面圆形区域上方平移,使用VelocityOrientationProperty来更新朝向
- * 6. 后25个点，isTargetOrientation为true，orientation指向targetPosition,开始传入targetPosition值
- * 7. 全过程中，使用createIntersectionPolygon函数记录圆锥实体与地面圆形区域的交点，作为轨迹边界点
+ * 场景由场景文件描述（格式见 lib/scenario/schema.js），默认场景 scenarios/default.json 如下：
+ * 1. 初始化一个地面圆形区域和一个沿 positions/position.json 轨迹运动的圆锥实体
+ * 2. 通过遥测 WebSocket 实时接收位置数据；未配置 VITE_TELEMETRY_URL 时在浏览器内回放轨迹
+ * 3. 前25个点的时段，指向计划为 velocity 模式，圆锥实体朝向沿速度方向
+ * 4. 后25个点的时段，指向计划为 target 模式，指向地面圆形区域中心，切换时平滑过渡
+ * 5. 全过程中，使用createIntersectionPolygon函数记录圆锥实体与地面圆形区域的交点，足迹射线与地形求交
  * @param {Cesium.Viewer} viewer
+ * @param {Object} [options]
+ * @param {Function} [options.onLoad] 加载完成回调，参数为 loadScenario 返回的场景句柄（传感器、覆盖句柄等）
+ * @returns {{destroy: Function}} 场景句柄，destroy() 关闭遥测连接并移除场景创建的全部实体
  */
-export function scene(viewer) {
-  // 设置时间系统
-  const startData = positionData[0];
-  const startTime = Cesium.JulianDate.fromIso8601(startData.time);
-  const stopTime = Cesium.JulianDate.fromIso8601(
-    positionData[positionData.length - 1].time,
-  );
-
-  viewer.clock.startTime = startTime.clone();
-  viewer.clock.stopTime = stopTime.clone();
-  viewer.clock.currentTime = startTime.clone();
-  viewer.clock.clockRange = Cesium.ClockRange.LOOP_STOP;
-  viewer.clock.multiplier = 1;
-  viewer.clock.shouldAnimate = true;
-
-  // 1. 初始化地面圆形区域
-  const groundEntity = createGroundCircle(viewer, {
-    id: "groundCircle",
-    longitude: centerLon,
-    latitude: centerLat,
-    radius: circleRadius,
-  });
-
-  // 4. 创建SampledProperty用于平滑更新
-  const positionProperty = new Cesium.SampledPositionProperty();
-  positionProperty.forwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
-
-  // 补充：初始化前两个点的数据，确保VelocityOrientationProperty有足够的数据计算初始朝向
-  for (let i = 0; i < 2; i++) {
-    const data = positionData[i];
-    const time = Cesium.JulianDate.fromIso8601(data.time);
-    const position = Cesium.Cartesian3.fromDegrees(
-      data.position[0],
-      data.position[1],
-      data.position[2],
-    );
-    positionProperty.addSample(time, position);
-  }
-
-  // 使用VelocityOrientationProperty根据位置变化自动计算朝向
-  const orientationProperty = new Cesium.VelocityOrientationProperty(
-    positionProperty,
-  );
-
-  // const orientation = Cesium.Transforms.headingPitchRollQuaternion(
-  //   new Cesium.Cartesian3(centerLon, centerLat, coneHeight),
-  //   new Cesium.HeadingPitchRoll(
-  //     Cesium.Math.toRadians(0),
-  //     Cesium.Math.toRadians(0),
-  //     Cesium.Math.toRadians(0),
-  //   ),
-  // );
-
-  // 初始化圆锥实体
-  // 1. 初始化一个地面圆形区域和一个圆锥实体，圆锥实体的pitch角度为45度
-  const coneEntity = createCone(viewer, {
-    id: "coneEntity",
-    position: positionProperty,
-    orientation: orientationProperty,
-    length: coneHeight,
-    coneAngle: Cesium.Math.toRadians(coneAngle),
-    targetPosition: targetPosition,
-    isTargetOrientation: false,
-  });
-
-  // 7. 使用createIntersectionPolygon函数记录交点
-  createIntersectionPolygon(viewer, groundEntity, coneEntity, {
-    scanPositions: scanPositions,
-    coneAngle: coneAngle,
-    groundCircleRadius: circleRadius,
-  });
-
-  // 2. 模拟使用websocket实时接收位置数据
-  let index = 2; // 从第3个点开始，因为前两个已经添加
-  const interval = setInterval(() => {
-    if (index >= positionData.length) {
-      clearInterval(interval);
-      return;
-    }
-
-    const data = positionData[index];
-    const time = Cesium.JulianDate.fromIso8601(data.time);
-    const position = Cesium.Cartesian3.fromDegrees(
-      data.position[0],
-      data.position[1],
-      data.position[2],
-    );
-
-    // 3. 使用viewer.entities.getById('coneEntity')获取圆锥实体
-    const entity = viewer.entities.getById("coneEntity");
-    if (entity) {
-      // 4. 更新位置 (SampledPositionProperty)
-      // 注意：entity.position 就是我们传入的 positionProperty
-      entity.position.addSample(time, position);
-
-      // 5. 前25个点
-      if (index < 25) {
-        entity.isTargetOrientation = false;
-        // 使用VelocityOrientationProperty自动更新，无需手动设置
-      }
-      // 6. 后25个点
-      else {
-        entity.isTargetOrientation = true;
-        // 此时不需要手动更新 orientationProperty，createCone 内部会自动计算
+export function scene(viewer, options = {}) {
+  const { onLoad } = options;
+  let handle = null;
+  let destroyed = false;
+
+  resolveScenario()
+    .then(({ scenario, baseUrl, loadTrack }) =>
+      loadScenario(viewer, scenario, {
+        baseUrl,
+        loadTrack,
+        telemetryUrl: import.meta.env.VITE_TELEMETRY_URL,
+      }),
+    )
+    .then((loaded) => {
+      // 加载完成前场景已销毁
+      if (destroyed) {
+        loaded.destroy();
+        return;
       }
-    }
-
-    index++;
-  }, 1000); // 假设每秒接收一次数据
-
-  viewer.camera.setView({
-    destination: Cesium.Cartesian3.fromDegrees(
-      centerLon,
-      centerLat,
-      circleRadius + coneHeight,
-    ),
-    orientation: {
-      heading: Cesium.Math.toRadians(0),
-      pitch: Cesium.Math.toRadians(-45),
-      roll: Cesium.Math.toRadians(0),
+      handle = loaded;
+      if (onLoad) onLoad(loaded);
+    })
+    .catch((e) => console.error("Failed to load scenario:", e));
+
+  return {
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      if (handle) handle.destroy();
     },
-  });
+  };
 }
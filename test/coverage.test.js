@@ -0,0 +1,245 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import {
+  clipFootprint,
+  computeConeFootprint,
+  computeFrustumFootprint,
+  createFootprintAccumulator,
+  projectRays,
+} from "../src/lib/cesium/coverage.js";
+
+const HEIGHT = 10000;
+const apex = Cesium.Cartesian3.fromDegrees(116, 40, HEIGHT);
+// 顶点正下方
+const nadir = Cesium.Cartesian3.negate(
+  Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(apex, new Cesium.Cartesian3()),
+  new Cesium.Cartesian3(),
+);
+
+const areaKm2 = (feature) => turf.area(feature) / 1e6;
+
+// 与 expected 的相对误差不超过 tolerance
+function assertClose(actual, expected, tolerance) {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * tolerance,
+    `expected ${actual} to be within ${tolerance * 100}% of ${expected}`,
+  );
+}
+
+// 足迹边界点到顶点正下方的最大地面距离(米)
+function maxDistanceFromNadir(geojson) {
+  const center = [116, 40];
+  return Math.max(...turf.coordAll(geojson).map((c) => turf.distance(center, c, { units: "meters" })));
+}
+
+// 以 [经度, 纬度] 为中心、边长 size 度的正方形
+function square(lon, lat, size) {
+  return turf.polygon([[
+    [lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat],
+  ]]);
+}
+
+describe("computeConeFootprint", () => {
+  test("垂直向下的圆锥足迹为半径 h·tan(θ/2) 的圆", () => {
+    const coneAngle = 2 * Math.atan(0.5);
+    const { geojson, centroid } = computeConeFootprint({ apex, direction: nadir, coneAngle });
+    const radius = HEIGHT * 0.5;
+
+    assertClose(areaKm2(geojson), (Math.PI * radius * radius) / 1e6, 0.01);
+    assertClose(maxDistanceFromNadir(geojson), radius, 0.01);
+    const c = Cesium.Cartographic.fromCartesian(centroid);
+    assert.ok(Math.abs(Cesium.Math.toDegrees(c.longitude) - 116) < 1e-4);
+    assert.ok(Math.abs(Cesium.Math.toDegrees(c.latitude) - 40) < 1e-4);
+  });
+
+  test("足迹与质心位于指定的椭球面上", () => {
+    const sphere = new Cesium.Ellipsoid(6371000, 6371000, 6371000);
+    const top = Cesium.Cartesian3.fromDegrees(116, 40, HEIGHT, sphere);
+    const down = Cesium.Cartesian3.normalize(Cesium.Cartesian3.negate(top, new Cesium.Cartesian3()), new Cesium.Cartesian3());
+
+    const { centroid, positions } = computeConeFootprint({ apex: top, direction: down, coneAngle: 0.5, ellipsoid: sphere });
+    assertClose(Cesium.Cartesian3.magnitude(centroid), 6371000, 1e-9);
+    assertClose(Cesium.Cartesian3.magnitude(positions[0]), 6371000, 1e-9);
+  });
+
+  test("缺少方向时返回空足迹", () => {
+    const { geojson, positions } = computeConeFootprint({ apex, coneAngle: 0.5 });
+    assert.equal(geojson, null);
+    assert.deepEqual(positions, []);
+  });
+
+  test("length 作为最大作用距离，够不到地面时返回空足迹", () => {
+    const { geojson } = computeConeFootprint({ apex, direction: nadir, coneAngle: 0.5, length: HEIGHT / 2 });
+    assert.equal(geojson, null);
+  });
+});
+
+describe("computeFrustumFootprint", () => {
+  test("垂直向下的视锥足迹为 2h·tan(H/2) × 2h·tan(V/2) 的矩形", () => {
+    const horizontalAngle = 2 * Math.atan(0.4);
+    const verticalAngle = 2 * Math.atan(0.2);
+    const { geojson } = computeFrustumFootprint({ apex, direction: nadir, horizontalAngle, verticalAngle });
+
+    const width = 2 * HEIGHT * 0.4;
+    const height = 2 * HEIGHT * 0.2;
+    assertClose(areaKm2(geojson), (width * height) / 1e6, 0.01);
+    assertClose(maxDistanceFromNadir(geojson), Math.hypot(width, height) / 2, 0.01);
+  });
+
+  test("roll 旋转足迹但不改变面积", () => {
+    const options = { apex, direction: nadir, horizontalAngle: 0.8, verticalAngle: 0.4 };
+    const level = computeFrustumFootprint(options).geojson;
+    const rolled = computeFrustumFootprint({ ...options, roll: Math.PI / 4 }).geojson;
+
+    assertClose(areaKm2(rolled), areaKm2(level), 0.01);
+    assert.notDeepEqual(turf.bbox(rolled), turf.bbox(level));
+  });
+});
+
+describe("clipFootprint", () => {
+  const footprint = square(116, 40, 1);
+
+  test("没有区域时原样返回", () => {
+    assert.equal(clipFootprint(footprint), footprint);
+    assert.equal(clipFootprint(null, footprint), null);
+  });
+
+  test("返回与区域的交集", () => {
+    const clipped = clipFootprint(footprint, square(116.5, 40, 1));
+    assertClose(areaKm2(clipped), areaKm2(footprint) / 2, 0.01);
+  });
+
+  test("没有交集时返回 null", () => {
+    assert.equal(clipFootprint(footprint, square(120, 40, 1)), null);
+  });
+});
+
+describe("projectRays", () => {
+  const up = Cesium.Cartesian3.negate(nadir, new Cesium.Cartesian3());
+  // 略低于水平方向，周围一圈射线中约一半高于地平线
+  const nearHorizon = Cesium.Cartesian3.normalize(
+    Cesium.Cartesian3.add(
+      Cesium.Cartesian3.cross(Cesium.Cartesian3.UNIT_Z, up, new Cesium.Cartesian3()),
+      Cesium.Cartesian3.multiplyByScalar(nadir, 0.1, new Cesium.Cartesian3()),
+      new Cesium.Cartesian3(),
+    ),
+    new Cesium.Cartesian3(),
+  );
+
+  // 以 axis 为中心、半角为 halfAngle 的一圈射线
+  function ring(axis, halfAngle, count = 36) {
+    const east = Cesium.Cartesian3.normalize(
+      Cesium.Cartesian3.cross(Cesium.Cartesian3.UNIT_Z, axis, new Cesium.Cartesian3()),
+      new Cesium.Cartesian3(),
+    );
+    const north = Cesium.Cartesian3.cross(axis, east, new Cesium.Cartesian3());
+    return Array.from({ length: count }, (_, i) => {
+      const theta = (Cesium.Math.TWO_PI * i) / count;
+      const offset = Cesium.Cartesian3.add(
+        Cesium.Cartesian3.multiplyByScalar(east, Math.cos(theta) * Math.tan(halfAngle), new Cesium.Cartesian3()),
+        Cesium.Cartesian3.multiplyByScalar(north, Math.sin(theta) * Math.tan(halfAngle), new Cesium.Cartesian3()),
+        new Cesium.Cartesian3(),
+      );
+      const dir = Cesium.Cartesian3.add(axis, offset, new Cesium.Cartesian3());
+      return Cesium.Cartesian3.normalize(dir, dir);
+    });
+  }
+
+  test("全部射线未命中地面时返回空足迹", () => {
+    const result = projectRays(apex, ring(up, 0.3), { axis: up });
+    assert.equal(result.geojson, null);
+    assert.equal(result.centroid, undefined);
+  });
+
+  test("不限距离时丢弃未命中的射线", () => {
+    const directions = ring(nearHorizon, 0.3);
+    const { positions } = projectRays(apex, directions);
+    assert.ok(positions.length > 0 && positions.length < directions.length);
+  });
+
+  test("未命中的射线沿最大作用距离截断", () => {
+    const maxRange = 50000;
+    const { geojson } = projectRays(apex, ring(nearHorizon, 0.3), { maxRange, axis: nearHorizon });
+    const radius = Math.sqrt(maxRange ** 2 - HEIGHT ** 2);
+
+    assert.ok(geojson);
+    assert.ok(maxDistanceFromNadir(geojson) <= radius * 1.01);
+  });
+
+  test("命中点超出最大作用距离时足迹截断为距离圆", () => {
+    const maxRange = 10500;
+    const { geojson } = projectRays(apex, ring(nadir, Math.atan(0.5), 72), { maxRange, axis: nadir });
+    const radius = Math.sqrt(maxRange ** 2 - HEIGHT ** 2);
+
+    assertClose(areaKm2(geojson), (Math.PI * radius * radius) / 1e6, 0.03);
+  });
+
+  test("minRange 在足迹中心挖出圆洞", () => {
+    const minRange = 10500;
+    const { geojson } = projectRays(apex, ring(nadir, Math.atan(0.5), 72), { minRange, axis: nadir });
+    const hole = Math.sqrt(minRange ** 2 - HEIGHT ** 2);
+    const outer = HEIGHT * 0.5;
+
+    assertClose(areaKm2(geojson), (Math.PI * (outer ** 2 - hole ** 2)) / 1e6, 0.03);
+  });
+});
+
+describe("createFootprintAccumulator", () => {
+  const footprint = (lon) => ({
+    geojson: square(lon, 40, 0.01),
+    centroid: Cesium.Cartesian3.fromDegrees(lon + 0.005, 40.005),
+  });
+  const time = Cesium.JulianDate.fromIso8601("2024-01-01T00:00:00Z");
+
+  test("质心移动不超过 minDistance 时不合并，但仍记录轨迹", () => {
+    const accumulator = createFootprintAccumulator({ minDistance: 100 });
+    assert.equal(accumulator.add("a", footprint(116), time), true);
+    // 约 0.0005° ≈ 43 m
+    assert.equal(accumulator.add("a", footprint(116.0005), time), false);
+    assert.equal(accumulator.track.length, 2);
+    assert.equal(accumulator.scanPositions.length, 2);
+
+    // 不同圆锥各自判断距离
+    assert.equal(accumulator.add("b", footprint(116.0005), time), true);
+    assert.equal(accumulator.add("a", footprint(116.01), time), true);
+    assert.deepEqual([...accumulator.sensorUnions.keys()], ["a", "b"]);
+  });
+
+  test("没有足迹时不记录", () => {
+    const accumulator = createFootprintAccumulator();
+    assert.equal(accumulator.add("a", { geojson: null, centroid: undefined }, time), false);
+    assert.equal(accumulator.track.length, 0);
+    assert.equal(accumulator.union, null);
+  });
+
+  test("restore 恢复 snapshot 时的并集、轨迹与上次记录位置", () => {
+    const accumulator = createFootprintAccumulator({ minDistance: 100 });
+    accumulator.add("a", footprint(116), time);
+    const state = accumulator.snapshot();
+    const area = areaKm2(accumulator.union);
+
+    accumulator.add("a", footprint(116.02), time);
+    accumulator.add("b", footprint(116.04), time);
+    assert.ok(areaKm2(accumulator.union) > area * 2);
+
+    accumulator.restore(state);
+    assertClose(areaKm2(accumulator.union), area, 1e-9);
+    assert.deepEqual([...accumulator.sensorUnions.keys()], ["a"]);
+    assert.equal(accumulator.track.length, 1);
+    assert.equal(accumulator.scanPositions.length, 1);
+    // 上次记录位置也已恢复：靠近第一次足迹的移动仍被忽略，之后的足迹重新合并
+    assert.equal(accumulator.add("a", footprint(116.0005), time), false);
+    assert.equal(accumulator.add("a", footprint(116.02), time), true);
+  });
+
+  test("reset 清空累积结果", () => {
+    const accumulator = createFootprintAccumulator();
+    accumulator.add("a", footprint(116), time);
+    accumulator.reset();
+    assert.equal(accumulator.union, null);
+    assert.equal(accumulator.sensorUnions.size, 0);
+    assert.equal(accumulator.track.length, 0);
+  });
+});
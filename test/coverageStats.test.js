@@ -0,0 +1,96 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import { computeCoverage, createFootprintAccumulator } from "../src/lib/cesium/coverage.js";
+import { computeCoverageStats, createCoverageRecorder } from "../src/lib/cesium/coverageStats.js";
+
+const HEIGHT = 10000;
+const RADIUS = 5000; // 地面足迹半径：HEIGHT * tan(coneAngle / 2)
+const OFFSET = 6000; // 两个圆锥顶点之间的地面距离
+
+// 在 [经度, 纬度] 正上方垂直向下的圆锥
+function nadirCone(center) {
+  const apex = Cesium.Cartesian3.fromDegrees(center[0], center[1], HEIGHT);
+  const direction = Cesium.Cartesian3.negate(
+    Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(apex, new Cesium.Cartesian3()),
+    new Cesium.Cartesian3(),
+  );
+  return { apex, direction, coneAngle: 2 * Math.atan(RADIUS / HEIGHT), samples: 180 };
+}
+
+function assertClose(actual, expected, tolerance) {
+  assert.ok(
+    Math.abs(actual - expected) <= Math.abs(expected) * tolerance,
+    `expected ${actual} to be within ${tolerance * 100}% of ${expected}`,
+  );
+}
+
+const west = [116, 40];
+const east = turf.destination(west, OFFSET, 90, { units: "meters" }).geometry.coordinates;
+const time = Cesium.JulianDate.fromIso8601("2024-01-01T00:00:00Z");
+const later = Cesium.JulianDate.addSeconds(time, 10, new Cesium.JulianDate());
+
+describe("computeCoverageStats", () => {
+  const accumulator = createFootprintAccumulator({ minDistance: 0 });
+  computeCoverage({ sensor: nadirCone(west), accumulator, key: "west", time });
+  computeCoverage({ sensor: nadirCone(east), accumulator, key: "east", time });
+  const stats = computeCoverageStats(accumulator);
+
+  test("各圆锥面积为足迹圆面积", () => {
+    const circle = (Math.PI * RADIUS * RADIUS) / 1e6;
+    assert.deepEqual(stats.sensors.map((s) => s.key), ["west", "east"]);
+    stats.sensors.forEach((s) => assertClose(s.area, circle, 0.01));
+  });
+
+  test("重叠面积与两圆相交的透镜面积一致", () => {
+    const r = RADIUS, d = OFFSET;
+    const lens = (2 * r * r * Math.acos(d / (2 * r)) - (d / 2) * Math.sqrt(4 * r * r - d * d)) / 1e6;
+
+    assert.equal(stats.overlaps.length, 1);
+    assert.deepEqual(stats.overlaps[0].keys, ["west", "east"]);
+    assertClose(stats.overlaps[0].area, lens, 0.02);
+    assertClose(stats.overlapArea, lens, 0.02);
+  });
+
+  test("覆盖面积 = a + b - 重叠面积", () => {
+    const [a, b] = stats.sensors.map((s) => s.area);
+    assertClose(stats.coveredArea, a + b - stats.overlapArea, 0.01);
+  });
+
+  test("覆盖率相对地面区域计算", () => {
+    const region = turf.bboxPolygon(turf.bbox(turf.featureCollection([
+      turf.circle(west, RADIUS, { units: "meters" }),
+      turf.circle(east, RADIUS, { units: "meters" }),
+    ])));
+    const { regionArea, coveredPercent } = computeCoverageStats(accumulator, region);
+    assertClose(coveredPercent, (stats.coveredArea / regionArea) * 100, 1e-9);
+    assert.ok(coveredPercent > 0 && coveredPercent < 100);
+  });
+});
+
+describe("createCoverageRecorder", () => {
+  test("按间隔采样，truncate 回退时间序列", () => {
+    const accumulator = createFootprintAccumulator({ minDistance: 0 });
+    const recorder = createCoverageRecorder(accumulator, { interval: 5 });
+
+    computeCoverage({ sensor: nadirCone(west), accumulator, key: "west", time });
+    const first = recorder.sample(time);
+    assert.ok(first);
+    assert.equal(recorder.sample(Cesium.JulianDate.addSeconds(time, 1, new Cesium.JulianDate())), null);
+
+    computeCoverage({ sensor: nadirCone(east), accumulator, key: "east", time: later });
+    const second = recorder.sample(later);
+    assert.ok(second.coveredArea > first.coveredArea);
+    assert.equal(recorder.series.length, 2);
+
+    recorder.truncate(time);
+    assert.deepEqual(recorder.series, [first]);
+    // 回退后同一时刻可以重新采样
+    assert.ok(recorder.sample(later));
+    assert.equal(recorder.series.length, 2);
+
+    recorder.reset();
+    assert.equal(recorder.series.length, 0);
+  });
+});
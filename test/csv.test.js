@@ -0,0 +1,123 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCSV } from "../src/lib/tracks/csv.js";
+
+const csv = (...lines) => lines.join("\n");
+
+describe("parseCSV", () => {
+  test("按常见列名自动匹配，大小写不敏感，没有时区的时间按 UTC", () => {
+    const { valid, samples } = parseCSV(csv(
+      "Timestamp,LAT,Lng,Altitude",
+      "2024-01-01 00:00:00,40,116,1000",
+      "2024-01-01T00:00:01Z,40.001,116.001,",
+    ));
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples, [
+      { time: "2024-01-01T00:00:00.000Z", position: [116, 40, 1000] },
+      { time: "2024-01-01T00:00:01.000Z", position: [116.001, 40.001, 0] },
+    ]);
+  });
+
+  test("columns 按列名或列序号映射，优先于自动匹配", () => {
+    const text = csv("t,x,lon,lat", "0,1,116,40", "1.5,2,116.1,40.1");
+    const { valid, samples } = parseCSV(text, { columns: { time: "T", longitude: 2 }, timeUnit: "s", epoch: "2024-01-01T00:00:00Z" });
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples.map((s) => s.time), ["2024-01-01T00:00:00.000Z", "2024-01-01T00:00:01.500Z"]);
+    assert.deepEqual(samples.map((s) => s.position[0]), [116, 116.1]);
+  });
+
+  test("双引号字段可包含分隔符与转义的引号", () => {
+    const { valid, samples } = parseCSV(csv(
+      'time,lon,lat,name',
+      '2024-01-01T00:00:00Z,"116","40","a, ""b"""',
+    ));
+    assert.equal(valid, true);
+    assert.deepEqual(samples[0].position, [116, 40, 0]);
+
+    // 引号中的分号不参与分隔
+    const semicolon = parseCSV(csv("time;lon;lat", '"2024-01-01T00:00:00Z";"116";"40";"x;y"'));
+    assert.equal(semicolon.valid, true);
+  });
+
+  test("推断分隔符，跳过空行与 # 注释行", () => {
+    const { valid, samples } = parseCSV(csv(
+      "# 导出的轨迹",
+      "time\tlon\tlat",
+      "",
+      "2024-01-01T00:00:00Z\t116\t40",
+      "  # 注释",
+      "2024-01-01T00:00:01Z\t116.1\t40",
+    ));
+    assert.equal(valid, true);
+    assert.equal(samples.length, 2);
+  });
+
+  test("映射了任一姿态列时输出姿态，缺少的角为 0", () => {
+    const { samples } = parseCSV(csv("time,lon,lat,yaw,bank", "2024-01-01T00:00:00Z,116,40,90,5"));
+    assert.deepEqual(samples[0].attitude, { heading: 90, pitch: 0, roll: 5 });
+
+    const plain = parseCSV(csv("time,lon,lat", "2024-01-01T00:00:00Z,116,40"));
+    assert.equal(plain.samples[0].attitude, undefined);
+  });
+
+  test("没有表头时只能使用列序号", () => {
+    const text = "1000,116,40";
+    const { valid, samples } = parseCSV(text, { header: false, columns: { time: 0, longitude: 1, latitude: 2 }, timeUnit: "ms" });
+    assert.equal(valid, true);
+    assert.equal(samples[0].time, "1970-01-01T00:00:01.000Z");
+
+    assert.deepEqual(parseCSV(text, { header: false, columns: { time: "time", longitude: 1, latitude: 2 } }).errors, [
+      "columns.time must be a column index",
+    ]);
+  });
+
+  test("列映射与选项错误", () => {
+    const { valid, errors } = parseCSV(csv("when,lon,elevation", "0,116,1"), {
+      columns: { time: "When", height: "alt" },
+      timeUnit: "min",
+      epoch: "yesterday",
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      "timeUnit must be one of s, ms",
+      "epoch is not an ISO 8601 timestamp: yesterday",
+      'columns.height: column "alt" not found in header (when, lon, elevation)',
+      "no column for latitude; map it with columns.latitude",
+    ]);
+  });
+
+  test("错误信息带源文件行号，时间顺序错误与同一行的解析错误排在一起", () => {
+    const { valid, errors, samples } = parseCSV(csv(
+      "time,lon,lat,height",
+      "2024-01-01T00:00:02Z,116,40,0",
+      "# 注释不影响行号",
+      "12/01/2024,116,40,0",
+      "2024-01-01T00:00:03Z,,40,0",
+      "2024-01-01T00:00:04Z,200,40,0",
+      "2024-01-01T00:00:05Z,116,40,high",
+      "2024-01-01T00:00:01Z,116,40,0",
+    ));
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      'line 4: time is not an ISO 8601 timestamp: "12/01/2024"',
+      "line 5: missing longitude",
+      "line 6: longitude out of range: 200",
+      'line 7: height is not a number: "high"',
+      "line 8: time 2024-01-01T00:00:01.000Z is earlier than the previous sample at line 2 (2024-01-01T00:00:02.000Z)",
+    ]);
+    assert.equal(samples.length, 2);
+  });
+
+  test("数值时间无效时报告单位", () => {
+    const { errors } = parseCSV(csv("time,lon,lat", "abc,116,40"), { timeUnit: "s" });
+    assert.deepEqual(errors, ['line 2: time is not a number of s: "abc"']);
+  });
+
+  test("空文件没有样本", () => {
+    assert.deepEqual(parseCSV("\n# 只有注释\n").errors, ["track contains no samples"]);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import { createFootprintAccumulator } from "../src/lib/cesium/coverage.js";
+import { createFootprintMerger, createMergeState } from "../src/lib/cesium/footprintMerge.js";
+
+// 沿经度排开的 1° 正方形，第 i 个不与其他重叠
+const square = (i) => turf.polygon([[[i * 2, 0], [i * 2 + 1, 0], [i * 2 + 1, 1], [i * 2, 1], [i * 2, 0]]]);
+const partCount = (union) => (union.geometry.type === "Polygon" ? 1 : union.geometry.coordinates.length);
+
+// 依次合并编号 from..to 的足迹，received 为主线程已收到的最后编号
+function mergeSteps(state, from, to, received) {
+  const results = new Map();
+  for (let id = from; id <= to; id++) {
+    results.set(id, state.handle({ type: "merge", id, footprints: [{ key: "a", geojson: square(id) }], received }));
+  }
+  return results;
+}
+
+describe("createMergeState", () => {
+  test("init 以给定并集为初始状态", () => {
+    const state = createMergeState();
+    state.handle({ type: "init", union: square(0) });
+    const result = state.handle({ type: "merge", id: 1, footprints: [{ key: "a", geojson: square(1) }], received: 0 });
+
+    assert.equal(result.id, 1);
+    assert.equal(partCount(result.union), 2);
+    assert.deepEqual(result.sensorUnions.map(([key]) => key), ["a"]);
+    assert.equal(partCount(result.sensorUnions[0][1]), 1);
+  });
+
+  test("restore 后从该编号的状态继续合并", () => {
+    const state = createMergeState();
+    const results = mergeSteps(state, 1, 3, 0);
+    state.handle({ type: "restore", id: 1 });
+    const next = state.handle({ type: "merge", id: 4, footprints: [], received: 3 });
+
+    assert.deepEqual(next.union, results.get(1).union);
+  });
+
+  test("淘汰的编号由 restore 消息携带的状态恢复", () => {
+    const state = createMergeState({ maxHistory: 3 });
+    const results = mergeSteps(state, 1, 10, 10);
+    const { union, sensorUnions } = results.get(2);
+
+    assert.throws(() => state.handle({ type: "restore", id: 2 }), /not available/);
+    state.handle({ type: "restore", id: 2, union, sensorUnions });
+    const next = state.handle({ type: "merge", id: 11, footprints: [], received: 10 });
+    assert.deepEqual(next.union, union);
+  });
+
+  test("主线程尚未收到的结果不被淘汰", () => {
+    const state = createMergeState({ maxHistory: 3 });
+    const results = mergeSteps(state, 1, 10, 0);
+
+    state.handle({ type: "restore", id: 2 });
+    const next = state.handle({ type: "merge", id: 11, footprints: [], received: 0 });
+    assert.deepEqual(next.union, results.get(2).union);
+  });
+
+  test("结果滞后期间积累的历史在收到后一次淘汰到 maxHistory", () => {
+    const state = createMergeState({ maxHistory: 3 });
+    mergeSteps(state, 1, 10, 0);
+    // 主线程收到全部结果后，只保留最近 3 个
+    mergeSteps(state, 11, 11, 10);
+
+    assert.throws(() => state.handle({ type: "restore", id: 8 }), /not available/);
+    assert.doesNotThrow(() => state.handle({ type: "restore", id: 9 }));
+    // 编号 0 的初始状态始终保留
+    assert.doesNotThrow(() => state.handle({ type: "restore", id: 0 }));
+  });
+
+  test("未知消息抛出错误", () => {
+    assert.throws(() => createMergeState().handle({ type: "unknown" }), /Unknown footprint merge message/);
+  });
+});
+
+describe("createFootprintAccumulator 与异步合并器", () => {
+  const footprint = (i) => ({
+    geojson: square(i),
+    centroid: Cesium.Cartesian3.fromDegrees(i * 2 + 0.5, 0.5),
+  });
+
+  test("add 只排队，合并结果返回后更新快照", async () => {
+    const merged = [];
+    const accumulator = createFootprintAccumulator({
+      minDistance: 0,
+      merger: createFootprintMerger({ useWorker: false }),
+      onMerge: (state) => merged.push(state),
+    });
+
+    assert.equal(accumulator.add("a", footprint(0)), false);
+    const state = accumulator.snapshot();
+    assert.equal(state.pending, true);
+    assert.equal(state.union, null);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.deepEqual(merged, [state]);
+    assert.equal(state.pending, false);
+    assert.equal(partCount(state.union), 1);
+    assert.equal(accumulator.union, state.union);
+  });
+
+  test("restore 丢弃仍在途的结果", async () => {
+    const accumulator = createFootprintAccumulator({
+      minDistance: 0,
+      merger: createFootprintMerger({ useWorker: false }),
+    });
+
+    accumulator.add("a", footprint(0));
+    const first = accumulator.snapshot();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    accumulator.add("a", footprint(1));
+    const second = accumulator.snapshot();
+    accumulator.restore(first);
+    accumulator.add("a", footprint(2));
+    const third = accumulator.snapshot();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.equal(second.pending, true);
+    assert.equal(partCount(third.union), 2);
+    assert.deepEqual(turf.bbox(third.union), [0, 0, 5, 1]);
+  });
+});
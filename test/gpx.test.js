@@ -0,0 +1,62 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGPX } from "../src/lib/tracks/gpx.js";
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test">
+  <trk>
+    <trkseg>
+      <trkpt lat="40.0" lon="116.0">
+        <ele>100.5</ele>
+        <time>2024-01-01T00:00:00Z</time>
+      </trkpt>
+      <trkpt lon='116.1' lat='40.1'><time>2024-01-01T00:00:10Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="40.2" lon="116.2"><ele>200</ele><time>2024-01-01T00:00:20Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+describe("parseGPX", () => {
+  test("多个轨迹段首尾相接，缺少 <ele> 时高度为 0", () => {
+    const { valid, samples } = parseGPX(GPX);
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples, [
+      { time: "2024-01-01T00:00:00.000Z", position: [116, 40, 100.5] },
+      { time: "2024-01-01T00:00:10.000Z", position: [116.1, 40.1, 0] },
+      { time: "2024-01-01T00:00:20.000Z", position: [116.2, 40.2, 200] },
+    ]);
+  });
+
+  test("不是 GPX 文档时报错", () => {
+    assert.deepEqual(parseGPX("<kml></kml>").errors, ["not a GPX document: missing <gpx> element"]);
+    assert.deepEqual(parseGPX("<gpx></gpx>").errors, ["track contains no samples"]);
+  });
+
+  test("错误信息带 <trkpt> 所在行号", () => {
+    const { valid, errors, samples } = parseGPX(`<gpx>
+<trk><trkseg>
+<trkpt lat="40" lon="116"><time>2024-01-01T00:00:10Z</time></trkpt>
+<trkpt lat="40" lon="116"/>
+<trkpt lat="95" lon="116"><time>2024-01-01T00:00:11Z</time></trkpt>
+<trkpt lat="40" lon="116">
+  <ele>high</ele>
+  <time>yesterday</time>
+</trkpt>
+<trkpt lat="40" lon="116"><time>2024-01-01T00:00:05Z</time></trkpt>
+</trkseg></trk>
+</gpx>`);
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      "line 4: <trkpt> has no <time>",
+      "line 5: latitude out of range: 95",
+      'line 6: <ele> is not a number: "high"',
+      'line 6: <time> is not an ISO 8601 timestamp: "yesterday"',
+      "line 10: time 2024-01-01T00:00:05.000Z is earlier than the previous sample at line 3 (2024-01-01T00:00:10.000Z)",
+    ]);
+    assert.equal(samples.length, 2);
+  });
+});
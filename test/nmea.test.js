@@ -0,0 +1,103 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNMEA } from "../src/lib/tracks/nmea.js";
+
+// 48°07.038'N 11°31.000'E，海拔 545.4 米，大地水准面差距 46.9 米
+const LON = 11 + 31 / 60;
+const LAT = 48 + 7.038 / 60;
+const gga = (time, quality = 1) => `$GPGGA,${time},4807.038,N,01131.000,E,${quality},08,0.9,545.4,M,46.9,M,,`;
+const rmc = (time, date, status = "A") => `$GPRMC,${time},${status},4807.038,N,01131.000,E,022.4,084.4,${date},003.1,W`;
+
+// 追加 *hh 校验和
+function withChecksum(sentence) {
+  let sum = 0;
+  for (let i = 1; i < sentence.length; i++) sum ^= sentence.charCodeAt(i);
+  return `${sentence}*${sum.toString(16).toUpperCase().padStart(2, "0")}`;
+}
+
+const log = (...sentences) => sentences.join("\n");
+
+describe("parseNMEA", () => {
+  test("同一时刻的 GGA 与 RMC 合并为一个样本，高度为椭球高", () => {
+    const { valid, samples } = parseNMEA(log(rmc("123519", "230394"), gga("123519"), rmc("123520", "230394")));
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples.map((s) => s.time), ["1994-03-23T12:35:19.000Z", "1994-03-23T12:35:20.000Z"]);
+    assert.ok(Math.abs(samples[0].position[0] - LON) < 1e-9);
+    assert.ok(Math.abs(samples[0].position[1] - LAT) < 1e-9);
+    assert.ok(Math.abs(samples[0].position[2] - 592.3) < 1e-9);
+    // 只有 RMC 时高度为 0
+    assert.equal(samples[1].position[2], 0);
+  });
+
+  test("第一条 RMC 之前的 GGA 借用其日期，跨午夜时减一天", () => {
+    const { valid, samples } = parseNMEA(log(gga("235958"), gga("235959"), rmc("000001", "240394")));
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples.map((s) => s.time), [
+      "1994-03-23T23:59:58.000Z",
+      "1994-03-23T23:59:59.000Z",
+      "1994-03-24T00:00:01.000Z",
+    ]);
+  });
+
+  test("只有 GGA 时使用 options.date，时刻回绕时日期加一天", () => {
+    const { valid, samples } = parseNMEA(log(gga("235959.50"), gga("000000.50"), gga("000001.50")), { date: "2024-02-28" });
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples.map((s) => s.time), [
+      "2024-02-28T23:59:59.500Z",
+      "2024-02-29T00:00:00.500Z",
+      "2024-02-29T00:00:01.500Z",
+    ]);
+  });
+
+  test("没有 RMC 也没有 options.date 时报错", () => {
+    const { valid, errors, samples } = parseNMEA(gga("120000"));
+    assert.equal(valid, false);
+    assert.deepEqual(errors, ["log has no RMC sentence with a date; pass options.date"]);
+    assert.deepEqual(samples, []);
+  });
+
+  test("跳过前缀、无效定位与其他语句，校验和正确时接受", () => {
+    const { valid, samples } = parseNMEA(log(
+      `2024-01-01 12:00:00 ${withChecksum(rmc("120000", "010124"))}`,
+      "$GPGSV,3,1,11,03,03,111,00,04,15,270,00,06,01,010,00,13,06,292,00",
+      gga("120001", 0),
+      rmc("120002", "010124", "V"),
+      withChecksum(gga("120003")),
+    ));
+
+    assert.equal(valid, true);
+    assert.deepEqual(samples.map((s) => s.time), ["2024-01-01T12:00:00.000Z", "2024-01-01T12:00:03.000Z"]);
+  });
+
+  test("错误信息带行号", () => {
+    const { valid, errors } = parseNMEA(log(
+      rmc("120000", "010124"),
+      `${gga("120001")}*00`,
+      rmc("1200", "010124"),
+      rmc("120003", "2024-01-01"),
+      "$GPGGA,120004,4807.038,N,01131.000,E,1,08,0.9,high,M,46.9,M,,",
+      "$GPGGA,120005,4807.038,N,01131.000,X,1,08,0.9,545.4,M,46.9,M,,",
+    ), { date: "01/01/2024" });
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      "date must be YYYY-MM-DD: 01/01/2024",
+      "line 2: checksum mismatch: expected 48, found 00",
+      'line 3: time is not hhmmss: "1200"',
+      'line 4: date is not ddmmyy: "2024-01-01"',
+      'line 5: altitude is not a number: "high"',
+      "line 6: longitude out of range: NaN",
+    ]);
+  });
+
+  test("同类语句重复的时刻报告为时间错误", () => {
+    const { valid, errors } = parseNMEA(log(rmc("120000", "010124"), gga("120001"), gga("120001")));
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+      "line 3: time 2024-01-01T12:00:01.000Z duplicates the previous sample at line 2 (2024-01-01T12:00:01.000Z)",
+    ]);
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseScenario, validateScenario, validateTrackSamples } from "../src/lib/scenario/schema.js";
+
+const samples = [
+  { time: "2024-01-01T00:00:00Z", position: [116, 40, 1000] },
+  { time: "2024-01-01T00:01:00Z", position: [116.1, 40, 1000] },
+];
+
+// 最小的有效场景，overrides 覆盖顶层字段
+function scenario(overrides = {}) {
+  return {
+    version: 1,
+    regions: [{ id: "area", type: "circle", center: [116, 40], radius: 30000 }],
+    tracks: [{ id: "main", samples }],
+    sensors: [{ id: "cone", track: "main", length: 20000, coneAngle: 20 }],
+    ...overrides,
+  };
+}
+
+// 只有一个传感器、指向计划为 pointing 的场景
+const withPointing = (pointing) => scenario({ sensors: [{ id: "cone", track: "main", length: 20000, coneAngle: 20, pointing }] });
+
+const errorsOf = (value) => validateScenario(value).errors;
+
+describe("validateScenario", () => {
+  test("最小场景与完整示例有效", () => {
+    assert.deepEqual(validateScenario(scenario()), { valid: true, errors: [] });
+
+    const full = scenario({
+      name: "survey",
+      clock: { start: samples[0].time, stop: samples[1].time, multiplier: 2, range: "LOOP_STOP", animate: true },
+      camera: { rectangle: [115, 39, 117, 41] },
+      platforms: [{ id: "aircraft", track: "main", attitude: [{ time: samples[0].time, heading: 0, pitch: 0, roll: 0 }] }],
+      sensors: [
+        { id: "camera", type: "frustum", platform: "aircraft", mount: { leverArm: [0, 0, -1], pitch: -90 }, length: 20000, horizontalAngle: 20, verticalAngle: 10 },
+      ],
+      coverage: [{ region: "area", sensors: ["camera"], options: { showRangeRings: true, footprintColors: ["red"] } }],
+      telemetry: { mode: "replay", interval: 1000, preload: 2 },
+    });
+    assert.deepEqual(errorsOf(full), []);
+  });
+
+  test("顶层结构与版本", () => {
+    assert.deepEqual(errorsOf(null), ["scenario must be an object"]);
+    assert.deepEqual(errorsOf({ version: 2 }), [
+      "version must be 1",
+      "regions is required",
+      "tracks is required",
+      "sensors is required",
+    ]);
+  });
+
+  test("拼写错误的字段被报告", () => {
+    const value = scenario({ sensor: [] });
+    value.regions[0].raduis = 1;
+    value.tracks[0].interpolation = { algorithm: "lagrange", degre: 5 };
+    assert.deepEqual(errorsOf(value), [
+      "scenario.sensor is not a recognised field",
+      "regions[0].raduis is not a recognised field",
+      "tracks[0].interpolation.degre is not a recognised field",
+    ]);
+  });
+
+  test("时钟、相机与遥测", () => {
+    assert.deepEqual(errorsOf(scenario({
+      clock: { start: "2024-01-02T00:00:00Z", stop: "2024-01-01T00:00:00Z", range: "FOREVER", animate: "yes" },
+      camera: { heading: 0 },
+      telemetry: { mode: "stream", interval: 0, preload: 1.5 },
+    })), [
+      "clock.range must be one of UNBOUNDED, CLAMPED, LOOP_STOP",
+      "clock.animate must be a boolean",
+      "clock.stop must not be earlier than clock.start",
+      "camera requires a destination or a rectangle",
+      "telemetry.mode must be one of static, replay, live",
+      "telemetry.interval must be greater than 0",
+      "telemetry.preload must be an integer",
+    ]);
+  });
+
+  test("地面区域", () => {
+    assert.deepEqual(errorsOf(scenario({
+      regions: [
+        { id: "area", type: "circle", center: [200, 40], radius: 0 },
+        { id: "area", type: "polygon", positions: [[116, 40], [117, 40]] },
+        { id: "r", type: "rectangle", west: 116, south: 40, east: 117, north: 40 },
+        { id: "g", type: "geojson", geojson: "{}" },
+        { id: "x", type: "square" },
+      ],
+    })), [
+      "regions[0].center[0] longitude out of range",
+      "regions[0].radius must be greater than 0",
+      'regions[1].id "area" is already used',
+      "regions[1].positions must be an array of at least 3 [longitude, latitude] positions",
+      "regions[2].north must be greater than south",
+      "regions[3].geojson must be a GeoJSON object",
+      "regions[4].type must be one of circle, polygon, rectangle, corridor, geojson",
+    ]);
+  });
+
+  test("轨迹样本与轨迹文件", () => {
+    assert.deepEqual(errorsOf(scenario({
+      tracks: [
+        { id: "main", samples: [samples[1], samples[0]] },
+        { id: "file", url: "a.kml", format: "kml", interpolation: { algorithm: "spline", degree: 0 } },
+        { id: "both", samples, url: "a.json" },
+        { id: "inline", samples, format: "csv" },
+      ],
+    })), [
+      "tracks[0].samples[1].time must be later than the previous sample",
+      "tracks[1].format must be one of json, csv, gpx, nmea",
+      "tracks[1].interpolation.algorithm must be one of linear, lagrange, hermite",
+      "tracks[1].interpolation.degree must be at least 1",
+      "tracks[2] requires exactly one of samples or url",
+      "tracks[3].format and tracks[3].options only apply to track files",
+    ]);
+
+    assert.deepEqual(validateTrackSamples([{ time: "later", position: [116, 40] }], "position.json").errors, [
+      "position.json[0].time must be an ISO 8601 timestamp",
+      "position.json[0].position must be [longitude, latitude, height]",
+    ]);
+  });
+
+  test("平台、传感器与引用", () => {
+    assert.deepEqual(errorsOf(scenario({
+      platforms: [{ id: "aircraft", track: "missing", attitude: [{ heading: 0, pitch: 0 }] }],
+      sensors: [
+        { id: "a", track: "main", platform: "aircraft", length: 100, coneAngle: 180 },
+        { id: "b", track: "main", mount: { leverArm: [0, 0] }, length: 0, coneAngle: 10 },
+        { id: "c", type: "frustum", platform: "plane", length: 100, horizontalAngle: 10, coneAngle: 10 },
+      ],
+      coverage: [{ region: "nowhere", sensors: ["a", "z"], options: { showFootprint: 1, colour: "red", footprintColors: [] } }],
+    })), [
+      'platforms[0].track refers to unknown track "missing"',
+      "platforms[0].attitude[0].roll is required",
+      "platforms[0].attitude[0].time is required",
+      "sensors[0] requires exactly one of track or platform",
+      "sensors[0].coneAngle must be at most 179",
+      "sensors[1].mount requires a platform",
+      "sensors[1].mount.leverArm must be [x, y, z]",
+      "sensors[1].length must be greater than 0",
+      "sensors[2].coneAngle is not a recognised field",
+      'sensors[2].platform refers to unknown platform "plane"',
+      "sensors[2].verticalAngle is required",
+      'coverage[0].region refers to unknown region "nowhere"',
+      'coverage[0].sensors[1] refers to unknown sensor "z"',
+      "coverage[0].options.showFootprint must be a boolean",
+      "coverage[0].options.colour is not a recognised option",
+      "coverage[0].options.footprintColors must be a non-empty array of colors",
+    ]);
+  });
+
+  test("指向计划的三种写法", () => {
+    const interval = { mode: "nadir" };
+    assert.deepEqual(errorsOf(withPointing(interval)), []);
+    assert.deepEqual(errorsOf(withPointing([interval])), []);
+    assert.deepEqual(errorsOf(withPointing({ transition: 3, intervals: [interval] })), []);
+    assert.deepEqual(errorsOf(withPointing({ transition: -1, intervals: [] })), ["sensors[0].pointing.transition must be at least 0"]);
+    assert.deepEqual(errorsOf(withPointing("nadir")), [
+      "sensors[0].pointing must be a pointing schedule, an array of intervals or a single interval",
+    ]);
+  });
+
+  test("指向模式与模式参数", () => {
+    // 每个区间占一分钟，避免重叠
+    const intervals = [
+      { mode: "sideways" },
+      { mode: "target" },
+      { mode: "track" },
+      { mode: "spiral", amplitude: -1 },
+      { mode: "nadir", lookAngle: 10 },
+      { mode: "fixed", attitude: { heading: 0, yaw: 0 } },
+    ].map((interval, i) => ({ ...interval, start: `2024-01-01T00:0${i}:00Z`, stop: `2024-01-01T00:0${i + 1}:00Z` }));
+    assert.deepEqual(errorsOf(withPointing(intervals)), [
+      "sensors[0].pointing[0].mode must be one of velocity, nadir, fixed, target, track, offNadir, whiskbroom, spiral",
+      "sensors[0].pointing[1].target is required in target mode",
+      "sensors[0].pointing[2].entityId is required in track mode",
+      "sensors[0].pointing[3].amplitude must be at least 0",
+      "sensors[0].pointing[3] requires target or entityId in spiral mode",
+      "sensors[0].pointing[4].lookAngle is not a recognised field",
+      "sensors[0].pointing[5].attitude.yaw is not a recognised field",
+    ]);
+  });
+
+  test("指向区间的时间顺序与重叠", () => {
+    const at = (minute) => `2024-01-01T00:0${minute}:00Z`;
+    assert.deepEqual(errorsOf(withPointing({
+      intervals: [
+        { mode: "velocity", stop: at(2) },
+        // 与上一区间首尾相接，不算重叠
+        { mode: "nadir", start: at(2), stop: at(4) },
+        { mode: "nadir", start: at(3), stop: at(5) },
+        { mode: "velocity", start: at(6), stop: at(6) },
+        { mode: "velocity", start: "soon" },
+      ],
+    })), [
+      "sensors[0].pointing.intervals[3].start must be before sensors[0].pointing.intervals[3].stop",
+      "sensors[0].pointing.intervals[4].start must be an ISO 8601 timestamp",
+      "sensors[0].pointing.intervals[1] and sensors[0].pointing.intervals[2] overlap",
+    ]);
+  });
+});
+
+describe("parseScenario", () => {
+  test("返回解析后的场景与校验结果", () => {
+    const { valid, scenario: parsed } = parseScenario(JSON.stringify(scenario()));
+    assert.equal(valid, true);
+    assert.equal(parsed.sensors[0].id, "cone");
+  });
+
+  test("无效 JSON", () => {
+    const { valid, errors } = parseScenario("{ version: 1 }");
+    assert.equal(valid, false);
+    assert.match(errors[0], /^invalid JSON: /);
+  });
+});
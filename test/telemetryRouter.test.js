@@ -0,0 +1,120 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as Cesium from "cesium";
+import { createMountedPositionProperty } from "../src/lib/cesium/platform.js";
+import { createTelemetryRouter } from "../src/lib/cesium/telemetryRouter.js";
+
+const START = Date.parse("2024-01-01T00:00:00Z");
+const at = (seconds) => new Date(START + seconds * 1000).toISOString();
+
+const positionMessage = (id, seconds) => ({ id, time: at(seconds), position: [116 + seconds * 1e-4, 40, 1000] });
+const attitudeMessage = (id, seconds) => ({ id, time: at(seconds), attitude: { heading: 10, pitch: 0, roll: 0 } });
+
+// 最小的 viewer：路由器只用到 entities
+function setup(options = {}) {
+  const viewer = { entities: new Cesium.EntityCollection() };
+  const dropped = [];
+  const router = createTelemetryRouter(viewer, {
+    ...options,
+    onDrop: (message, reason) => dropped.push(reason),
+  });
+  return { viewer, router, dropped };
+}
+
+describe("createTelemetryRouter", () => {
+  test("位置写入采样位置，乱序消息按时间插入", () => {
+    const { viewer, router } = setup();
+    const entity = viewer.entities.add({ id: "s" });
+
+    assert.equal(router.route(positionMessage("s", 10)), true);
+    assert.equal(router.route(positionMessage("s", 0)), true);
+    assert.ok(entity.position instanceof Cesium.SampledPositionProperty);
+
+    const middle = Cesium.Cartographic.fromCartesian(entity.position.getValue(Cesium.JulianDate.fromIso8601(at(5))));
+    assert.ok(Math.abs(Cesium.Math.toDegrees(middle.longitude) - 116.0005) < 1e-9);
+  });
+
+  test("未知实体的消息被丢弃", () => {
+    const { router, dropped } = setup();
+    assert.equal(router.route(positionMessage("missing", 0)), false);
+    assert.deepEqual(dropped, ["unknown entity"]);
+  });
+
+  test("同一实体重复的时间戳只接受第一条", () => {
+    const { viewer, router, dropped } = setup();
+    viewer.entities.add({ id: "a" });
+    viewer.entities.add({ id: "b" });
+
+    assert.equal(router.route(positionMessage("a", 0)), true);
+    // 同一时刻的不同写法
+    assert.equal(router.route({ ...positionMessage("a", 0), time: "2024-01-01T00:00:00Z" }), false);
+    assert.equal(router.route(positionMessage("b", 0)), true);
+    assert.deepEqual(dropped, ["duplicate timestamp"]);
+  });
+
+  test("早于最新样本超过 maxLateness 的消息被丢弃", () => {
+    const { viewer, router, dropped } = setup({ maxLateness: 5 });
+    viewer.entities.add({ id: "s" });
+
+    router.route(positionMessage("s", 10));
+    assert.equal(router.route(positionMessage("s", 6)), true);
+    assert.equal(router.route(positionMessage("s", 4)), false);
+    assert.deepEqual(dropped, ["too late"]);
+  });
+
+  test("只记住去重窗口内的时间戳", () => {
+    const { viewer, router, dropped } = setup({ dedupeWindow: 10 });
+    viewer.entities.add({ id: "s" });
+
+    router.route(positionMessage("s", 0));
+    router.route(positionMessage("s", 8));
+    assert.equal(router.route(positionMessage("s", 8)), false);
+
+    // 最新样本前进超过窗口后清理，窗口之前的时间戳不再被视为重复
+    router.route(positionMessage("s", 20));
+    assert.equal(router.route(positionMessage("s", 0)), true);
+    assert.equal(router.route(positionMessage("s", 20)), false);
+    assert.deepEqual(dropped, ["duplicate timestamp", "duplicate timestamp"]);
+  });
+
+  test("reset 清空去重状态", () => {
+    const { viewer, router } = setup();
+    viewer.entities.add({ id: "s" });
+
+    router.route(positionMessage("s", 0));
+    router.reset();
+    assert.equal(router.route(positionMessage("s", 0)), true);
+  });
+
+  test("没有位置的实体的姿态消息被丢弃", () => {
+    const { viewer, router, dropped } = setup();
+    const entity = viewer.entities.add({ id: "s" });
+
+    assert.equal(router.route(attitudeMessage("s", 0)), false);
+    assert.deepEqual(dropped, ["attitude without position"]);
+    assert.equal(entity.orientation, undefined);
+
+    // 同一消息带位置时接受
+    assert.equal(router.route({ ...positionMessage("s", 0), ...attitudeMessage("s", 0) }), true);
+    assert.ok(entity.orientation instanceof Cesium.SampledProperty);
+  });
+
+  test("安装在平台上的传感器的位置与姿态消息被丢弃", () => {
+    const { viewer, router, dropped } = setup();
+    const platform = viewer.entities.add({ id: "platform", position: Cesium.Cartesian3.fromDegrees(116, 40, 1000) });
+    const sensor = viewer.entities.add({ id: "sensor" });
+    sensor.addProperty("platform");
+    sensor.platform = platform;
+    const mounted = createMountedPositionProperty(platform, {});
+    sensor.position = mounted;
+
+    assert.equal(router.route(positionMessage("sensor", 0)), false);
+    assert.equal(router.route(attitudeMessage("sensor", 1)), false);
+    assert.deepEqual(dropped, ["mounted sensor", "mounted sensor"]);
+    assert.equal(sensor.position, mounted);
+
+    // 不涉及位置的消息仍然接受
+    assert.equal(router.route({ id: "sensor", time: at(2), cone: { angle: 20 } }), true);
+    assert.equal(sensor.coneAngle, Cesium.Math.toRadians(20));
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import * as Cesium from "cesium";
+import * as turf from "@turf/turf";
+import {
+  computeOcclusion,
+  createHeightmapSampler,
+  createSyntheticTerrain,
+  isOccluded,
+  marchRay,
+} from "../src/lib/cesium/terrain.js";
+
+// 南北走向的山脊：经度 116.05 处高 2000 米，两侧 0.01° 内线性降到 0
+const PROFILE = [0, 0, 0, 0, 0, 2000, 0, 0, 0, 0, 0];
+const ridge = createHeightmapSampler({
+  rectangle: { west: 116, south: 39.9, east: 116.1, north: 40.1 },
+  width: PROFILE.length,
+  height: 2,
+  heights: [...PROFILE, ...PROFILE],
+});
+
+// 山脊西侧 1000 米高的观察点
+const apex = Cesium.Cartesian3.fromDegrees(116, 40, 1000);
+const ground = (lon, lat = 40) => Cesium.Cartesian3.fromDegrees(lon, lat, ridge.sample(lon, lat));
+
+describe("createHeightmapSampler", () => {
+  test("双线性插值，范围之外使用 fallbackHeight", () => {
+    assert.equal(ridge.sample(116.05, 40), 2000);
+    assert.ok(Math.abs(ridge.sample(116.045, 40) - 1000) < 1e-6);
+    assert.equal(ridge.sample(117, 40), 0);
+    assert.equal(ridge.maxHeight, 2000);
+  });
+});
+
+describe("marchRay", () => {
+  test("水平射线命中山脊西坡", () => {
+    const east = Cesium.Cartesian3.subtract(
+      Cesium.Cartesian3.fromDegrees(116.1, 40, 1000),
+      apex,
+      new Cesium.Cartesian3(),
+    );
+    const ray = new Cesium.Ray(apex, Cesium.Cartesian3.normalize(east, east));
+    const hit = marchRay(ray, ridge);
+
+    assert.ok(hit);
+    const carto = Cesium.Cartographic.fromCartesian(hit.position);
+    // 西坡 1000 米高度处（考虑地球曲率略高于该点）
+    assert.ok(Math.abs(Cesium.Math.toDegrees(carto.longitude) - 116.045) < 0.001);
+    assert.ok(Math.abs(carto.height - ridge.sample(Cesium.Math.toDegrees(carto.longitude), 40)) < 5);
+  });
+
+  test("命中合成地形的山峰", () => {
+    const terrain = createSyntheticTerrain({ features: [{ center: [116, 40], height: 1500, radius: 1000 }] });
+    const down = Cesium.Cartesian3.negate(
+      Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(Cesium.Cartesian3.fromDegrees(116, 40, 5000), new Cesium.Cartesian3()),
+      new Cesium.Cartesian3(),
+    );
+    const hit = marchRay(new Cesium.Ray(Cesium.Cartesian3.fromDegrees(116, 40, 5000), down), terrain);
+
+    assert.ok(Math.abs(hit.distance - 3500) <= 1);
+  });
+
+  test("超出 maxDistance 时未命中", () => {
+    const down = Cesium.Cartesian3.negate(
+      Cesium.Ellipsoid.WGS84.geodeticSurfaceNormal(apex, new Cesium.Cartesian3()),
+      new Cesium.Cartesian3(),
+    );
+    assert.equal(marchRay(new Cesium.Ray(apex, down), ridge, { maxDistance: 500 }), undefined);
+  });
+
+  test("掠射时步数不超过 maxSteps", () => {
+    let samples = 0;
+    const terrain = createSyntheticTerrain({ features: [{ center: [0, 0], height: 2000, radius: 1000 }] });
+    const counting = { ...terrain, sample: (lon, lat) => { samples++; return terrain.sample(lon, lat); } };
+
+    // 几乎水平、从 2500 米高度缓慢下降的射线，在 0 ~ 2000 米的壳层内经过上百公里
+    const origin = Cesium.Cartesian3.fromDegrees(116, 40, 2500);
+    const target = Cesium.Cartesian3.fromDegrees(118, 40, 0);
+    const direction = Cesium.Cartesian3.subtract(target, origin, new Cesium.Cartesian3());
+    const hit = marchRay(new Cesium.Ray(origin, Cesium.Cartesian3.normalize(direction, direction)), counting, { maxSteps: 100 });
+
+    assert.ok(hit);
+    // 步进 + 二分细化
+    assert.ok(samples <= 100 + 30, `${samples} samples`);
+  });
+});
+
+describe("isOccluded", () => {
+  test("山脊西侧可见，东侧被遮挡", () => {
+    assert.equal(isOccluded(apex, ground(116.02), ridge), false);
+    assert.equal(isOccluded(apex, ground(116.05), ridge), false);
+    assert.equal(isOccluded(apex, ground(116.08), ridge), true);
+  });
+
+  test("距离不超过 clearance 的目标视为可见", () => {
+    const near = Cesium.Cartesian3.fromDegrees(116, 40, 980);
+    assert.equal(isOccluded(apex, near, ridge), false);
+  });
+});
+
+describe("computeOcclusion", () => {
+  const footprint = turf.bboxPolygon([116.005, 39.99, 116.095, 40.01]);
+  const result = computeOcclusion({ apex, footprint, terrain: ridge, cellSize: 500 });
+  const cellLon = (cell) => turf.centroid(cell).geometry.coordinates[0];
+
+  test("被遮挡的单元都在山脊背后", () => {
+    assert.ok(result.occludedCount > 0 && result.visibleCount > 0);
+    assert.equal(result.occludedCount + result.visibleCount, result.cells.features.length);
+
+    result.cells.features.forEach((cell) => {
+      const lon = cellLon(cell);
+      if (lon < 116.045) assert.equal(cell.properties.occluded, false, `cell at ${lon}`);
+      if (lon > 116.065) assert.equal(cell.properties.occluded, true, `cell at ${lon}`);
+    });
+  });
+
+  test("遮挡区域由被遮挡的单元组成", () => {
+    const occludedCells = result.cells.features.filter((cell) => cell.properties.occluded);
+    assert.equal(result.occluded.geometry.coordinates.length, occludedCells.length);
+    assert.ok(Math.abs(turf.area(result.occluded) - occludedCells.reduce((sum, cell) => sum + turf.area(cell), 0)) < 1);
+  });
+
+  test("没有足迹时没有单元", () => {
+    const empty = computeOcclusion({ apex, footprint: null, terrain: ridge });
+    assert.equal(empty.cells.features.length, 0);
+    assert.equal(empty.occluded, null);
+  });
+});
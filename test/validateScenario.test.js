@@ -0,0 +1,80 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const SCRIPT = new URL("../scripts/validate-scenario.js", import.meta.url).pathname;
+const dir = mkdtempSync(join(tmpdir(), "scenario-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+// 写入临时目录，返回文件路径
+function write(name, content) {
+  const path = join(dir, name);
+  writeFileSync(path, typeof content === "string" ? content : JSON.stringify(content));
+  return path;
+}
+
+function run(...files) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [SCRIPT, ...files], { encoding: "utf8", timeout: 30000 });
+  return { status, stdout: stdout.trim().split("\n"), stderr: stderr.trim().split("\n") };
+}
+
+const scenario = (tracks) => ({
+  version: 1,
+  regions: [{ id: "area", type: "circle", center: [116, 40], radius: 30000 }],
+  tracks,
+  sensors: [{ id: "cone", track: "main", length: 20000, coneAngle: 20 }],
+});
+
+describe("scripts/validate-scenario.js", () => {
+  test("有效场景与轨迹文件输出 ok，退出码为 0", () => {
+    write("main.csv", "time,lon,lat\n2024-01-01T00:00:00Z,116,40\n2024-01-01T00:00:01Z,116.1,40\n");
+    const file = write("valid.json", scenario([{ id: "main", url: "main.csv" }]));
+
+    const { status, stdout } = run(file);
+    assert.equal(status, 0);
+    assert.deepEqual(stdout, [`${file}: ok`]);
+  });
+
+  test("逐条输出场景与轨迹文件的错误，退出码为 1", () => {
+    write("bad.csv", "time,lon,lat\n2024-01-01T00:00:01Z,116,40\n2024-01-01T00:00:00Z,116,40\n");
+    write("bad.json", [{ time: "2024-01-01T00:00:00Z", position: [116, 40] }]);
+    const file = write("invalid.json", {
+      ...scenario([
+        { id: "main", url: "bad.csv" },
+        { id: "json", url: "bad.json" },
+        { id: "missing", url: "missing.gpx" },
+      ]),
+      regions: [{ id: "area", type: "circle", center: [116, 40] }],
+    });
+
+    const { status, stderr } = run(file);
+    assert.equal(status, 1);
+    assert.deepEqual(stderr, [
+      `${file}:`,
+      "  regions[0].radius is required",
+      "  tracks[0] (bad.csv) line 3: time 2024-01-01T00:00:00.000Z is earlier than the previous sample at line 2 (2024-01-01T00:00:01.000Z)",
+      "  tracks[1] (bad.json)[0].position must be [longitude, latitude, height]",
+      "  tracks[2].url not found: missing.gpx",
+    ]);
+  });
+
+  test("多个文件分别报告，无效 JSON 输出解析错误", () => {
+    const valid = write("second.json", scenario([{ id: "main", samples: [{ time: "2024-01-01T00:00:00Z", position: [116, 40, 0] }] }]));
+    const broken = write("broken.json", "{ version: 1 }");
+
+    const { status, stdout, stderr } = run(broken, valid);
+    assert.equal(status, 1);
+    assert.deepEqual(stdout, [`${valid}: ok`]);
+    assert.equal(stderr[0], `${broken}:`);
+    assert.match(stderr[1], /^ {2}.*JSON/);
+  });
+
+  test("没有参数时输出用法", () => {
+    const { status, stderr } = run();
+    assert.equal(status, 1);
+    assert.deepEqual(stderr, ["Usage: npm run validate:scenario -- <scenario.json> [...]"]);
+  });
+});